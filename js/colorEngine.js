@@ -6,8 +6,10 @@
  * This file is intentionally isolated from UI logic.
  *
  * HONEST DOCUMENTATION:
- * This engine uses simplified mathematical formulas for educational purposes.
- * It does NOT use ICC profiles (FOGRA39, SWOP, GRACoL) or Look-Up Tables.
+ * By default this engine uses simplified mathematical formulas for educational
+ * purposes. When the user loads their own CMYK output profile (see
+ * iccProfile.js), the separation and the preview go through that profile's
+ * lookup tables instead; the formula remains the fallback.
  * Results are educational approximations, not professional soft proofs.
  * For production print work, use ICC-verified proofing in Photoshop or your RIP.
  *
@@ -21,58 +23,220 @@
 
 const ColorEngine = (() => {
 
+  const Science = typeof ColorScience !== 'undefined' ? ColorScience : require('./colorScience.js');
+  const Icc = typeof IccProfile !== 'undefined' ? IccProfile : require('./iccProfile.js');
+  const Press = typeof PressModel !== 'undefined' ? PressModel : require('./pressModel.js');
+
   // ─── PAPER PROFILES ────────────────────────────────────────────────────────
   // These are simplified presets, not real ICC profile data.
   // Values represent approximate dot gain and ink limit behavior.
+  // paperWhite is the unprinted stock (Lab, D50, ISO 12647 aims); absorption is
+  // the share of the ink's density that stays on the surface (see SUBSTRATE);
+  // minDot and maxDot are the smallest and largest dots that print (see DOT LIMITS).
+  // A custom paper may carry its own curve, highlightGain and shadowGain: TVI in
+  // percent at 40% and 80% (see PAPER_CURVE).
   const PAPER_PROFILES = {
     coated: {
       name: 'Coated',
-      dotGain: 15,
+      dotGain: 14,             // TVI at 50% of curve A
       inkLimit: 300,
       gamutReduction: 0,       // minimal gamut reduction
       description: 'Coated / Glossy — ISO Coated v2 (FOGRA39 approximation)',
-      shadowGain: 0.8,          // relative shadow behavior
-      highlightGain: 0.4        // relative highlight behavior
+      tvi: { cmy: 'A', k: 'B' },   // ISO 12647-2 PT1/2
+      paperWhite: [95, 0, -2],
+      absorption: 1,
+      minDot: 2,               // percent
+      maxDot: 96
     },
     uncoated: {
       name: 'Uncoated',
-      dotGain: 22,
+      dotGain: 20,
       inkLimit: 280,
       gamutReduction: 0.08,
       description: 'Uncoated / Matte — ISO Uncoated (FOGRA29 approximation)',
-      shadowGain: 1.0,
-      highlightGain: 0.5
+      tvi: { cmy: 'C', k: 'D' },   // ISO 12647-2 PT4
+      paperWhite: [94, 0, 1],
+      absorption: 0.83,
+      minDot: 3,
+      maxDot: 93
     },
     newsprint: {
       name: 'Newsprint',
-      dotGain: 30,
+      dotGain: 26,
       inkLimit: 240,
       gamutReduction: 0.18,
       description: 'Newsprint — SNAP (Specifications for Newsprint Advertising Production)',
-      shadowGain: 1.3,
-      highlightGain: 0.6
+      tvi: { cmy: 'E', k: 'F' },   // approximates ISO 12647-3 newsprint
+      paperWhite: [82, 0, 3],
+      absorption: 0.76,
+      minDot: 4,
+      maxDot: 88
+    }
+  };
+
+  // ─── PRINTING CONDITIONS ───────────────────────────────────────────────────
+  // Published, characterised printing conditions, as print buyers name them.
+  // Each carries its TVI curves, total ink limit (TAC), printable dot range,
+  // paper white and solid inks (Lab, D50). The solids were measured on the
+  // condition's own paper, so they take the place of the presets' gamut
+  // reduction and ink absorption: the gamut check and the proof go through an
+  // ink model built from them (see proofModel). Values are rounded aims,
+  // approximate — for a real soft proof load the condition's ICC profile.
+  const PRINTING_CONDITIONS = {
+    fogra39: {
+      name: 'FOGRA39',
+      description: 'ISO Coated v2 — ISO 12647-2:2004 PT1/2, gloss and matte coated',
+      dotGain: 14, tvi: { cmy: 'A', k: 'B' }, inkLimit: 330, minDot: 2, maxDot: 96,
+      paperWhite: [95, 0, -2],
+      solids: { c: [55, -37, -50], m: [48, 74, -3], y: [89, -5, 93], k: [16, 0, 0] }
+    },
+    fogra51: {
+      name: 'FOGRA51',
+      description: 'PSO Coated v3 — ISO 12647-2:2013 PC1, premium coated, M1',
+      dotGain: 14, tvi: { cmy: 'A', k: 'A' }, inkLimit: 300, minDot: 2, maxDot: 96,
+      paperWhite: [95, 1, -4],
+      solids: { c: [56, -37, -50], m: [48, 75, -4], y: [89, -4, 93], k: [16, 0, 0] }
+    },
+    fogra52: {
+      name: 'FOGRA52',
+      description: 'PSO Uncoated v3 — ISO 12647-2:2013 PC5, wood-free uncoated, M1',
+      dotGain: 20, tvi: { cmy: 'C', k: 'C' }, inkLimit: 300, minDot: 3, maxDot: 94,
+      paperWhite: [93, 1, -9],
+      solids: { c: [60, -26, -44], m: [56, 61, -1], y: [89, -4, 78], k: [31, 1, 1] }
+    },
+    fogra47: {
+      name: 'FOGRA47',
+      description: 'PSO Uncoated ISO12647 — ISO 12647-2:2004 PT4, uncoated white',
+      dotGain: 20, tvi: { cmy: 'C', k: 'D' }, inkLimit: 300, minDot: 3, maxDot: 93,
+      paperWhite: [95, 0, -2],
+      solids: { c: [60, -26, -44], m: [56, 61, -1], y: [89, -4, 78], k: [31, 1, 1] }
+    },
+    psoLwc: {
+      name: 'PSO LWC Improved',
+      description: 'FOGRA45 — ISO 12647-2:2004 PT3, improved light-weight coated web',
+      dotGain: 17, tvi: { cmy: 'B', k: 'C' }, inkLimit: 300, minDot: 3, maxDot: 94,
+      paperWhite: [92, 0, 0],
+      solids: { c: [55, -36, -44], m: [46, 72, -3], y: [87, -5, 88], k: [20, 0, 0] }
+    },
+    gracol2013: {
+      name: 'GRACoL 2013',
+      description: 'CGATS 21-2 CRPC6 — premium coated sheetfed, G7 grey balance',
+      dotGain: 17, tvi: { cmy: 'B', k: 'C' }, inkLimit: 320, minDot: 2, maxDot: 96,
+      paperWhite: [95, 1, -4],
+      solids: { c: [56, -37, -50], m: [48, 75, -4], y: [89, -4, 93], k: [16, 0, 0] }
+    },
+    swop3: {
+      name: 'SWOP 3',
+      description: 'SWOP 2013 C3 — grade 3 coated publication, web offset',
+      dotGain: 20, tvi: { cmy: 'C', k: 'D' }, inkLimit: 300, minDot: 3, maxDot: 94,
+      paperWhite: [93, 0, -3],
+      solids: { c: [55, -36, -43], m: [47, 71, -3], y: [87, -4, 88], k: [18, 1, 1] }
+    },
+    swop5: {
+      name: 'SWOP 5',
+      description: 'SWOP 2013 C5 — grade 5 coated publication, web offset',
+      dotGain: 20, tvi: { cmy: 'C', k: 'D' }, inkLimit: 300, minDot: 3, maxDot: 92,
+      paperWhite: [89, 0, 3],
+      solids: { c: [54, -33, -39], m: [47, 67, 0], y: [84, -3, 82], k: [20, 1, 2] }
+    },
+    snap: {
+      name: 'SNAP',
+      description: 'SNAP 2007 — coldset newsprint',
+      dotGain: 26, tvi: { cmy: 'E', k: 'F' }, inkLimit: 240, minDot: 4, maxDot: 88,
+      paperWhite: [82, 0, 3],
+      solids: { c: [57, -23, -27], m: [54, 44, -1], y: [78, -3, 58], k: [31, 1, 2] }
     }
   };
 
+  // Conditions are selected like papers, under their own paperType
+  for (const id in PRINTING_CONDITIONS) {
+    PAPER_PROFILES[id] = Object.assign({ gamutReduction: 0, absorption: 1, condition: true }, PRINTING_CONDITIONS[id]);
+  }
+
+  const BUILT_IN_PAPERS = Object.keys(PAPER_PROFILES);
+
+  /**
+   * Add or replace a user-defined paper (see paperLibrary.js). The presets
+   * above cannot be replaced.
+   * @param {string} id - paperType the paper is selected by
+   * @param {object} profile - same fields as PAPER_PROFILES entries
+   */
+  function setPaperProfile(id, profile) {
+    if (BUILT_IN_PAPERS.includes(id)) throw new Error(`"${id}" is a built-in paper preset.`);
+    PAPER_PROFILES[id] = profile;
+    forgetPaper(id);
+  }
+
+  function removePaperProfile(id) {
+    if (BUILT_IN_PAPERS.includes(id)) return;
+    delete PAPER_PROFILES[id];
+    forgetPaper(id);
+  }
+
+  // ─── BLACK GENERATION ──────────────────────────────────────────────────────
+  // How much of the grey component (min of C, M, Y) is printed with black ink.
+  // K follows ((grey - start) / (1 - start)) ^ curve, scaled by the black limit;
+  // a higher curve keeps black out of the light and middle tones.
+  // UCR only puts black into near-neutral colors; GCR replaces grey everywhere.
+  const BLACK_GENERATION = {
+    ucr:    { name: 'UCR',          start: 0.5, curve: 1.5,  neutralOnly: true },
+    light:  { name: 'Light GCR',    start: 0.4, curve: 2.0,  neutralOnly: false },
+    medium: { name: 'Medium GCR',   start: 0.2, curve: 1.5,  neutralOnly: false },
+    heavy:  { name: 'Heavy GCR',    start: 0.1, curve: 1.15, neutralOnly: false },
+    max:    { name: 'Maximum GCR',  start: 0,   curve: 1.0,  neutralOnly: false }
+  };
+
+  /**
+   * Default separation settings.
+   * start - grey level (0-1) below which no black is generated
+   * limit - maximum K (0-1)
+   * uca   - under color addition (0-1): share of the removed CMY put back in the shadows
+   */
+  const DEFAULT_BLACK_GENERATION = { mode: 'medium', start: 0.2, limit: 1, uca: 0 };
+
   // ─── RGB → CMYK ────────────────────────────────────────────────────────────
   /**
    * Convert normalized RGB (0-1) to CMYK (0-1).
    * Formula: simplified mathematical model (not ICC-based).
+   * CMY is the complement of RGB; black then replaces part of the grey
+   * component, and the remaining CMY is rescaled so that the color is kept:
+   * C' = (C - K) / (1 - K). Maximum GCR with no start point gives K = 1 - max(R, G, B).
    * @param {number} r - Red 0-1
    * @param {number} g - Green 0-1
    * @param {number} b - Blue 0-1
+   * @param {{mode: string, start: number, limit: number, uca: number}} [blackGen]
    * @returns {{c: number, m: number, y: number, k: number}}
    */
-  function rgbToCmyk(r, g, b) {
-    const k = 1 - Math.max(r, g, b);
-    if (k === 1) return { c: 0, m: 0, y: 0, k: 1 };
+  function rgbToCmyk(r, g, b, blackGen = DEFAULT_BLACK_GENERATION) {
+    const c0 = 1 - r;
+    const m0 = 1 - g;
+    const y0 = 1 - b;
+    const grey = Math.min(c0, m0, y0);
+    const preset = BLACK_GENERATION[blackGen.mode] || BLACK_GENERATION.medium;
+    const start = blackGen.start;
+
+    let k = 0;
+    if (grey > start) {
+      k = Math.pow((grey - start) / (1 - start), preset.curve) * blackGen.limit;
+      if (preset.neutralOnly) k *= 1 - (Math.max(c0, m0, y0) - grey);
+      k = Math.min(k, grey);
+    }
+    if (k >= 1) return { c: 0, m: 0, y: 0, k: 1 };
+
     const denom = 1 - k;
-    return {
-      c: (1 - r - k) / denom,
-      m: (1 - g - k) / denom,
-      y: (1 - b - k) / denom,
-      k
-    };
+    let c = (c0 - k) / denom;
+    let m = (m0 - k) / denom;
+    let y = (y0 - k) / denom;
+
+    // UCA: add CMY back under the black in the shadows for a denser black
+    if (blackGen.uca > 0 && grey > 0.5) {
+      const add = blackGen.uca * (grey - 0.5) / 0.5;
+      c += (c0 - c) * add;
+      m += (m0 - m) * add;
+      y += (y0 - y) * add;
+    }
+
+    return { c, m, y, k };
   }
 
   // ─── CMYK → RGB ────────────────────────────────────────────────────────────
@@ -92,85 +256,617 @@ const ColorEngine = (() => {
     };
   }
 
-  // ─── DOT GAIN (NON-LINEAR CURVE) ───────────────────────────────────────────
+  // ─── PROFILE-AWARE CONVERSION ──────────────────────────────────────────────
   /**
-   * Apply dot gain using a non-linear sine curve.
-   * Unlike a flat linear addition, this correctly affects midtones most,
-   * with reduced effect in shadows and highlights — matching real press behavior.
-   *
-   * Formula derived from Yule-Nielsen modified Murray-Davies equation (simplified).
-   * gain parameter: 0 to 1 (0.15 = 15% dot gain)
-   * shadowGain / highlightGain: paper-specific modifiers
-   *
+   * Separate normalized RGB (0-1) into CMYK (0-1).
+   * Uses the loaded ICC profile when there is one, otherwise the formula above.
+   * @param {number} r - Red 0-1
+   * @param {number} g - Green 0-1
+   * @param {number} b - Blue 0-1
+   * A profile's B2A table has its own black generation baked in, so blackGen
+   * only applies to the formula.
+   * @param {object|null} profile - parsed IccProfile, or null
+   * @param {object} [blackGen] - see DEFAULT_BLACK_GENERATION
+   * @returns {{c: number, m: number, y: number, k: number}}
+   */
+  function separate(r, g, b, profile, blackGen = DEFAULT_BLACK_GENERATION) {
+    return profile ? Icc.rgbToCmyk(profile, r, g, b) : rgbToCmyk(r, g, b, blackGen);
+  }
+
+  /**
+   * Render CMYK (0-1) for the screen: through the profile's A2B table when
+   * available, else through a printing condition's ink model (relative to its
+   * paper), otherwise with the simple multiplicative formula.
+   * @param {number} c
+   * @param {number} m
+   * @param {number} y
+   * @param {number} k
+   * @param {object|null} profile - parsed IccProfile, or null
+   * @param {object|null} [press] - see proofModel
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function proofToRgb(c, m, y, k, profile, press = null) {
+    const rgb = profile && Icc.cmykToRgb(profile, c, m, y, k);
+    if (rgb) return rgb;
+    return press ? Science.labToSrgb8(...Press.halftoneLab(press, c, m, y, k)) : cmykToRgb(c, m, y, k);
+  }
+
+  /**
+   * Soft proof of a CMYK image (see proofToRgb), which stands in for the RGB
+   * original of a CMYK upload.
+   * @param {Float32Array} separation - CMYK 0-1 per pixel
+   * @param {object|null} profile - parsed IccProfile, or null
+   * @returns {Uint8ClampedArray} RGBA pixels, opaque
+   */
+  function proofImage(separation, profile) {
+    const pixels = new Uint8ClampedArray(separation.length);
+    for (let idx = 0; idx < separation.length; idx += 4) {
+      const { r, g, b } = proofToRgb(separation[idx], separation[idx + 1], separation[idx + 2], separation[idx + 3], profile);
+      pixels[idx] = r;
+      pixels[idx + 1] = g;
+      pixels[idx + 2] = b;
+      pixels[idx + 3] = 255;
+    }
+    return pixels;
+  }
+
+  // ─── SUBSTRATE ─────────────────────────────────────────────────────────────
+  // The proof above is relative: paper shows as pure white and the darkest ink
+  // as black. Simulating the paper shows it the way it prints instead: tinted
+  // by the paper white, with the ink that soaks into the stock lost, so solids
+  // are less dense. Without a profile: out = paper · (1 - absorption · (1 - proof)).
+  // A profile already measures its inks on its paper, so only its media white
+  // (wtpt tag) is applied.
+
+  /**
+   * Paper white and ink absorption to simulate for a paper.
+   * @param {string} paperType - key of PAPER_PROFILES
+   * @param {{r: number, g: number, b: number}|null} [customWhite] - sRGB 0-255,
+   *   overrides the preset or profile paper white
+   * @param {object|null} [iccProfile] - parsed IccProfile
+   * @returns {{white: {r: number, g: number, b: number}, absorption: number}}
+   */
+  function paperSubstrate(paperType, customWhite = null, iccProfile = null) {
+    const paper = PAPER_PROFILES[paperType];
+    const media = iccProfile && iccProfile.whitePoint;
+    const white = customWhite
+      || (media ? Science.xyzD50ToSrgb(media.x, media.y, media.z) : Science.labToSrgb8(...paper.paperWhite));
+    return { white, absorption: iccProfile ? 1 : paper.absorption };
+  }
+
+  /**
+   * Put a relative proof on the simulated paper.
+   * @param {{r: number, g: number, b: number}} rgb - proof, 0-255
+   * @param {{white: {r, g, b}, absorption: number}} substrate - see paperSubstrate
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function onPaper(rgb, substrate) {
+    const { white, absorption } = substrate;
+    return {
+      r: Math.round(white.r * (1 - absorption * (1 - rgb.r / 255))),
+      g: Math.round(white.g * (1 - absorption * (1 - rgb.g / 255))),
+      b: Math.round(white.b * (1 - absorption * (1 - rgb.b / 255)))
+    };
+  }
+
+  // ─── DOT GAIN (TONE VALUE INCREASE) ────────────────────────────────────────
+  // A printed dot covers more than its nominal area a, for two reasons:
+  // - mechanical: the ink spreads, a' = 1 - (1 - a)^p (p ≥ 1, more in the shadows)
+  // - optical: light scattered in the paper under the dot, Yule–Nielsen with
+  //   n ≥ 1: R = (a'·Rs^(1/n) + (1 - a'))^n, Rs the solid's reflectance
+  // A densitometer reports the Murray–Davies area (1 - R) / (1 - Rs); the tone
+  // value increase (TVI) is that minus a. p and n are fitted per ink so the
+  // curve passes through an ISO 12647-2 characteristic curve at 40% and 80%.
+
+  // ISO 12647-2:2004/Amd 1:2007 characteristic curves — TVI at 40% and 80%
+  const TVI_CURVES = {
+    A: { at40: 0.13, at80: 0.10 },
+    B: { at40: 0.16, at80: 0.12 },
+    C: { at40: 0.19, at80: 0.13 },
+    D: { at40: 0.22, at80: 0.15 },
+    E: { at40: 0.25, at80: 0.16 },
+    F: { at40: 0.28, at80: 0.17 }
+  };
+
+  // Solid reflectance of C, M, Y, K (from typical ISO solid densities 1.45, 1.45, 1.0, 1.75)
+  const SOLID_REFLECTANCE = [0.035, 0.035, 0.1, 0.018];
+  // Curve name for a paper's own curve, through its highlightGain and shadowGain
+  const PAPER_CURVE = 'paper';
+
+  const TVI_LUT_SIZE = 256;
+  const TVI_FIT_ITERATIONS = 40;
+  const MAX_SPREAD = 8;          // p
+  const MAX_YULE_NIELSEN = 10;   // n
+  const toneCurveCache = new Map();
+
+  function apparentCoverage(a, spread, yn, rs) {
+    const spreadArea = 1 - Math.pow(1 - a, spread);
+    const reflectance = Math.pow(1 - spreadArea * (1 - Math.pow(rs, 1 / yn)), yn);
+    return (1 - reflectance) / (1 - rs);
+  }
+
+  // The 40% and 80% points of a curve: an ISO one or PAPER_CURVE, the paper's own
+  function tviPoints(name, paperType) {
+    if (name !== PAPER_CURVE) return TVI_CURVES[name];
+    const paper = PAPER_PROFILES[paperType];
+    return { at40: paper.highlightGain / 100, at80: paper.shadowGain / 100 };
+  }
+
+  // Largest x in [lo, hi] with below(x) true; below must be monotone
+  function bisect(lo, hi, below) {
+    for (let i = 0; i < TVI_FIT_ITERATIONS; i++) {
+      const mid = (lo + hi) / 2;
+      if (below(mid)) lo = mid; else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Fit mechanical spread p and Yule–Nielsen n to TVI at 40% and 80%.
+   * The pure spread curve has the most TVI in the shadows; raising n moves it
+   * to the midtones, so n is searched with p keeping the 40% point — up to the
+   * n that reaches the 40% point on its own.
+   * @param {number} at40 - TVI at 40%, 0-1
+   * @param {number} at80 - TVI at 80%, 0-1
+   * @param {number} rs - solid reflectance
+   * @returns {{spread: number, yn: number}}
+   */
+  function fitTvi(at40, at80, rs) {
+    const tvi = (a, spread, yn) => apparentCoverage(a, spread, yn, rs) - a;
+    const spreadFor = yn => bisect(1, MAX_SPREAD, spread => tvi(0.4, spread, yn) < at40);
+    const opticalOnly = bisect(1, MAX_YULE_NIELSEN, n => tvi(0.4, 1, n) < at40);
+    const yn = bisect(1, opticalOnly, n => tvi(0.8, spreadFor(n), n) > at80);
+    return { spread: spreadFor(yn), yn };
+  }
+
+  /**
+   * TVI curves for C, M, Y and K. The paper's ISO curves are scaled so that
+   * CMY gain tvi50 at 50% (the dot gain slider); K keeps its ratio to CMY.
+   * @param {string} paperType - key of PAPER_PROFILES
+   * @param {number} tvi50 - TVI at 50% for CMY, 0-1
+   * @param {{cmy: string, k: string}|null} [curveSets] - keys of TVI_CURVES or
+   *   PAPER_CURVE, default the paper's
+   * @returns {Float32Array[]} lookup tables for applyDotGain, C M Y K; each has
+   *   .at40 and .at80, the control points it was fitted to
+   */
+  function toneCurves(paperType, tvi50, curveSets = null) {
+    const sets = curveSets || PAPER_PROFILES[paperType].tvi;
+    // The paper's own curve changes with the paper (see forgetPaper)
+    const own = sets.cmy === PAPER_CURVE || sets.k === PAPER_CURVE ? paperType : '';
+    const key = `${own}|${sets.cmy}|${sets.k}|${tvi50}`;
+    let curves = toneCurveCache.get(key);
+    if (curves) return curves;
+
+    const isoAt50 = isoTvi50(sets.cmy, paperType);
+    const scale = isoAt50 > 0 ? tvi50 / isoAt50 : 0;
+    curves = SOLID_REFLECTANCE.map((rs, i) => {
+      const iso = tviPoints(i === 3 ? sets.k : sets.cmy, paperType);
+      const at40 = iso.at40 * scale, at80 = iso.at80 * scale;
+      const lut = new Float32Array(TVI_LUT_SIZE + 1);
+      const fit = at40 > 0 ? fitTvi(at40, at80, rs) : { spread: 1, yn: 1 };
+      for (let j = 0; j <= TVI_LUT_SIZE; j++) {
+        const a = j / TVI_LUT_SIZE;
+        lut[j] = fit.yn === 1 && fit.spread === 1 ? a : Math.min(1, apparentCoverage(a, fit.spread, fit.yn, rs));
+      }
+      lut.at40 = at40;
+      lut.at80 = at80;
+      return lut;
+    });
+    toneCurveCache.set(key, curves);
+    return curves;
+  }
+
+  /**
+   * TVI at 50% of an unscaled ISO curve (on cyan).
+   * @param {string} name - key of TVI_CURVES, or PAPER_CURVE
+   * @param {string} [paperType] - the paper whose curve PAPER_CURVE is
+   * @returns {number} 0-1
+   */
+  function isoTvi50(name, paperType) {
+    return curveTvi50(tviPoints(name, paperType));
+  }
+
+  /**
+   * TVI at 50% of the curve through these points (on cyan), e.g. a paper's
+   * highlight and shadow gain before it is stored.
+   * @param {{at40: number, at80: number}} points - TVI at 40% and 80%, 0-1
+   * @returns {number} 0-1
+   */
+  function curveTvi50({ at40, at80 }) {
+    const fit = fitTvi(at40, at80, SOLID_REFLECTANCE[0]);
+    return apparentCoverage(0.5, fit.spread, fit.yn, SOLID_REFLECTANCE[0]) - 0.5;
+  }
+
+  /**
+   * Printed (apparent) coverage of a nominal tone value.
    * @param {number} value - CMYK channel value 0-1
-   * @param {number} gain - dot gain amount 0-1
-   * @param {number} shadowGain - shadow region multiplier (paper profile)
-   * @param {number} highlightGain - highlight region multiplier (paper profile)
+   * @param {Float32Array} curve - one of toneCurves()
    * @returns {number} adjusted value 0-1
    */
-  function applyDotGain(value, gain, shadowGain = 1.0, highlightGain = 0.5) {
+  function applyDotGain(value, curve) {
     if (value <= 0) return 0;
     if (value >= 1) return 1;
+    const x = value * TVI_LUT_SIZE;
+    const i = x | 0;
+    return curve[i] + (curve[i + 1] - curve[i]) * (x - i);
+  }
+
+  // ─── DOT LIMITS ────────────────────────────────────────────────────────────
+  // Dot gain is not the only loss at the ends of the tone scale: a dot smaller
+  // than the plate and press can hold does not print (highlight dropout), and
+  // shadow dots so large that their gaps close print solid (plugging). Each
+  // paper has a minimum and maximum printable dot; plate values outside them
+  // print as 0 or 100% before dot gain.
+
+  const DOT_LOSS = { none: 0, dropout: 1, plugging: 2 };
+
+  /**
+   * @param {string} paperType
+   * @returns {{min: number, max: number}} printable dot range, 0-1
+   */
+  function dotLimits(paperType) {
+    const paper = PAPER_PROFILES[paperType];
+    return { min: paper.minDot / 100, max: paper.maxDot / 100 };
+  }
+
+  /**
+   * What a plate value prints as, before dot gain.
+   * @param {number} value - 0-1
+   * @param {number} min - smallest dot that prints, 0-1
+   * @param {number} max - largest dot that stays open, 0-1
+   * @returns {number}
+   */
+  function printableDot(value, min, max) {
+    if (value > 0 && value < min) return 0;
+    if (value < 1 && value > max) return 1;
+    return value;
+  }
+
+  /** @returns {number} a DOT_LOSS value for one plate value */
+  function dotLoss(value, min, max) {
+    return value > 0 && value < min ? DOT_LOSS.dropout
+      : value < 1 && value > max ? DOT_LOSS.plugging
+      : DOT_LOSS.none;
+  }
+
+  /**
+   * @param {number} dropout - pixels where any plate drops out
+   * @param {number} plugging - pixels where any plate plugs
+   * @param {number[]} plateDropout - per plate, C M Y K
+   * @param {number[]} platePlugging
+   * @param {number} pixelCount
+   * @returns {{dropoutPercent, pluggingPercent, plates: Array<{plate, dropoutPercent, pluggingPercent}>}}
+   */
+  function summarizeDotLoss(dropout, plugging, plateDropout, platePlugging, pixelCount) {
+    const percent = count => (pixelCount > 0 ? Math.round(count / pixelCount * 1000) / 10 : 0);
+    return {
+      dropoutPercent: percent(dropout),
+      pluggingPercent: percent(plugging),
+      plates: ['c', 'm', 'y', 'k'].map((plate, p) => ({
+        plate,
+        dropoutPercent: percent(plateDropout[p]),
+        pluggingPercent: percent(platePlugging[p])
+      }))
+    };
+  }
+
+  /**
+   * Tonal loss overlay: blue where a plate's highlight dots drop out, yellow
+   * where its shadows plug (plugging wins when both happen).
+   * @param {boolean} dropout
+   * @param {boolean} plugging
+   * @param {Uint8ClampedArray} out - RGBA overlay buffer
+   * @param {number} idx
+   */
+  function dotLossOverlayColor(dropout, plugging, out, idx) {
+    const color = plugging ? [250, 204, 21, 210] : dropout ? [37, 99, 235, 200] : [0, 0, 0, 0];
+    out[idx] = color[0]; out[idx + 1] = color[1]; out[idx + 2] = color[2]; out[idx + 3] = color[3];
+  }
 
-    // Sine curve: peaks at midtone (0.5), falls off at extremes
-    const midtoneBoost = Math.sin(Math.PI * value);
+  // ─── PRINTED INK ───────────────────────────────────────────────────────────
+  // What one plate value prints as. The preview, the stats, the plate previews
+  // and the hover readout all go through printedInk.
 
-    // Weight by position: shadows use shadowGain, highlights use highlightGain
-    const positionalWeight = value < 0.5
-      ? highlightGain + (shadowGain - highlightGain) * (value * 2)
-      : shadowGain - (shadowGain - highlightGain) * ((value - 0.5) * 2);
+  // Each process ink's share of the paper's gamut reduction, C M Y K
+  const GAMUT_REDUCTION_SHARE = [0.5, 0.3, 0.3, 0];
 
-    const adjusted = value + gain * midtoneBoost * positionalWeight;
-    return Math.min(1, Math.max(0, adjusted));
+  /**
+   * Printed area of a plate value: dot limits, dot gain, then the paper's gamut reduction.
+   * @param {number} value - plate value 0-1
+   * @param {Float32Array} curve - one of toneCurves()
+   * @param {object} paper - PAPER_PROFILES entry
+   * @param {number} [share] - the ink's share of the gamut reduction (see GAMUT_REDUCTION_SHARE)
+   * @returns {number} 0-1
+   */
+  function printedInk(value, curve, paper, share = 0) {
+    const out = applyDotGain(printableDot(value, paper.minDot / 100, paper.maxDot / 100), curve);
+    const reduction = paper.gamutReduction * share;
+    return reduction > 0 ? Math.min(1, out * (1 + reduction)) : out;
   }
 
   // ─── GAMUT WARNING ──────────────────────────────────────────────────────────
+  // Round trip: RGB → Lab → CMYK (ink limit applied) → Lab, measured in ΔE.
+  // The printable side comes from the loaded ICC profile (relative
+  // colorimetric tables) or, without one, from the built-in ink model.
+  // Black point compensation maps the monitor's black onto the darkest
+  // printable neutral, so deep shadows are not flagged just for being dark.
+
+  const DEFAULT_GAMUT_THRESHOLD = 5;  // ΔE*ab (CIE76)
+  const GAMUT_GRID_SIZE = 17;
+
+  const pressModels = {};
+  const iccBlackPoints = new WeakMap();
+
+  // Drop what was built from a paper that has been edited or removed
+  function forgetPaper(paperType) {
+    delete pressModels[paperType];
+    for (const key of toneCurveCache.keys()) if (key.startsWith(`${paperType}|`)) toneCurveCache.delete(key);
+    if (gamutGridCache && gamutGridCache.paperType === paperType) gamutGridCache = null;
+    if (extendedGridCache && extendedGridCache.paperType === paperType) extendedGridCache = null;
+    for (let i = lutCache.length - 1; i >= 0; i--) {
+      if (lutCache[i].paperType === paperType) lutCache.splice(i, 1);
+    }
+  }
+
+  function paperModel(paperType) {
+    if (!pressModels[paperType]) {
+      const paper = PAPER_PROFILES[paperType];
+      pressModels[paperType] = paper.solids
+        ? Press.create(Object.assign({ paper: paper.paperWhite }, paper.solids), paper.inkLimit)
+        : Press.fromPaper(paper);
+    }
+    return pressModels[paperType];
+  }
+
+  /**
+   * Ink model the proof goes through: a printing condition's solids when no
+   * ICC profile is loaded, otherwise none (profile or formula).
+   * @param {string} paperType - key of PAPER_PROFILES
+   * @param {object|null} [iccProfile] - parsed IccProfile
+   * @returns {object|null} PressModel model
+   */
+  function proofModel(paperType, iccProfile = null) {
+    return !iccProfile && PAPER_PROFILES[paperType].solids ? paperModel(paperType) : null;
+  }
+
+  /**
+   * Pull CMY back proportionally until total coverage fits the ink limit.
+   * K is kept, since it carries the shadow detail.
+   * @param {{c: number, m: number, y: number, k: number}} cmyk - modified in place
+   * @param {number} inkLimit - 0-400
+   * @returns {{c: number, m: number, y: number, k: number}}
+   */
+  function limitInk(cmyk, inkLimit) {
+    const limit = inkLimit / 100;
+    const cmy = cmyk.c + cmyk.m + cmyk.y;
+    if (cmy + cmyk.k <= limit) return cmyk;
+    const scale = cmy > 0 ? Math.max(0, limit - cmyk.k) / cmy : 0;
+    cmyk.c *= scale;
+    cmyk.m *= scale;
+    cmyk.y *= scale;
+    return cmyk;
+  }
+
+  function iccPrintedLab(iccProfile, lab, inkLimit) {
+    const cmyk = limitInk(Icc.labToCmyk(iccProfile, lab), inkLimit);
+    return Icc.cmykToLab(iccProfile, cmyk.c, cmyk.m, cmyk.y, cmyk.k);
+  }
+
+  function iccBlackPoint(iccProfile, inkLimit) {
+    let cached = iccBlackPoints.get(iccProfile);
+    if (!cached) iccBlackPoints.set(iccProfile, cached = {});
+    if (cached[inkLimit] === undefined) {
+      const lab = iccPrintedLab(iccProfile, [0, 0, 0], inkLimit);
+      cached[inkLimit] = lab ? Science.labToXyz(lab[0], lab[1], lab[2])[1] : 0;
+    }
+    return cached[inkLimit];
+  }
+
+  function compensateBlackPoint(lab, blackPoint) {
+    if (blackPoint <= 0) return lab;
+    const xyz = Science.labToXyz(lab[0], lab[1], lab[2]);
+    const w = Science.D50;
+    const s = 1 - blackPoint;
+    return Science.xyzToLab(
+      xyz[0] * s + w.x * blackPoint,
+      xyz[1] * s + w.y * blackPoint,
+      xyz[2] * s + w.z * blackPoint
+    );
+  }
+
+  /**
+   * How far an RGB color lies outside the printable gamut.
+   * @param {number} r - Red 0-255
+   * @param {number} g - Green 0-255
+   * @param {number} b - Blue 0-255
+   * @param {string} paperType - 'coated' | 'uncoated' | 'newsprint'
+   * @param {object|null} [iccProfile] - parsed IccProfile, or null for the ink model
+   * @returns {number} ΔE*ab between the color and its printed round trip (0 = in gamut)
+   */
+  function gamutDeltaEAt(r, g, b, paperType, iccProfile = null) {
+    const lab = Science.srgb8ToLab(r, g, b);
+    const inkLimit = PAPER_PROFILES[paperType].inkLimit;
+
+    if (iccProfile && iccProfile.toPcs) {
+      const target = compensateBlackPoint(lab, iccBlackPoint(iccProfile, inkLimit));
+      return Science.deltaE76(target, iccPrintedLab(iccProfile, target, inkLimit));
+    }
+
+    const model = paperModel(paperType);
+    const target = compensateBlackPoint(lab, model.blackPoint);
+    return Science.deltaE76(target, Press.closestPrintable(model, target).lab);
+  }
+
   /**
    * Determine if an RGB color is out of gamut for the given paper profile.
-   * This is a simplified 3D gamut check using saturation + lightness analysis.
-   * Real gamut checking requires 3D LUT comparison against ICC profile data.
-   *
    * @param {number} r - Red 0-255
    * @param {number} g - Green 0-255
    * @param {number} b - Blue 0-255
    * @param {string} paperType - 'coated' | 'uncoated' | 'newsprint'
+   * @param {object|null} [iccProfile] - parsed IccProfile, or null for the ink model
+   * @param {number} [threshold] - ΔE*ab above which the color counts as out of gamut
    * @returns {boolean} true if out of gamut
    */
-  function isOutOfGamut(r, g, b, paperType) {
-    const profile = PAPER_PROFILES[paperType];
-    const rn = r / 255, gn = g / 255, bn = b / 255;
+  function isOutOfGamut(r, g, b, paperType, iccProfile = null, threshold = DEFAULT_GAMUT_THRESHOLD) {
+    return gamutDeltaEAt(r, g, b, paperType, iccProfile) > threshold;
+  }
+
+  let gamutGridCache = null;
 
-    const max = Math.max(rn, gn, bn);
-    const min = Math.min(rn, gn, bn);
-    const lightness = (max + min) / 2;
-    const saturation = max === min ? 0 : (max - min) / (lightness > 0.5 ? 2 - max - min : max + min);
+  /**
+   * Sample the gamut ΔE over a regular RGB grid, so whole images can be
+   * checked by interpolation instead of solving the round trip per pixel.
+   * The last grid is cached; it only depends on paper and profile.
+   * @param {string} paperType
+   * @param {object|null} [iccProfile]
+   * @returns {{size: number, deltaE: Float32Array}}
+   */
+  function buildGamutGrid(paperType, iccProfile = null) {
+    if (gamutGridCache && gamutGridCache.paperType === paperType && gamutGridCache.iccProfile === iccProfile) {
+      return gamutGridCache.grid;
+    }
 
-    // Calculate hue to identify problematic color regions
-    let hue = 0;
-    if (max !== min) {
-      const d = max - min;
-      if (max === rn) hue = ((gn - bn) / d + (gn < bn ? 6 : 0)) / 6;
-      else if (max === gn) hue = ((bn - rn) / d + 2) / 6;
-      else hue = ((rn - gn) / d + 4) / 6;
+    const size = GAMUT_GRID_SIZE;
+    const step = 255 / (size - 1);
+    const deltaE = new Float32Array(size * size * size);
+    let n = 0;
+    for (let ri = 0; ri < size; ri++) {
+      for (let gi = 0; gi < size; gi++) {
+        for (let bi = 0; bi < size; bi++) {
+          deltaE[n++] = gamutDeltaEAt(Math.round(ri * step), Math.round(gi * step), Math.round(bi * step), paperType, iccProfile);
+        }
+      }
     }
 
-    // Gamut threshold varies by paper — coated has largest gamut
-    let gamutThreshold = 0.82 - profile.gamutReduction;
+    const grid = { size, deltaE };
+    gamutGridCache = { paperType, iccProfile, grid };
+    return grid;
+  }
+
+  /**
+   * Trilinear lookup into a gamut grid.
+   * @param {{size: number, deltaE: Float32Array}} grid
+   * @param {number} r - Red 0-255
+   * @param {number} g - Green 0-255
+   * @param {number} b - Blue 0-255
+   * @returns {number} ΔE*ab
+   */
+  function gamutDeltaE(grid, r, g, b) {
+    const n = grid.size - 1;
+    const d = grid.deltaE;
+    const fr = r * n / 255, fg = g * n / 255, fb = b * n / 255;
+    const ri = Math.min(n - 1, fr | 0), gi = Math.min(n - 1, fg | 0), bi = Math.min(n - 1, fb | 0);
+    const tr = fr - ri, tg = fg - gi, tb = fb - bi;
+    const s1 = grid.size, s2 = s1 * s1;
+    const o = ri * s2 + gi * s1 + bi;
 
-    // Adjust for specific color regions that compress badly in print
-    // Neon green and electric blue are particularly problematic
-    const isNeonGreen = hue > 0.22 && hue < 0.42 && saturation > 0.7;
-    const isElectricBlue = hue > 0.55 && hue < 0.72 && saturation > 0.75 && lightness > 0.3;
-    const isBrightOrange = hue > 0.05 && hue < 0.12 && saturation > 0.85;
+    const c00 = d[o] + (d[o + 1] - d[o]) * tb;
+    const c01 = d[o + s1] + (d[o + s1 + 1] - d[o + s1]) * tb;
+    const c10 = d[o + s2] + (d[o + s2 + 1] - d[o + s2]) * tb;
+    const c11 = d[o + s2 + s1] + (d[o + s2 + s1 + 1] - d[o + s2 + s1]) * tb;
+    const c0 = c00 + (c01 - c00) * tg;
+    const c1 = c10 + (c11 - c10) * tg;
+    return c0 + (c1 - c0) * tr;
+  }
 
-    if (isNeonGreen || isElectricBlue || isBrightOrange) {
-      gamutThreshold -= 0.12;
+  /**
+   * Write the gamut overlay color for one pixel: transparent when in gamut,
+   * then amber → red with rising opacity as ΔE grows to 4× the threshold.
+   * @param {number} deltaE
+   * @param {number} threshold
+   * @param {Uint8ClampedArray} out - RGBA overlay buffer
+   * @param {number} idx - byte offset of the pixel
+   */
+  function gamutOverlayColor(deltaE, threshold, out, idx) {
+    if (deltaE <= threshold) {
+      out[idx] = 0; out[idx + 1] = 0; out[idx + 2] = 0; out[idx + 3] = 0;
+      return;
     }
+    const t = Math.min(1, (deltaE - threshold) / (threshold * 3));
+    out[idx] = 245 - 25 * t;
+    out[idx + 1] = 158 - 120 * t;
+    out[idx + 2] = 11 + 27 * t;
+    out[idx + 3] = 90 + 110 * t;
+  }
+
+  // ─── PRINT ΔE MAP ──────────────────────────────────────────────────────────
+  // ΔE2000 between the RGB original and the simulated print of the same pixel.
+  // Percentiles come from a fixed histogram (0.1 ΔE bins), so a whole image
+  // never needs sorting.
+
+  const DELTA_E_BIN = 0.1;
+  const DELTA_E_BINS = 1000;
+
+  // Heat map stops: [ΔE, r, g, b] — blue is a match, yellow visible, red a clear miss
+  const HEAT_STOPS = [
+    [0, 20, 30, 70],
+    [1, 0, 110, 200],
+    [2, 0, 175, 120],
+    [5, 245, 205, 0],
+    [10, 240, 110, 0],
+    [20, 200, 0, 40]
+  ];
+
+  /**
+   * ΔE2000 between an original sRGB pixel and its simulated print.
+   * @param {number} r - original Red 0-255
+   * @param {number} g - original Green 0-255
+   * @param {number} b - original Blue 0-255
+   * @param {{r: number, g: number, b: number}} printed - simulated print, 0-255
+   * @returns {number}
+   */
+  function printDeltaE(r, g, b, printed) {
+    return Science.deltaE2000(Science.srgb8ToLab(r, g, b), Science.srgb8ToLab(printed.r, printed.g, printed.b));
+  }
+
+  /** @returns {{histogram: Uint32Array, count: number, sum: number, max: number}} */
+  function createDeltaEStats() {
+    return { histogram: new Uint32Array(DELTA_E_BINS), count: 0, sum: 0, max: 0 };
+  }
+
+  function addDeltaE(acc, deltaE) {
+    acc.histogram[Math.min(DELTA_E_BINS - 1, Math.floor(deltaE / DELTA_E_BIN))]++;
+    acc.count++;
+    acc.sum += deltaE;
+    if (deltaE > acc.max) acc.max = deltaE;
+  }
 
-    // Very dark or very light colors are rarely out of gamut
-    if (lightness < 0.08 || lightness > 0.94) return false;
+  /**
+   * @param {{histogram: Uint32Array, count: number, sum: number, max: number}} acc
+   * @returns {{mean: number, p95: number, max: number}} rounded to 0.1
+   */
+  function summarizeDeltaE(acc) {
+    if (acc.count === 0) return { mean: 0, p95: 0, max: 0 };
+    const target = Math.ceil(acc.count * 0.95);
+    let seen = 0;
+    let bin = 0;
+    for (; bin < DELTA_E_BINS - 1; bin++) {
+      seen += acc.histogram[bin];
+      if (seen >= target) break;
+    }
+    return {
+      mean: Math.round(acc.sum / acc.count * 10) / 10,
+      p95: Math.round(Math.min(acc.max, (bin + 1) * DELTA_E_BIN) * 10) / 10,
+      max: Math.round(acc.max * 10) / 10
+    };
+  }
 
-    return saturation > gamutThreshold;
+  /**
+   * Write the heat map color for a ΔE value.
+   * @param {number} deltaE
+   * @param {Uint8ClampedArray} out - RGBA buffer
+   * @param {number} idx - byte offset of the pixel
+   */
+  function deltaEHeatColor(deltaE, out, idx) {
+    let i = 1;
+    while (i < HEAT_STOPS.length - 1 && deltaE > HEAT_STOPS[i][0]) i++;
+    const lo = HEAT_STOPS[i - 1];
+    const hi = HEAT_STOPS[i];
+    const t = Math.max(0, Math.min(1, (deltaE - lo[0]) / (hi[0] - lo[0])));
+    out[idx] = lo[1] + (hi[1] - lo[1]) * t;
+    out[idx + 1] = lo[2] + (hi[2] - lo[2]) * t;
+    out[idx + 2] = lo[3] + (hi[3] - lo[3]) * t;
+    out[idx + 3] = 255;
   }
 
   // ─── TOTAL INK COVERAGE ────────────────────────────────────────────────────
@@ -186,222 +882,2112 @@ const ColorEngine = (() => {
     return (c + m + y + k) * 100;
   }
 
-  // ─── PRINT RISK ASSESSMENT ─────────────────────────────────────────────────
+  // TAC overlay bands, as fractions of the threshold: transparent below 60%,
+  // green up to 80%, yellow up to the threshold, then orange → red at 120%.
+  const TAC_WARN_FROM = 0.6;
+  const TAC_NEAR_FROM = 0.8;
+  const TAC_RED_AT = 1.2;
+
   /**
-   * Assess print risk level based on ink coverage and paper type.
-   * @param {number} avgTAC - average total area coverage across image
-   * @param {number} maxTAC - maximum TAC found in image
-   * @param {number} outOfGamutPercent - percentage of out-of-gamut pixels
-   * @param {string} paperType
-   * @returns {{level: string, label: string, message: string}}
+   * Write the TAC overlay color for one pixel.
+   * @param {number} tac - 0-400
+   * @param {number} threshold - coverage limit, 0-400
+   * @param {Uint8ClampedArray} out - RGBA overlay buffer
+   * @param {number} idx - byte offset of the pixel
    */
-  function assessPrintRisk(avgTAC, maxTAC, outOfGamutPercent, paperType) {
-    const profile = PAPER_PROFILES[paperType];
-    const limit = profile.inkLimit;
+  function tacOverlayColor(tac, threshold, out, idx) {
+    if (tac <= threshold * TAC_WARN_FROM) {
+      out[idx] = 0; out[idx + 1] = 0; out[idx + 2] = 0; out[idx + 3] = 0;
+    } else if (tac <= threshold * TAC_NEAR_FROM) {
+      out[idx] = 34; out[idx + 1] = 197; out[idx + 2] = 94; out[idx + 3] = 70;
+    } else if (tac <= threshold) {
+      out[idx] = 234; out[idx + 1] = 179; out[idx + 2] = 8; out[idx + 3] = 120;
+    } else {
+      const t = Math.min(1, (tac - threshold) / (threshold * (TAC_RED_AT - 1)));
+      out[idx] = 249 - 29 * t;
+      out[idx + 1] = 115 - 77 * t;
+      out[idx + 2] = 22 + 16 * t;
+      out[idx + 3] = 160 + 50 * t;
+    }
+  }
 
-    if (maxTAC > limit + 30 || outOfGamutPercent > 25) {
-      return {
-        level: 'danger',
-        label: 'High Risk',
-        message: `Max ink coverage (${Math.round(maxTAC)}%) exceeds ${limit}% limit for ${profile.name} paper. Printer may reject file or drying issues may occur.`
-      };
+  // ─── INK LIMIT CORRECTION ──────────────────────────────────────────────────
+  // Only pixels over the limit are touched. 'ucr' first moves the grey
+  // component of CMY into K, which keeps the color in the separation model,
+  // and only then pulls CMY down; 'proportional' scales all four inks alike.
+
+  const INK_LIMIT_METHODS = {
+    ucr: 'Reduce CMY under K',
+    proportional: 'Scale all inks proportionally'
+  };
+
+  const FIX_ITERATIONS = 16;
+
+  // Smallest t in [0, 1] with fits(t) true; fits must be monotone
+  function searchFit(fits) {
+    let lo = 0, hi = 1;
+    for (let i = 0; i < FIX_ITERATIONS; i++) {
+      const mid = (lo + hi) / 2;
+      if (fits(mid)) hi = mid; else lo = mid;
     }
-    if (maxTAC > limit || outOfGamutPercent > 10) {
-      return {
-        level: 'caution',
-        label: 'Caution',
-        message: `Some areas approach or exceed the ${limit}% ink limit. Review highlighted regions and consider reducing saturation in those areas.`
-      };
+    return hi;
+  }
+
+  /**
+   * Bring one separation under the ink limit.
+   * @param {{c: number, m: number, y: number, k: number}} cmyk - separation, 0-1
+   * @param {number} limit - TAC limit 0-400, measured on paper
+   * @param {string} method - key of INK_LIMIT_METHODS
+   * @param {string} paperType
+   * @param {number} dotGain - TVI at 50%, 0-1
+   * @param {{cmy: string, k: string}|null} [curveSets] - see toneCurves
+   * @returns {{c: number, m: number, y: number, k: number}} cmyk itself when already within the limit
+   */
+  function fixInkLimit(cmyk, limit, method, paperType, dotGain, curveSets = null) {
+    const { c, m, y, k } = cmyk;
+    const paper = PAPER_PROFILES[paperType];
+    const curves = toneCurves(paperType, dotGain, curveSets);
+    // TAC as processImage measures it, from the plates as a separation stores them (single precision)
+    const tac = (...plates) => totalInkCoverage(...plates.map((v, i) => printedInk(Math.fround(v), curves[i], paper, GAMUT_REDUCTION_SHARE[i])));
+    if (tac(c, m, y, k) <= limit) return cmyk;
+
+    if (method === 'proportional') {
+      const s = 1 - searchFit(t => tac(c * (1 - t), m * (1 - t), y * (1 - t), k * (1 - t)) <= limit);
+      return { c: c * s, m: m * s, y: y * s, k: k * s };
     }
-    return {
-      level: 'safe',
-      label: 'Looking Good',
-      message: `Ink coverage within acceptable range for ${profile.name} paper. Always verify with ICC soft proof before final production.`
+
+    // Grey replacement: raise K and take the same grey out of CMY.
+    // (1 - C)(1 - K) stays constant, so the formula proof does not change.
+    const grey = Math.min(c, m, y);
+    const kMax = k + grey - k * grey;
+    const replace = t => {
+      const k2 = k + t * (kMax - k);
+      if (k2 >= 1) return { c: 0, m: 0, y: 0, k: 1 };
+      const keep = (1 - k) / (1 - k2);
+      return { c: 1 - (1 - c) * keep, m: 1 - (1 - m) * keep, y: 1 - (1 - y) * keep, k: k2 };
+    };
+    const fitsReplaced = t => {
+      const r = replace(t);
+      return tac(r.c, r.m, r.y, r.k) <= limit;
     };
+    if (fitsReplaced(1)) return replace(searchFit(fitsReplaced));
+
+    // Still over with all grey in K: pull the remaining CMY down
+    const full = replace(1);
+    const s = 1 - searchFit(t => tac(full.c * (1 - t), full.m * (1 - t), full.y * (1 - t), full.k) <= limit);
+    return { c: full.c * s, m: full.m * s, y: full.y * s, k: full.k };
   }
 
-  // ─── DOMINANT COLOR EXTRACTION ─────────────────────────────────────────────
   /**
-   * Extract dominant colors from sampled pixel data.
-   * Uses a simple quantization approach (not k-means, for performance).
-   * @param {Uint8ClampedArray} pixels - RGBA pixel array
-   * @param {number} sampleRate - sample every nth pixel
-   * @returns {Array<{r, g, b, cmyk, count}>}
+   * Separate a whole image and correct every pixel that is over the limit.
+   * The result can be passed to processImage as its separation.
+   * @param {Uint8ClampedArray} sourcePixels - RGBA pixels
+   * @param {object} settings - as for processImage
+   * @param {string} method - key of INK_LIMIT_METHODS
+   * @param {Float32Array|null} [base] - CMYK image (0-1) to correct instead of separating the RGB
+   * @returns {{separation: Float32Array, correctedCount: number}}
    */
-  function extractDominantColors(pixels, sampleRate = 10) {
-    const buckets = {};
-    const total = pixels.length / 4;
+  function correctSeparation(sourcePixels, settings, method, base = null) {
+    const { paperType, dotGain } = settings;
+    const iccProfile = settings.profile || null;
+    const blackGen = settings.blackGeneration || DEFAULT_BLACK_GENERATION;
+    const limit = settings.tacThreshold || PAPER_PROFILES[paperType].inkLimit;
+    const separation = new Float32Array(sourcePixels.length);
+    let correctedCount = 0;
 
-    for (let i = 0; i < total; i += sampleRate) {
-      const idx = i * 4;
-      const r = Math.round(pixels[idx] / 32) * 32;
-      const g = Math.round(pixels[idx + 1] / 32) * 32;
-      const b = Math.round(pixels[idx + 2] / 32) * 32;
-      const key = `${r},${g},${b}`;
-      buckets[key] = (buckets[key] || 0) + 1;
+    for (let idx = 0; idx < sourcePixels.length; idx += 4) {
+      if (sourcePixels[idx + 3] === 0) continue;
+      const raw = base ? { c: base[idx], m: base[idx + 1], y: base[idx + 2], k: base[idx + 3] }
+        : separate(sourcePixels[idx] / 255, sourcePixels[idx + 1] / 255, sourcePixels[idx + 2] / 255, iccProfile, blackGen);
+      const fixed = fixInkLimit(raw, limit, method, paperType, dotGain, settings.tviCurves);
+      if (fixed !== raw) correctedCount++;
+      separation[idx] = fixed.c;
+      separation[idx + 1] = fixed.m;
+      separation[idx + 2] = fixed.y;
+      separation[idx + 3] = fixed.k;
     }
+    return { separation, correctedCount };
+  }
 
-    return Object.entries(buckets)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 5)
-      .map(([key, count]) => {
-        const [r, g, b] = key.split(',').map(Number);
-        const cmyk = rgbToCmyk(r / 255, g / 255, b / 255);
-        return { r, g, b, cmyk, count };
-      });
+  /**
+   * The working separation of an image: the one given (a CMYK upload's) or its
+   * RGB separated, corrected with method when the ink limit was fixed.
+   * @param {Uint8ClampedArray} sourcePixels - RGBA pixels
+   * @param {object} settings - as for processImage
+   * @param {Float32Array|null} [separation] - CMYK 0-1 per pixel
+   * @param {string|null} [method] - key of INK_LIMIT_METHODS
+   * @returns {Float32Array}
+   */
+  function workingSeparation(sourcePixels, settings, separation = null, method = null) {
+    if (method) return correctSeparation(sourcePixels, settings, method, separation).separation;
+    return separation || separateImage(sourcePixels, settings.profile || null, settings.blackGeneration || DEFAULT_BLACK_GENERATION);
   }
 
-  // ─── FULL IMAGE PROCESSING ─────────────────────────────────────────────────
+  // ─── MISREGISTRATION ──────────────────────────────────────────────────────
+  // Each plate is printed shifted by its own offset, so edges between inks show
+  // paper or a third colour. Offsets are image pixels (x right, y down); K is
+  // the key plate the others register to.
+
+  const PLATES = ['c', 'm', 'y', 'k'];
+  const MM_PER_INCH = 25.4;
+  const WOBBLE_MM = 0.1;        // typical sheetfed register tolerance
+  const FRINGE_THRESHOLD = 3;   // ΔE2000 between registered and misregistered print
+
   /**
-   * Process entire image pixel array.
-   * Called from Web Worker with ImageData.data.
-   *
-   * @param {Uint8ClampedArray} sourcePixels - Original RGBA pixels
+   * @param {number} mm
+   * @param {number} ppi - image resolution
+   * @returns {number} image pixels
+   */
+  function mmToPixels(mm, ppi) {
+    return mm / MM_PER_INCH * ppi;
+  }
+
+  /**
+   * Random plate offsets within ±maxMm, K fixed — a press that is drifting.
+   * @param {number} [maxMm]
+   * @param {function(): number} [random] - 0-1
+   * @returns {{c: {x, y}, m: {x, y}, y: {x, y}, k: {x, y}}} mm, rounded to 0.01
+   */
+  function randomWobble(maxMm = WOBBLE_MM, random = Math.random) {
+    const wobble = () => Math.round((random() * 2 - 1) * maxMm * 100) / 100 || 0;
+    const offsets = {};
+    PLATES.forEach(ch => { offsets[ch] = ch === 'k' ? { x: 0, y: 0 } : { x: wobble(), y: wobble() }; });
+    return offsets;
+  }
+
+  /**
+   * @param {object|null} offsets - { c: {x, y}, ... }
+   * @returns {boolean} true if any plate is moved
+   */
+  function isMisregistered(offsets) {
+    return !!offsets && PLATES.some(ch => offsets[ch] && (offsets[ch].x !== 0 || offsets[ch].y !== 0));
+  }
+
+  /**
+   * Shift every plate of a separation by its offset. Sub-pixel offsets are
+   * interpolated; ink shifted in from outside the image is none.
+   * @param {Float32Array} separation - CMYK 0-1 per pixel
+   * @param {number} width
+   * @param {number} height
+   * @param {{c: {x, y}, m: {x, y}, y: {x, y}, k: {x, y}}} offsets - image pixels
+   * @returns {Float32Array} the plates as printed
+   */
+  function misregister(separation, width, height, offsets) {
+    const printed = new Float32Array(separation.length);
+    const ink = (x, y, p) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : separation[(y * width + x) * 4 + p]);
+
+    PLATES.forEach((ch, p) => {
+      const dx = offsets[ch] ? offsets[ch].x : 0;
+      const dy = offsets[ch] ? offsets[ch].y : 0;
+      const ix = Math.floor(dx), iy = Math.floor(dy);
+      const fx = dx - ix, fy = dy - iy;
+      for (let y = 0; y < height; y++) {
+        const sy = y - iy;
+        for (let x = 0; x < width; x++) {
+          const sx = x - ix;
+          // The print at x came from x - dx: blend the two source pixels either side
+          const top = ink(sx, sy, p) * (1 - fx) + ink(sx - 1, sy, p) * fx;
+          const bottom = ink(sx, sy - 1, p) * (1 - fx) + ink(sx - 1, sy - 1, p) * fx;
+          printed[(y * width + x) * 4 + p] = top * (1 - fy) + bottom * fy;
+        }
+      }
+    });
+    return printed;
+  }
+
+  /**
+   * Write the fringe overlay color: magenta where misregistration shows.
+   * @param {number} deltaE - registered vs misregistered print
+   * @param {Uint8ClampedArray} out - RGBA overlay buffer
+   * @param {number} idx - byte offset of the pixel
+   */
+  function fringeOverlayColor(deltaE, out, idx) {
+    if (deltaE <= FRINGE_THRESHOLD) {
+      out[idx] = 0; out[idx + 1] = 0; out[idx + 2] = 0; out[idx + 3] = 0;
+      return;
+    }
+    const t = Math.min(1, (deltaE - FRINGE_THRESHOLD) / (FRINGE_THRESHOLD * 4));
+    out[idx] = 236;
+    out[idx + 1] = 0;
+    out[idx + 2] = 140;
+    out[idx + 3] = 110 + 130 * t;
+  }
+
+  /**
+   * Separate a whole image, no correction — for steps that need every pixel's
+   * ink before printing any (misregistration).
+   * @param {Uint8ClampedArray} sourcePixels - RGBA pixels
+   * @param {object|null} iccProfile
+   * @param {object} blackGen
+   * @returns {Float32Array} CMYK 0-1 per pixel, transparent pixels 0
+   */
+  function separateImage(sourcePixels, iccProfile, blackGen) {
+    const separation = new Float32Array(sourcePixels.length);
+    for (let idx = 0; idx < sourcePixels.length; idx += 4) {
+      if (sourcePixels[idx + 3] === 0) continue;
+      const { c, m, y, k } = separate(sourcePixels[idx] / 255, sourcePixels[idx + 1] / 255, sourcePixels[idx + 2] / 255, iccProfile, blackGen);
+      separation[idx] = c;
+      separation[idx + 1] = m;
+      separation[idx + 2] = y;
+      separation[idx + 3] = k;
+    }
+    return separation;
+  }
+
+  // ─── BLACK CHECK ───────────────────────────────────────────────────────────
+  // Preflight of near-black areas in the separation (file values, before dot
+  // gain): pure K, rich black (CMY under the K, fine for large solids) and
+  // registration-style black (all three colours near solid, or more ink than
+  // the TAC threshold). Rich and registration black in small or thin features
+  // (text, rules) show every plate's misregistration, so those features are
+  // found as connected components and measured.
+
+  const BLACK_CLASS = { none: 0, pure: 1, rich: 2, registration: 3 };
+  const BLACK_MIN_K = 0.8;            // K from which a colour counts as black
+  const BLACK_MIN_CMY = 0.8;          // ... or C, M and Y all from this (three-colour black)
+  const PURE_K_MAX_CMY = 0.1;         // CMY traces a pure black may carry
+  const REGISTRATION_MIN_CMY = 0.85;  // C, M and Y all at least this: registration black
+  const RICH_BLACK_MIN_WIDTH_MM = 0.5;
+
+  /**
+   * @param {number} c - file values 0-1
+   * @param {number} m
+   * @param {number} y
+   * @param {number} k
+   * @param {number} [tacThreshold] - percent; a heavier black counts as registration black
+   * @returns {number} a BLACK_CLASS value
+   */
+  function classifyBlack(c, m, y, k, tacThreshold = 400) {
+    const low = Math.min(c, m, y);
+    if (k < BLACK_MIN_K && low < BLACK_MIN_CMY) return BLACK_CLASS.none;
+    if (Math.max(c, m, y) <= PURE_K_MAX_CMY) return BLACK_CLASS.pure;
+    if (low >= REGISTRATION_MIN_CMY || (c + m + y + k) * 100 > tacThreshold) return BLACK_CLASS.registration;
+    return BLACK_CLASS.rich;
+  }
+
+  /**
+   * Rich and registration black features too small or thin to keep in register.
+   * Thickness comes from a chessboard distance transform (twice the largest
+   * distance to the feature's edge); a feature is flagged when it is thinner
+   * than minWidth or smaller in area than a square twice that wide.
+   * @param {Uint8Array} classes - BLACK_CLASS per pixel
+   * @param {number} width
+   * @param {number} height
+   * @param {number} minWidth - image pixels
+   * @param {number[]|null} [rows] - [from, to): count only the features that start
+   *   in these rows (the others are counted by the tile that holds their start)
+   * @returns {{flagged: Uint8Array, features: number, smallFeatures: number}}
+   *   flagged is 1 on pixels of flagged features
+   */
+  function findSmallBlackFeatures(classes, width, height, minWidth, rows = null) {
+    const n = width * height;
+    const inMask = i => classes[i] >= BLACK_CLASS.rich;
+
+    // Chessboard distance to the nearest pixel outside the mask (outside the image counts)
+    const dist = new Uint16Array(n);
+    const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : dist[y * width + x]);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (inMask(i)) dist[i] = Math.min(65535, 1 + Math.min(at(x - 1, y), at(x - 1, y - 1), at(x, y - 1), at(x + 1, y - 1)));
+      }
+    }
+    for (let y = height - 1; y >= 0; y--) {
+      for (let x = width - 1; x >= 0; x--) {
+        const i = y * width + x;
+        if (dist[i]) dist[i] = Math.min(dist[i], 1 + Math.min(at(x + 1, y), at(x + 1, y + 1), at(x, y + 1), at(x - 1, y + 1)));
+      }
+    }
+
+    // 8-connected components, filled from a stack
+    const label = new Int32Array(n);
+    const stack = new Int32Array(n);
+    const small = [false];   // per component id
+    const minArea = 4 * minWidth * minWidth;
+    let components = 0;
+    let features = 0;
+    let smallFeatures = 0;
+    for (let start = 0; start < n; start++) {
+      if (label[start] || !inMask(start)) continue;
+      const id = ++components;
+      let top = 0, area = 0, maxDist = 0;
+      stack[top++] = start;
+      label[start] = id;
+      while (top) {
+        const i = stack[--top];
+        area++;
+        if (dist[i] > maxDist) maxDist = dist[i];
+        const x = i % width, y = (i - x) / width;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx, ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+            const j = ny * width + nx;
+            if (!label[j] && inMask(j)) {
+              label[j] = id;
+              stack[top++] = j;
+            }
+          }
+        }
+      }
+      small[id] = 2 * maxDist < minWidth || area < minArea;
+      // A feature belongs to the rows it starts in
+      if (rows && (start < rows[0] * width || start >= rows[1] * width)) continue;
+      features++;
+      if (small[id]) smallFeatures++;
+    }
+
+    const flagged = new Uint8Array(n);
+    for (let i = 0; i < n; i++) if (small[label[i]]) flagged[i] = 1;
+    return { flagged, features, smallFeatures };
+  }
+
+  /**
+   * Black check of a classified image: overlay and stats.
+   * @param {Uint8Array} classes - BLACK_CLASS per pixel
+   * @param {number} width
+   * @param {number} height
+   * @param {number} minWidth - image pixels (see mmToPixels)
+   * @param {number} [pixelCount] - pixels the percentages refer to (opaque ones)
+   * @param {number[]|null} [rows] - [from, to): rows counted, as findSmallBlackFeatures
+   * @returns {{pixels: Uint8ClampedArray, counts: object, stats: object}} RGBA overlay,
+   *   the counts (see summarizeBlacks) and the stats
+   */
+  function analyzeBlacks(classes, width, height, minWidth, pixelCount = classes.length, rows = null) {
+    const { flagged, features, smallFeatures } = findSmallBlackFeatures(classes, width, height, minWidth, rows);
+    const pixels = new Uint8ClampedArray(classes.length * 4);
+    const classCounts = [0, 0, 0, 0];
+    let flaggedCount = 0;
+    const from = rows ? rows[0] * width : 0;
+    const to = rows ? rows[1] * width : classes.length;
+    for (let i = 0; i < classes.length; i++) {
+      blackOverlayColor(classes[i], flagged[i] === 1, pixels, i * 4);
+      if (i < from || i >= to) continue;
+      classCounts[classes[i]]++;
+      if (flagged[i]) flaggedCount++;
+    }
+    const counts = { classCounts, flaggedCount, features, smallFeatures };
+    return { pixels, counts, stats: summarizeBlacks(counts, pixelCount) };
+  }
+
+  /**
+   * @param {{classCounts: number[], flaggedCount: number, features: number, smallFeatures: number}} counts -
+   *   pixels per BLACK_CLASS, pixels of flagged features, features found and flagged
+   * @param {number} pixelCount - pixels the percentages refer to
+   * @returns {{pureKPercent, richPercent, registrationPercent, features, smallFeatures, smallFeaturePercent}}
+   */
+  function summarizeBlacks(counts, pixelCount) {
+    const percent = count => (pixelCount > 0 ? Math.round(count / pixelCount * 1000) / 10 : 0);
+    return {
+      pureKPercent: percent(counts.classCounts[BLACK_CLASS.pure]),
+      richPercent: percent(counts.classCounts[BLACK_CLASS.rich]),
+      registrationPercent: percent(counts.classCounts[BLACK_CLASS.registration]),
+      features: counts.features,
+      smallFeatures: counts.smallFeatures,
+      smallFeaturePercent: percent(counts.flaggedCount)
+    };
+  }
+
+  /**
+   * Black check overlay: pure K blue, rich black amber, registration black
+   * red, small or thin rich-black features violet.
+   * @param {number} blackClass - BLACK_CLASS value
+   * @param {boolean} small - part of a flagged feature
+   * @param {Uint8ClampedArray} out - RGBA overlay buffer
+   * @param {number} idx
+   */
+  function blackOverlayColor(blackClass, small, out, idx) {
+    const color = small ? [168, 85, 247, 235]
+      : blackClass === BLACK_CLASS.pure ? [59, 130, 246, 120]
+      : blackClass === BLACK_CLASS.rich ? [245, 158, 11, 140]
+      : blackClass === BLACK_CLASS.registration ? [220, 38, 38, 190]
+      : [0, 0, 0, 0];
+    out[idx] = color[0]; out[idx + 1] = color[1]; out[idx + 2] = color[2]; out[idx + 3] = color[3];
+  }
+
+  // ─── SPOT COLOURS ──────────────────────────────────────────────────────────
+  // A spot ink is a named solid (Lab, D50, relative to the paper) with an
+  // opacity. Image colours within a tolerance (ΔE2000) of one of its tints are
+  // taken off the process plates and printed with the spot plate instead. The
+  // spot is composited over whatever CMYK is left: transparent ink multiplies,
+  // opaque ink covers. The tint is read from the image colour, so it already
+  // includes the spot's dot gain.
+
+  const SPOT_TINT_STEPS = 32;
+  const SPOT_MIN_TINT = 0.03;         // lighter than this is paper, not spot
+  const DEFAULT_SPOT_TOLERANCE = 6;   // ΔE2000
+
+  /**
+   * Tint ramps for matching, from paper to solid (area-weighted in XYZ).
+   * @param {Array<{name: string, lab: number[], opacity: number, tolerance?: number}>} spots
+   * @returns {object[]} prepared spots, same order
+   */
+  function prepareSpots(spots) {
+    const paper = Science.labToXyz(100, 0, 0);
+    return spots.map(spot => {
+      const solid = Science.labToXyz(...spot.lab);
+      const ramp = [];
+      for (let s = 0; s <= SPOT_TINT_STEPS; s++) {
+        const t = s / SPOT_TINT_STEPS;
+        ramp.push(Science.xyzToLab(
+          paper[0] + t * (solid[0] - paper[0]),
+          paper[1] + t * (solid[1] - paper[1]),
+          paper[2] + t * (solid[2] - paper[2])
+        ));
+      }
+      return {
+        name: spot.name,
+        lab: spot.lab,
+        rgb: Science.labToSrgb8(...spot.lab),
+        opacity: spot.opacity,
+        tolerance: spot.tolerance || DEFAULT_SPOT_TOLERANCE,
+        ramp
+      };
+    });
+  }
+
+  /**
+   * Closest spot tint to an image colour, if any is within its tolerance.
+   * Weight is 1 up to half the tolerance and fades to 0 at the tolerance, so
+   * edges blend into the process colour instead of stepping.
+   * @param {object[]} prepared - from prepareSpots
+   * @param {number[]} lab - image colour
+   * @returns {{index: number, tint: number, weight: number, deltaE: number}|null}
+   */
+  function matchSpot(prepared, lab) {
+    let hit = null;
+    for (let i = 0; i < prepared.length; i++) {
+      const { ramp, tolerance } = prepared[i];
+      let best = 0;
+      let bestDist = Infinity;
+      for (let s = 0; s <= SPOT_TINT_STEPS; s++) {
+        const dL = lab[0] - ramp[s][0], da = lab[1] - ramp[s][1], db = lab[2] - ramp[s][2];
+        const dist = dL * dL + da * da + db * db;
+        if (dist < bestDist) { bestDist = dist; best = s; }
+      }
+      const tint = best / SPOT_TINT_STEPS;
+      if (tint < SPOT_MIN_TINT) continue;
+      const deltaE = Science.deltaE2000(lab, ramp[best]);
+      if (deltaE > tolerance || (hit && deltaE >= hit.deltaE)) continue;
+      hit = { index: i, tint, weight: Math.min(1, 2 * (1 - deltaE / tolerance)), deltaE };
+    }
+    return hit;
+  }
+
+  /**
+   * Print a spot over a process colour.
+   * @param {{r, g, b}} base - process proof, 0-255
+   * @param {object} spot - prepared spot
+   * @param {number} coverage - spot tint 0-1
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function compositeSpot(base, spot, coverage) {
+    const o = spot.opacity;
+    const mix = (b, s) => Math.round(b * (1 - coverage) + coverage * (o * s + (1 - o) * b * s / 255));
+    return { r: mix(base.r, spot.rgb.r), g: mix(base.g, spot.rgb.g), b: mix(base.b, spot.rgb.b) };
+  }
+
+  /**
+   * The spot built from process inks, as the "convert spot to process" view
+   * prints it: its sRGB separated, dot gain applied and proofed.
+   * @param {{lab: number[]}} spot
+   * @param {object} settings - paperType, dotGain, tviCurves, profile, blackGeneration
+   * @returns {{cmyk: {c, m, y, k}, rgb: {r, g, b}, deltaE: number}} CMYK in percent
+   *   before dot gain, ΔE2000 from the spot solid
+   */
+  function spotProcessBuild(spot, settings) {
+    const iccProfile = settings.profile || null;
+    const paper = PAPER_PROFILES[settings.paperType];
+    const curves = toneCurves(settings.paperType, settings.dotGain, settings.tviCurves);
+    const srgb = Science.labToSrgb8(...spot.lab);
+    const sep = separate(srgb.r / 255, srgb.g / 255, srgb.b / 255, iccProfile, settings.blackGeneration || DEFAULT_BLACK_GENERATION);
+    const gained = (v, ink) => printedInk(v, curves[ink], paper, GAMUT_REDUCTION_SHARE[ink]);
+    const rgb = proofToRgb(gained(sep.c, 0), gained(sep.m, 1), gained(sep.y, 2), gained(sep.k, 3),
+      iccProfile, proofModel(settings.paperType, iccProfile));
+    return {
+      cmyk: { c: Math.round(sep.c * 100), m: Math.round(sep.m * 100), y: Math.round(sep.y * 100), k: Math.round(sep.k * 100) },
+      rgb,
+      deltaE: Science.deltaE2000(spot.lab, Science.srgb8ToLab(rgb.r, rgb.g, rgb.b))
+    };
+  }
+
+  /**
+   * Coverage per spot channel (or multitone ink).
+   * @param {object[]} prepared - from prepareSpots or prepareMultitone
+   * @param {ArrayLike<number>} area - pixels printed by each spot
+   * @param {ArrayLike<number>} ink - sum of each spot's tint
+   * @param {number} count - pixels processed
+   * @returns {Array<{name: string, areaPercent: number, inkPercent: number}>} area: share of
+   *   the image the spot prints on; ink: its mean coverage over the whole image
+   */
+  function summarizeSpotCoverage(prepared, area, ink, count) {
+    return prepared.map((spot, i) => ({
+      name: spot.name,
+      areaPercent: count > 0 ? Math.round(area[i] / count * 1000) / 10 : 0,
+      inkPercent: count > 0 ? Math.round(ink[i] / count * 1000) / 10 : 0
+    }));
+  }
+
+  // ─── MULTITONE ─────────────────────────────────────────────────────────────
+  // Duotone / tritone: the image's lightness alone drives two or three inks,
+  // each through its own curve (plate tint per tone, as in an image editor's
+  // duotone curves). Process inks print through the usual proof (ICC profile or
+  // ink model); spot inks are composited over them in order, as they go down
+  // on press. Spot inks take the CMY dot gain curve.
+
+  const MULTITONE_POINTS = [0, 25, 50, 75, 100];   // tone (% dark) of each curve point
+  const MULTITONE_STEPS = 256;
+  const PROCESS_INKS = 'cmyk';
+
+  // Starting curves for the first, second and third ink: the key ink holds the
+  // shadows, the second carries the whole range, the third tints the mid-tones
+  const DEFAULT_MULTITONE_CURVES = [
+    [0, 4, 30, 68, 100],
+    [0, 28, 60, 84, 100],
+    [0, 12, 40, 58, 70]
+  ];
+
+  /**
+   * Sample a curve through the MULTITONE_POINTS (monotone cubic, Fritsch–Carlson,
+   * so a rising curve never overshoots between points).
+   * @param {number[]} points - plate tint in percent at each of MULTITONE_POINTS
+   * @returns {Float32Array} tint 0-1 for tones 0..MULTITONE_STEPS-1
+   */
+  function multitoneCurve(points) {
+    const n = MULTITONE_POINTS.length;
+    const x = MULTITONE_POINTS.map(v => v / 100);
+    const y = points.map(v => Math.min(1, Math.max(0, v / 100)));
+    const d = [];
+    for (let i = 0; i < n - 1; i++) d.push((y[i + 1] - y[i]) / (x[i + 1] - x[i]));
+    const t = y.map((_, i) => (i === 0 ? d[0] : i === n - 1 ? d[n - 2] : d[i - 1] * d[i] <= 0 ? 0 : (d[i - 1] + d[i]) / 2));
+    for (let i = 0; i < n - 1; i++) {
+      if (d[i] === 0) { t[i] = 0; t[i + 1] = 0; continue; }
+      const a = t[i] / d[i], b = t[i + 1] / d[i], s = a * a + b * b;
+      if (s > 9) { t[i] = 3 * a / Math.sqrt(s) * d[i]; t[i + 1] = 3 * b / Math.sqrt(s) * d[i]; }
+    }
+
+    const lut = new Float32Array(MULTITONE_STEPS);
+    for (let s = 0; s < MULTITONE_STEPS; s++) {
+      const v = s / (MULTITONE_STEPS - 1);
+      const i = Math.min(n - 2, Math.floor(v * (n - 1)));
+      const h = x[i + 1] - x[i], u = (v - x[i]) / h;
+      const u2 = u * u, u3 = u2 * u;
+      lut[s] = Math.min(1, Math.max(0, (2 * u3 - 3 * u2 + 1) * y[i] + (u3 - 2 * u2 + u) * h * t[i]
+        + (-2 * u3 + 3 * u2) * y[i + 1] + (u3 - u2) * h * t[i + 1]));
+    }
+    return lut;
+  }
+
+  /**
+   * @param {Array<{name: string, process?: string, lab?: number[], opacity?: number,
+   *   curve: number[], show?: boolean}>} inks - process: 'c', 'm', 'y' or 'k' for a
+   *   process ink, else a spot ink with its solid Lab and opacity
+   * @param {object|null} [iccProfile]
+   * @param {object|null} [press] - ink model, see proofModel
+   * @returns {object[]} prepared inks: { name, process (-1 for a spot), tvi, share,
+   *   rgb (solid), opacity, show, lut }
+   */
+  function prepareMultitone(inks, iccProfile = null, press = null) {
+    return inks.map(ink => {
+      const process = ink.process ? PROCESS_INKS.indexOf(ink.process) : -1;
+      const solid = [0, 0, 0, 0];
+      if (process >= 0) solid[process] = 1;
+      return {
+        name: ink.name,
+        process,
+        tvi: Math.max(0, process),
+        share: process >= 0 ? GAMUT_REDUCTION_SHARE[process] : 0,
+        rgb: process >= 0 ? proofToRgb(...solid, iccProfile, press) : Science.labToSrgb8(...ink.lab),
+        opacity: process >= 0 ? 0 : ink.opacity,
+        show: ink.show !== false,
+        lut: multitoneCurve(ink.curve)
+      };
+    });
+  }
+
+  /**
+   * Plate values of one pixel: its tone (1 - L* / 100) through each ink's curve.
+   * @returns {number[]} tint 0-1 per ink, before dot gain
+   */
+  function multitoneSeparate(prepared, r, g, b) {
+    const L = Science.srgb8ToLab(r, g, b)[0];
+    const tone = Math.round(Math.min(1, Math.max(0, 1 - L / 100)) * (MULTITONE_STEPS - 1));
+    return prepared.map(ink => ink.lut[tone]);
+  }
+
+  /**
+   * Proof of printed multitone inks.
+   * @param {object[]} prepared - from prepareMultitone
+   * @param {number[]} printed - tint per ink after dot gain, 0-1 (0 leaves an ink out)
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function multitoneProof(prepared, printed, iccProfile = null, press = null) {
+    const cmyk = [0, 0, 0, 0];
+    prepared.forEach((ink, i) => {
+      if (ink.process >= 0) cmyk[ink.process] = Math.min(1, cmyk[ink.process] + printed[i]);
+    });
+    let rgb = proofToRgb(...cmyk, iccProfile, press);
+    prepared.forEach((ink, i) => {
+      if (ink.process < 0 && printed[i] > 0) rgb = compositeSpot(rgb, ink, printed[i]);
+    });
+    return rgb;
+  }
+
+  // ─── EXTENDED GAMUT (CMYKOGV) ──────────────────────────────────────────────
+  // Seven-colour printing adds orange, green and violet where CMYK is weakest.
+  // The separation and its gamut check both come from the ink model extended
+  // with the three inks (see EXTENDED GAMUT in pressModel.js); an ICC profile
+  // only describes CMYK, so it is not used. Like the CMYK gamut check, the
+  // round trip is baked into an RGB grid and interpolated per pixel, together
+  // with the plain CMYK build on the same press (its gamut ΔE is the one
+  // isOutOfGamut gives without a profile), so the two can be compared.
+
+  const EXTENDED_INK_NAMES = ['Cyan', 'Magenta', 'Yellow', 'Black', 'Orange', 'Green', 'Violet'];
+  const EXTENDED_TVI = [0, 1, 2, 3, 0, 0, 0];   // orange, green and violet gain like CMY
+  const DEFAULT_EXTENDED_INKS = {
+    o: Press.EXTENDED_SOLIDS.o.slice(),
+    g: Press.EXTENDED_SOLIDS.g.slice(),
+    v: Press.EXTENDED_SOLIDS.v.slice()
+  };
+
+  let extendedGridCache = null;
+
+  /**
+   * Seven-colour ink model for a paper. The inks are coated-stock aims, muted
+   * like the CMYK solids on presets with a gamut reduction; a printing
+   * condition takes them as they are.
+   * @param {string} paperType
+   * @param {{o: number[], g: number[], v: number[]}} inks - solid Lab of orange, green, violet
+   * @returns {object} PressModel model
+   */
+  function extendedModel(paperType, inks) {
+    const paper = PAPER_PROFILES[paperType];
+    const extra = {};
+    for (const ink of ['o', 'g', 'v']) {
+      extra[ink] = paper.solids ? inks[ink].slice() : Press.muteSolid(inks[ink], paper.gamutReduction);
+    }
+    return Press.extend(paperModel(paperType), extra);
+  }
+
+  /**
+   * Separation and gamut ΔE of the seven-colour model over the RGB grid, and
+   * the same for CMYK alone in grid.cmyk. The last grid is cached.
+   * @param {string} paperType
+   * @param {{o, g, v}} inks
+   * @returns {{size: number, channels: number, separation: Float32Array, deltaE: Float32Array,
+   *   model: object, cmyk: object}}
+   */
+  function buildExtendedGrid(paperType, inks) {
+    const key = JSON.stringify(inks);
+    if (extendedGridCache && extendedGridCache.paperType === paperType && extendedGridCache.key === key) {
+      return extendedGridCache.grid;
+    }
+
+    const model = extendedModel(paperType, inks);
+    const size = GAMUT_GRID_SIZE;
+    const channels = model.inks.length;
+    const step = 255 / (size - 1);
+    const separation = new Float32Array(size * size * size * channels);
+    const deltaE = new Float32Array(size * size * size);
+    const cmyk = { size, channels, separation: new Float32Array(separation.length), deltaE: new Float32Array(deltaE.length), model };
+    let n = 0;
+    for (let ri = 0; ri < size; ri++) {
+      for (let gi = 0; gi < size; gi++) {
+        for (let bi = 0; bi < size; bi++) {
+          const lab = Science.srgb8ToLab(Math.round(ri * step), Math.round(gi * step), Math.round(bi * step));
+          const target = compensateBlackPoint(lab, model.blackPoint);
+          const hit = Press.closestExtended(model, target);
+          separation.set(hit.inks, n * channels);
+          cmyk.separation.set(hit.cmyk.inks, n * channels);
+          cmyk.deltaE[n] = Science.deltaE76(target, hit.cmyk.lab);
+          deltaE[n++] = Science.deltaE76(target, hit.lab);
+        }
+      }
+    }
+
+    const grid = { size, channels, separation, deltaE, model, cmyk };
+    extendedGridCache = { paperType, key, grid };
+    return grid;
+  }
+
+  /**
+   * Seven-colour plate values of an RGB colour (trilinear in the grid; pass
+   * grid.cmyk for the CMYK build).
+   * @returns {number[]} coverage 0-1 per ink, in EXTENDED_INK_NAMES order
+   */
+  function extendedSeparate(grid, r, g, b) {
+    const { size, channels, separation } = grid;
+    const n = size - 1;
+    const fr = r * n / 255, fg = g * n / 255, fb = b * n / 255;
+    const ri = Math.min(n - 1, fr | 0), gi = Math.min(n - 1, fg | 0), bi = Math.min(n - 1, fb | 0);
+    const tr = fr - ri, tg = fg - gi, tb = fb - bi;
+    const out = new Array(channels).fill(0);
+    for (let corner = 0; corner < 8; corner++) {
+      const dr = (corner >> 2) & 1, dg = (corner >> 1) & 1, db = corner & 1;
+      const w = (dr ? tr : 1 - tr) * (dg ? tg : 1 - tg) * (db ? tb : 1 - tb);
+      if (w === 0) continue;
+      const o = ((ri + dr) * size * size + (gi + dg) * size + bi + db) * channels;
+      for (let ch = 0; ch < channels; ch++) out[ch] += w * separation[o + ch];
+    }
+    return out;
+  }
+
+  /**
+   * Proof of printed seven-colour coverages (dot gain applied), through the
+   * same ink model the separation was solved in.
+   * @param {object} grid - from buildExtendedGrid (or its cmyk)
+   * @param {number[]} printed - coverage 0-1 per ink
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function extendedProof(grid, printed) {
+    return Science.labToSrgb8(...Press.inksToLab(grid.model, printed));
+  }
+
+  /**
+   * Gamut overlay for seven-colour printing: what is still out of gamut is
+   * shaded as usual, what CMYK could not print but CMYKOGV can is green.
+   * @param {number} cmykDeltaE - gamut ΔE with CMYK
+   * @param {number} extendedDeltaE - gamut ΔE with CMYKOGV
+   * @param {number} threshold
+   * @param {Uint8ClampedArray} out - RGBA overlay buffer
+   * @param {number} idx
+   */
+  function extendedGamutOverlayColor(cmykDeltaE, extendedDeltaE, threshold, out, idx) {
+    if (extendedDeltaE > threshold || cmykDeltaE <= threshold) {
+      gamutOverlayColor(extendedDeltaE, threshold, out, idx);
+      return;
+    }
+    out[idx] = 34; out[idx + 1] = 197; out[idx + 2] = 94; out[idx + 3] = 150;
+  }
+
+  // ─── PRINT RISK ASSESSMENT ─────────────────────────────────────────────────
+  // "Coated paper", but "FOGRA39"
+  function paperLabel(paper) {
+    return paper.condition ? paper.name : `${paper.name} paper`;
+  }
+
+  /**
+   * Assess print risk level based on ink coverage and paper type. The message
+   * names whichever test fired: the ink limit, the gamut, or both.
+   * @param {number} avgTAC - average total area coverage across image
+   * @param {number} maxTAC - maximum TAC found in image
+   * @param {number} outOfGamutPercent - percentage of out-of-gamut pixels
+   * @param {string} paperType
+   * @returns {{level: string, label: string, message: string}}
+   */
+  function assessPrintRisk(avgTAC, maxTAC, outOfGamutPercent, paperType) {
+    const profile = PAPER_PROFILES[paperType];
+    const limit = profile.inkLimit;
+    const paper = paperLabel(profile);
+    const gamut = `${Math.round(outOfGamutPercent * 10) / 10}% of the image is out of gamut`;
+
+    const inkDanger = maxTAC > limit + 30;
+    const gamutDanger = outOfGamutPercent > 25;
+    if (inkDanger || gamutDanger) {
+      const ink = `Max ink coverage (${Math.round(maxTAC)}%) exceeds the ${limit}% limit for ${paper}`;
+      return {
+        level: 'danger',
+        label: 'High Risk',
+        message: inkDanger
+          ? `${ink}${gamutDanger ? `, and ${gamut}` : ''}. Printer may reject the file.`
+          : `${gamut} for ${paper}. Expect strong colour shifts in print.`
+      };
+    }
+    const inkCaution = maxTAC > limit;
+    const gamutCaution = outOfGamutPercent > 10;
+    if (inkCaution || gamutCaution) {
+      return {
+        level: 'caution',
+        label: 'Caution',
+        message: inkCaution
+          ? `Some areas exceed the ${limit}% ink limit for ${paper}${gamutCaution ? `, and ${gamut}` : ''}. Review highlighted regions.`
+          : `${gamut} for ${paper}. Review the gamut warning before printing.`
+      };
+    }
+    return {
+      level: 'safe',
+      label: 'Looking Good',
+      message: `Ink coverage is within acceptable range for ${paper}. Always verify with ICC soft proof before final production.`
+    };
+  }
+
+  // ─── DOMINANT COLOR EXTRACTION ─────────────────────────────────────────────
+  /**
+   * Extract dominant colors from sampled pixel data.
+   * Uses a simple quantization approach (not k-means, for performance).
+   * @param {Uint8ClampedArray} pixels - RGBA pixel array
+   * @param {number} sampleRate - sample every nth pixel
+   * @param {object|null} [profile] - parsed IccProfile used for the breakdown
+   * @param {object} [blackGen] - black generation for the formula separation
+   * @param {Float32Array|null} [separation] - CMYK working image; each colour then
+   *   reports the average ink of its pixels
+   * @returns {Array<{r, g, b, c, m, y, k, count}>} ink in percent
+   */
+  function extractDominantColors(pixels, sampleRate = 10, profile = null, blackGen = DEFAULT_BLACK_GENERATION, separation = null) {
+    return dominantColors(colorBuckets(pixels, sampleRate, separation), profile, blackGen, !!separation);
+  }
+
+  /**
+   * The colour buckets extractDominantColors ranks, for pixels from..to of an
+   * image; buckets of parts of an image add up (see mergeTotals).
+   * @param {Uint8ClampedArray} pixels - RGBA pixel array
+   * @param {number} sampleRate - sample every nth pixel
+   * @param {Float32Array|null} [separation]
+   * @param {number} [from] - first pixel
+   * @param {number} [to] - pixel after the last
+   * @param {number} [offset] - index of pixel from in the whole image, which sets the samples
+   * @returns {object} { 'r,g,b': { count, c, m, y, k } }
+   */
+  function colorBuckets(pixels, sampleRate, separation = null, from = 0, to = Math.floor(pixels.length / 4), offset = from) {
+    const buckets = {};
+    for (let i = from + (sampleRate - offset % sampleRate) % sampleRate; i < to; i += sampleRate) {
+      const idx = i * 4;
+      if (pixels[idx + 3] < 128) continue;
+      const r = Math.round(pixels[idx] / 32) * 32;
+      const g = Math.round(pixels[idx + 1] / 32) * 32;
+      const b = Math.round(pixels[idx + 2] / 32) * 32;
+      const key = `${r},${g},${b}`;
+      const bucket = buckets[key] || (buckets[key] = { count: 0, c: 0, m: 0, y: 0, k: 0 });
+      bucket.count++;
+      if (separation) {
+        bucket.c += separation[idx];
+        bucket.m += separation[idx + 1];
+        bucket.y += separation[idx + 2];
+        bucket.k += separation[idx + 3];
+      }
+    }
+    return buckets;
+  }
+
+  // The five largest buckets, with their ink: the separation's average, or the bucket colour separated
+  function dominantColors(buckets, profile, blackGen, separated) {
+    return Object.entries(buckets)
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, 5)
+      .map(([key, bucket]) => {
+        const [r, g, b] = key.split(',').map(Number);
+        const n = bucket.count;
+        const cmyk = separated
+          ? { c: bucket.c / n, m: bucket.m / n, y: bucket.y / n, k: bucket.k / n }
+          : separate(r / 255, g / 255, b / 255, profile, blackGen);
+        return {
+          r, g, b,
+          c: Math.round(cmyk.c * 100), m: Math.round(cmyk.m * 100), y: Math.round(cmyk.y * 100), k: Math.round(cmyk.k * 100),
+          count: n
+        };
+      });
+  }
+
+  // ─── COLOUR LUT ────────────────────────────────────────────────────────────
+  // Without spots, misregistration or a separation of its own, a CMYK pixel's
+  // separation, gamut ΔE, proof and print ΔE depend on nothing but its RGB and
+  // a few settings (see lutKey). With settings.lut they are baked once into a
+  // LUT_SIZE³ table over RGB and interpolated per pixel — tetrahedral, four
+  // nodes per lookup and exact along the grey axis — instead of running the
+  // separation, the proof and the ΔE for every pixel. The plates are printed
+  // from the interpolated separation as usual, since the dot limits are steps
+  // no table interpolates; TAC and the dot loss follow from them, the gamut flag
+  // from the interpolated ΔE against the threshold. Pure black separates to K
+  // alone and its neighbours to a rich black, which no interpolation bridges:
+  // the darkest cell takes the direct path. checkLut measures how far the table
+  // strays from it elsewhere, and a table that strays further than
+  // LUT_TOLERANCE at its cell centres is not used (see colourTable): TAC and
+  // the gamut flag are what the ink limit and gamut warnings rest on.
+
+  const LUT_SIZE = 33;
+  // Channels per node: separation c, m, y, k (0-1), gamut ΔE, proof r, g, b
+  // (0-255) and print ΔE
+  const LUT_CHANNELS = 9;
+  const LUT_GAMUT = 4;
+  const LUT_PROOF = 5;
+  const LUT_PRINT_DE = 8;
+  const LUT_CACHE_SIZE = 4;        // tables kept, most recently used first
+  const LUT_CHECK_SAMPLES = 4096;  // points checkLut compares
+  // Largest TAC error (percent) and share of gamut flags flipped (percent of the points) a table may have
+  const LUT_TOLERANCE = { maxTacError: 5, gamutFlipPercent: 0.5 };
+
+  const lutCache = [];  // { key, iccProfile, paperType, lut }
+
+  /**
+   * Whether processImage may take the LUT path for these settings; colourTable
+   * decides whether the table is close enough to take it.
+   * @param {object} settings - as processImage
+   * @param {Float32Array|null} [separation]
+   * @returns {boolean}
+   */
+  function usesLut(settings, separation = null) {
+    return !!settings.lut && !separation
+      && !(settings.multitone && settings.multitone.length) && !settings.extendedGamut
+      && !(settings.spots && settings.spots.length)
+      && !(settings.misregistration && isMisregistered(settings.misregistration.offsets));
+  }
+
+  // The settings a table is baked from; settings.profile is compared by identity
+  function lutKey(settings) {
+    return JSON.stringify([settings.paperType, settings.dotGain, settings.tviCurves || null,
+      settings.blackGeneration || DEFAULT_BLACK_GENERATION]);
+  }
+
+  /**
+   * The colour table for these settings, baked or from the cache.
+   * @param {object} settings - as processImage
+   * @returns {{size: number, data: Float32Array}} LUT_CHANNELS values per node, b fastest
+   */
+  function buildLut(settings) {
+    const iccProfile = settings.profile || null;
+    const key = lutKey(settings);
+    const hit = lutCache.findIndex(entry => entry.key === key && entry.iccProfile === iccProfile);
+    if (hit >= 0) {
+      const [entry] = lutCache.splice(hit, 1);
+      lutCache.unshift(entry);
+      return entry.lut;
+    }
+
+    const { paperType } = settings;
+    const paper = PAPER_PROFILES[paperType];
+    const curves = toneCurves(paperType, settings.dotGain, settings.tviCurves);
+    const blackGen = settings.blackGeneration || DEFAULT_BLACK_GENERATION;
+    const grid = buildGamutGrid(paperType, iccProfile);
+    const press = proofModel(paperType, iccProfile);
+    const size = LUT_SIZE;
+    const step = 255 / (size - 1);
+    const data = new Float32Array(size * size * size * LUT_CHANNELS);
+    let o = 0;
+    for (let ri = 0; ri < size; ri++) {
+      for (let gi = 0; gi < size; gi++) {
+        for (let bi = 0; bi < size; bi++) {
+          const r = ri * step, g = gi * step, b = bi * step;
+          const sep = separate(r / 255, g / 255, b / 255, iccProfile, blackGen);
+          const plates = [sep.c, sep.m, sep.y, sep.k];
+          const printed = plates.map((v, i) => printedInk(v, curves[i], paper, GAMUT_REDUCTION_SHARE[i]));
+          const proof = proofToRgb(...printed, iccProfile, press);
+          const lab = Science.xyzToLab(...Science.srgbToXyzD50(r / 255, g / 255, b / 255));
+          data.set(plates, o);
+          data[o + LUT_GAMUT] = gamutDeltaE(grid, r, g, b);
+          data[o + LUT_PROOF] = proof.r;
+          data[o + LUT_PROOF + 1] = proof.g;
+          data[o + LUT_PROOF + 2] = proof.b;
+          data[o + LUT_PRINT_DE] = Science.deltaE2000(lab, Science.srgb8ToLab(proof.r, proof.g, proof.b));
+          o += LUT_CHANNELS;
+        }
+      }
+    }
+
+    const lut = { size, data };
+    lutCache.unshift({ key, iccProfile, paperType, lut });
+    if (lutCache.length > LUT_CACHE_SIZE) lutCache.length = LUT_CACHE_SIZE;
+    return lut;
+  }
+
+  /**
+   * The colour table for these settings, or null when checkLut finds it
+   * outside LUT_TOLERANCE at its cell centres. The verdict is kept with the table.
+   * @param {object} settings - as processImage
+   * @returns {{size: number, data: Float32Array, check: object}|null}
+   */
+  function colourTable(settings) {
+    const lut = buildLut(settings);
+    if (!lut.check) lut.check = checkLut(settings);
+    return lut.check.withinTolerance ? lut : null;
+  }
+
+  /**
+   * Tetrahedral interpolation of every channel of the table at one colour.
+   * @param {{size: number, data: Float32Array}} lut
+   * @param {number} r - 0-255
+   * @param {number} g
+   * @param {number} b
+   * @param {Float64Array} [out] - LUT_CHANNELS values, reused between calls
+   * @returns {Float64Array|null} out, the proof rounded to whole 0-255 values;
+   *   null in the darkest cell, which is separated directly
+   */
+  function lookupLut(lut, r, g, b, out = new Float64Array(LUT_CHANNELS)) {
+    const n = lut.size - 1;
+    const d = lut.data;
+    const fr = r * n / 255, fg = g * n / 255, fb = b * n / 255;
+    if (fr < 1 && fg < 1 && fb < 1) return null;
+    const ri = Math.min(n - 1, fr | 0), gi = Math.min(n - 1, fg | 0), bi = Math.min(n - 1, fb | 0);
+    const tr = fr - ri, tg = fg - gi, tb = fb - bi;
+    const dr = lut.size * lut.size * LUT_CHANNELS, dg = lut.size * LUT_CHANNELS, db = LUT_CHANNELS;
+    const o = ri * dr + gi * dg + bi * db;
+
+    // The tetrahedron holding the point: from the corner at o through two
+    // edge-adjacent corners, in the order of tr, tg, tb, to the opposite corner
+    let o1, o2, w0, w1, w2, w3;
+    if (tr >= tg) {
+      if (tg >= tb)      { o1 = dr; o2 = dr + dg; w0 = 1 - tr; w1 = tr - tg; w2 = tg - tb; w3 = tb; }
+      else if (tr >= tb) { o1 = dr; o2 = dr + db; w0 = 1 - tr; w1 = tr - tb; w2 = tb - tg; w3 = tg; }
+      else               { o1 = db; o2 = dr + db; w0 = 1 - tb; w1 = tb - tr; w2 = tr - tg; w3 = tg; }
+    } else if (tb >= tg) { o1 = db; o2 = dg + db; w0 = 1 - tb; w1 = tb - tg; w2 = tg - tr; w3 = tr; }
+    else if (tb >= tr)   { o1 = dg; o2 = dg + db; w0 = 1 - tg; w1 = tg - tb; w2 = tb - tr; w3 = tr; }
+    else                 { o1 = dg; o2 = dr + dg; w0 = 1 - tg; w1 = tg - tr; w2 = tr - tb; w3 = tb; }
+    const o3 = dr + dg + db;
+
+    for (let c = 0; c < LUT_CHANNELS; c++) {
+      out[c] = w0 * d[o + c] + w1 * d[o + o1 + c] + w2 * d[o + o2 + c] + w3 * d[o + o3 + c];
+    }
+    for (let c = LUT_PROOF; c < LUT_PROOF + 3; c++) out[c] = Math.min(255, Math.max(0, Math.round(out[c])));
+    return out;
+  }
+
+  /**
+   * Compare the table with the direct path — the accuracy check. Samples the
+   * given pixels, or without them the centres of the table's cells, where it
+   * is least accurate; those in the darkest cell, which the table leaves to the
+   * direct path, are not counted.
+   * @param {object} settings - as processImage
+   * @param {Uint8ClampedArray|null} [pixels] - RGBA pixels to sample
+   * @param {number} [samples]
+   * @returns {{samples: number, meanDeltaE: number, maxDeltaE: number, maxInkError: number,
+   *   maxTacError: number, maxPrintDeltaEError: number, gamutFlips: number, withinTolerance: boolean}}
+   *   proof ΔE2000, plate and TAC errors in percent, samples whose gamut flag
+   *   changes, and whether that is within LUT_TOLERANCE
+   */
+  function checkLut(settings, pixels = null, samples = LUT_CHECK_SAMPLES) {
+    const lut = buildLut(settings);
+    const { paperType } = settings;
+    const iccProfile = settings.profile || null;
+    const paper = PAPER_PROFILES[paperType];
+    const curves = toneCurves(paperType, settings.dotGain, settings.tviCurves);
+    const blackGen = settings.blackGeneration || DEFAULT_BLACK_GENERATION;
+    const grid = buildGamutGrid(paperType, iccProfile);
+    const press = proofModel(paperType, iccProfile);
+    const threshold = settings.gamutThreshold || DEFAULT_GAMUT_THRESHOLD;
+
+    const points = [];
+    if (pixels) {
+      const count = pixels.length / 4;
+      const stride = Math.max(1, Math.floor(count / samples));
+      for (let i = 0; i < count; i += stride) {
+        if (pixels[i * 4 + 3] > 0) points.push([pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]]);
+      }
+    } else {
+      const cells = lut.size - 1;
+      const stride = Math.max(1, Math.floor(cells * cells * cells / samples));
+      const step = 255 / cells;
+      for (let n = 0; n < cells * cells * cells; n += stride) {
+        const ri = Math.floor(n / (cells * cells)), gi = Math.floor(n / cells) % cells, bi = n % cells;
+        points.push([(ri + 0.5) * step, (gi + 0.5) * step, (bi + 0.5) * step].map(Math.round));
+      }
+    }
+
+    const out = new Float64Array(LUT_CHANNELS);
+    let compared = 0, sumDeltaE = 0, maxDeltaE = 0, maxInkError = 0, maxTacError = 0, maxPrintDeltaEError = 0, gamutFlips = 0;
+    points.forEach(([r, g, b]) => {
+      // The darkest cell is not read from the table (see lookupLut)
+      if (!lookupLut(lut, r, g, b, out)) return;
+      compared++;
+      const sep = separate(r / 255, g / 255, b / 255, iccProfile, blackGen);
+      const print = (plates, i) => printedInk(plates[i], curves[i], paper, GAMUT_REDUCTION_SHARE[i]);
+      const printed = [0, 1, 2, 3].map(i => print([sep.c, sep.m, sep.y, sep.k], i));
+      const proof = proofToRgb(...printed, iccProfile, press);
+      const deltaE = gamutDeltaE(grid, r, g, b);
+
+      const proofDeltaE = printDeltaE(proof.r, proof.g, proof.b, { r: out[LUT_PROOF], g: out[LUT_PROOF + 1], b: out[LUT_PROOF + 2] });
+      sumDeltaE += proofDeltaE;
+      maxDeltaE = Math.max(maxDeltaE, proofDeltaE);
+      let tacError = 0;
+      printed.forEach((v, i) => {
+        const error = (print(out, i) - v) * 100;
+        maxInkError = Math.max(maxInkError, Math.abs(error));
+        tacError += error;
+      });
+      maxTacError = Math.max(maxTacError, Math.abs(tacError));
+      maxPrintDeltaEError = Math.max(maxPrintDeltaEError, Math.abs(out[LUT_PRINT_DE] - printDeltaE(r, g, b, proof)));
+      if ((out[LUT_GAMUT] > threshold) !== (deltaE > threshold)) gamutFlips++;
+    });
+
+    const round = v => Math.round(v * 100) / 100;
+    return {
+      samples: compared,
+      meanDeltaE: round(compared ? sumDeltaE / compared : 0),
+      maxDeltaE: round(maxDeltaE),
+      maxInkError: round(maxInkError),
+      maxTacError: round(maxTacError),
+      maxPrintDeltaEError: round(maxPrintDeltaEError),
+      gamutFlips,
+      withinTolerance: maxTacError <= LUT_TOLERANCE.maxTacError
+        && gamutFlips <= compared * LUT_TOLERANCE.gamutFlipPercent / 100
+    };
+  }
+
+  // ─── IMAGE CACHE ───────────────────────────────────────────────────────────
+  // Besides its buffers, an image job keeps what it worked out per pixel before
+  // compositing — the planes: each plate as printed (dot limits, dot gain, the
+  // shift of a misregistered plate), which plates lose dots, and the spot ink a
+  // pixel prints with. Along with the TAC and gamut masks (tacPixels,
+  // gamutPixels), which do not depend on the plates shown, that is all a change
+  // of the plates shown or of the paper simulation needs: createCompositeJob
+  // redraws the preview from the planes without separating the image again. The
+  // job itself composites through the same code, so both draw the same pixels.
+  //
+  // planes: {
+  //   inkCount,     plates per pixel: 4 (CMYK), 7 (CMYKOGV) or the multitone inks
+  //   plates,       Float32Array, inkCount per pixel, printed coverage 0-1
+  //   cmykPlates,   Float32Array, 4 per pixel: CMYKOGV only, the CMYK-alone print
+  //   dotLoss,      Uint8Array: CMYK only, bit p dropout and bit 4 + p plugging of plate p
+  //   spotIndex,    Int16Array: with spots, the spot ink matched, -1 for none
+  //   spotCover,    Float32Array: the spot's coverage
+  //   spotProcess,  Float32Array, 4 per pixel: the spot colour built from CMYK, printed
+  //   proof         Uint8ClampedArray, 3 per pixel: from the colour table, the print
+  //                 with every plate (see COLOUR LUT)
+  // }
+
+  // Settings a job's planes depend on; the others (the plates shown, the paper
+  // simulation, overlays and views) only change how they are composited.
+  // tacThreshold leaves the plates alone but is among them: the conversion
+  // draws the TAC overlay, counts the pixels over the limit and classifies
+  // registration blacks with it, and a composite job redraws none of those.
+  // settings.profile is not among them: compare it by identity.
+  const CONVERSION_SETTINGS = [
+    'paperType', 'dotGain', 'tviCurves', 'gamutThreshold', 'blackGeneration', 'tacThreshold',
+    'misregistration', 'spots', 'multitone', 'extendedGamut', 'blackCheck', 'lut'
+  ];
+
+  /**
+   * Key of the settings the planes depend on: two settings with the same key
+   * (and the same profile) only differ in compositing.
+   * @param {object} settings - as processImage
+   * @returns {string}
+   */
+  function conversionKey(settings) {
+    return JSON.stringify(CONVERSION_SETTINGS.map(name => (name === 'multitone' && settings.multitone
+      ? settings.multitone.map(ink => Object.assign({}, ink, { show: undefined }))
+      : settings[name])));
+  }
+
+  // Profile, press, inks and paper a job composites with
+  function compositeSetup(settings) {
+    const { paperType } = settings;
+    const iccProfile = settings.profile || null;
+    const press = proofModel(paperType, iccProfile);
+    const multitone = settings.multitone && settings.multitone.length ? settings.multitone : null;
+    const extended = !multitone && settings.extendedGamut ? buildExtendedGrid(paperType, settings.extendedGamut) : null;
+    return {
+      iccProfile,
+      press,
+      inks: multitone ? prepareMultitone(multitone, iccProfile, press) : null,
+      extended,
+      spots: !multitone && !extended && settings.spots && settings.spots.length ? prepareSpots(settings.spots) : null,
+      substrate: settings.simulatePaper ? paperSubstrate(paperType, settings.paperWhite, iccProfile) : null
+    };
+  }
+
+  // Draws pixels from the planes into the shown buffers: pixel(i) composites
+  // pixel i with the plates shown and returns its colour before the substrate
+  // (null if transparent), print(i) that colour with every plate
+  function createCompositor(sourcePixels, planes, settings, setup) {
+    const { iccProfile, press, inks, extended, spots, substrate } = setup;
+    const n = planes.inkCount;
+    const show = inks ? inks.map(ink => ink.show)
+      : [settings.showC, settings.showM, settings.showY, settings.showK,
+        settings.showO !== false, settings.showG !== false, settings.showV !== false].slice(0, n);
+
+    const outputPixels = new Uint8ClampedArray(sourcePixels.length);
+    const spotProcessPixels = planes.spotIndex ? new Uint8ClampedArray(sourcePixels.length) : null;
+    const extendedCmykPixels = planes.cmykPlates ? new Uint8ClampedArray(sourcePixels.length) : null;
+    const dotLossPixels = planes.dotLoss ? new Uint8ClampedArray(sourcePixels.length) : null;
+
+    function write(out, idx, rgb, a) {
+      const shown = substrate ? onPaper(rgb, substrate) : rgb;
+      out[idx] = shown.r;
+      out[idx + 1] = shown.g;
+      out[idx + 2] = shown.b;
+      out[idx + 3] = a;
+    }
+
+    const allShown = show.every(Boolean);
+
+    // Plate j of pixel i as composited
+    const plate = (i, j, masked) => (masked && !show[j] ? 0 : planes.plates[i * n + j]);
+
+    function proof(i, masked) {
+      // The colour table's proof holds for every plate printed (see COLOUR LUT)
+      if (planes.proof && (allShown || !masked)) {
+        return { r: planes.proof[i * 3], g: planes.proof[i * 3 + 1], b: planes.proof[i * 3 + 2] };
+      }
+      if (inks || extended) {
+        const printed = [];
+        for (let j = 0; j < n; j++) printed.push(plate(i, j, masked));
+        return inks ? multitoneProof(inks, printed, iccProfile, press) : extendedProof(extended, printed);
+      }
+      const rgb = proofToRgb(plate(i, 0, masked), plate(i, 1, masked), plate(i, 2, masked), plate(i, 3, masked), iccProfile, press);
+      const spot = planes.spotIndex ? planes.spotIndex[i] : -1;
+      return spot >= 0 ? compositeSpot(rgb, spots[spot], planes.spotCover[i]) : rgb;
+    }
+
+    // The CMYK plates of a 4-per-pixel plane, those not shown at 0
+    const shownCmyk = (plane, i) => [0, 1, 2, 3].map(j => (show[j] ? plane[i * 4 + j] : 0));
+
+    function pixel(i) {
+      const idx = i * 4;
+      const a = sourcePixels[idx + 3];
+      if (a === 0) {
+        outputPixels[idx] = 255;
+        outputPixels[idx + 1] = 255;
+        outputPixels[idx + 2] = 255;
+        outputPixels[idx + 3] = 255;
+        return null;
+      }
+
+      const rgb = proof(i, true);
+      write(outputPixels, idx, rgb, a);
+
+      // Spot to process — the same pixel with the spot's colour built from CMYK
+      if (spotProcessPixels) {
+        const built = planes.spotIndex[i] >= 0 ? proofToRgb(...shownCmyk(planes.spotProcess, i), iccProfile, press) : rgb;
+        write(spotProcessPixels, idx, built, a);
+      }
+      // The same pixel printed with CMYK alone on the CMYKOGV press
+      if (extendedCmykPixels) write(extendedCmykPixels, idx, extendedProof(extended.cmyk, shownCmyk(planes.cmykPlates, i).concat([0, 0, 0])), a);
+      // Dot loss of the plates shown
+      if (dotLossPixels) {
+        const bits = planes.dotLoss[i];
+        let dropout = false, plugging = false;
+        for (let j = 0; j < 4; j++) {
+          if (!show[j]) continue;
+          if (bits & (1 << j)) dropout = true;
+          if (bits & (16 << j)) plugging = true;
+        }
+        dotLossOverlayColor(dropout, plugging, dotLossPixels, idx);
+      }
+      return rgb;
+    }
+
+    return {
+      outputPixels,
+      spotProcessPixels,
+      extendedCmykPixels,
+      dotLossPixels,
+      allShown,
+      pixel,
+      print: i => proof(i, false)
+    };
+  }
+
+  /**
+   * Set up the redrawing of a processed image from its planes for other
+   * compositing settings (see conversionKey), in steps as createImageJob.
+   * @param {Uint8ClampedArray} sourcePixels - the job's RGBA pixels
+   * @param {object} planes - the job's result.planes
+   * @param {object} settings - as processImage, the same conversion settings
+   * @returns {{pixelCount: number, step: function(number=): number, finish: function(): object}}
+   *   finish() returns outputPixels, spotProcessPixels, extendedCmykPixels and dotLossPixels
+   */
+  function createCompositeJob(sourcePixels, planes, settings) {
+    const compositor = createCompositor(sourcePixels, planes, settings, compositeSetup(settings));
+    const pixelCount = sourcePixels.length / 4;
+    let i = 0;
+
+    function step(count = pixelCount) {
+      const end = Math.min(i + count, pixelCount);
+      for (; i < end; i++) compositor.pixel(i);
+      return i;
+    }
+
+    function finish() {
+      const { outputPixels, spotProcessPixels, extendedCmykPixels, dotLossPixels } = compositor;
+      return { outputPixels, spotProcessPixels, extendedCmykPixels, dotLossPixels };
+    }
+
+    return { pixelCount, step, finish };
+  }
+
+  /**
+   * Redraw a processed image from its planes in one go (see createCompositeJob).
+   * @returns {object} the redrawn buffers
+   */
+  function compositeImage(sourcePixels, planes, settings) {
+    const job = createCompositeJob(sourcePixels, planes, settings);
+    job.step();
+    return job.finish();
+  }
+
+  // ─── FULL IMAGE PROCESSING ─────────────────────────────────────────────────
+  /**
+   * Set up the processing of an image, to run in steps: step(count) processes
+   * the next count pixels (all by default) and returns how many are done;
+   * finish() then computes the stats and returns the result. The main thread
+   * yields between steps, processImage runs it in one go.
+   *
+   * @param {Uint8ClampedArray} sourcePixels - Original RGBA pixels
    * @param {object} settings
    * @param {string} settings.paperType
-   * @param {number} settings.dotGain - 0-1 (0.15 = 15%)
+   * @param {number} settings.dotGain - TVI at 50% for CMY, 0-1 (0.14 = 14%)
+   * @param {{cmy: string, k: string}|null} [settings.tviCurves] - ISO curves, default the paper's
    * @param {boolean} settings.showC
    * @param {boolean} settings.showM
    * @param {boolean} settings.showY
    * @param {boolean} settings.showK
-   * @param {boolean} settings.gamutOverlay
-   * @returns {object} processed result
+   * @param {number} [settings.gamutThreshold] - ΔE*ab above which a pixel is out of gamut
+   * @param {object|null} [settings.profile] - parsed IccProfile; null uses the formula
+   * @param {object} [settings.blackGeneration] - see DEFAULT_BLACK_GENERATION
+   * @param {number} [settings.tacThreshold] - 0-400, defaults to the paper's ink limit
+   * @param {boolean} [settings.simulatePaper] - show the simulation on the paper's
+   *   white with its ink absorption (see SUBSTRATE); the stats stay relative
+   * @param {{r, g, b}|null} [settings.paperWhite] - custom paper white, sRGB 0-255
+   * @param {object|null} [settings.misregistration] - { width, height, offsets }, plate
+   *   offsets in image pixels (see misregister); the simulation then shows the
+   *   shifted plates, TAC stays that of the file
+   * @param {Array<{name, lab, opacity, tolerance}>} [settings.spots] - spot inks; matching
+   *   colours print with them (see SPOT COLOURS) and spotProcessPixels shows them built
+   *   from CMYK
+   * @param {Array<object>|null} [settings.multitone] - duotone / tritone inks (see
+   *   MULTITONE); they replace the CMYK separation, spots and misregistration, and
+   *   multitonePlates holds each ink's plate (0-255)
+   * @param {{o, g, v}|null} [settings.extendedGamut] - seven-colour (CMYKOGV) printing
+   *   with these orange, green and violet solids (see EXTENDED GAMUT): replaces the
+   *   separation, spots and misregistration like multitone; extendedPlates holds the
+   *   seven plates, extendedCmykPixels the image printed with CMYK alone on the same
+   *   press, and the gamut check compares the two
+   * @param {boolean} [settings.showO] - likewise showG, showV; default true
+   * dotLossPixels marks highlight dropout and shadow plugging (see DOT LIMITS) of the
+   *   plates shown, stats.dotLoss counts it per plate; both CMYK only
+   * @param {{width, height, minWidth}|null} [settings.blackCheck] - classify near-black
+   *   pixels and find small rich-black features thinner than minWidth image pixels
+   *   (see BLACK CHECK); blackPixels is the overlay, stats.blacks the figures
+   * @param {boolean} [settings.lut] - take a plain CMYK pixel's separation, plates,
+   *   gamut ΔE, proof and print ΔE from the colour table (see COLOUR LUT)
+   * @param {Float32Array|null} [separation] - CMYK 0-1 per pixel to use instead of
+   *   separating the RGB (e.g. from correctSeparation)
+   * @param {{width, top, bottom, offset}|null} [settings.tile] - process one tile of a
+   *   larger image (see TILED PROCESSING): top and bottom are context rows, offset
+   *   the index of the first row's first pixel in the whole image
+   * The result's planes are what the preview was drawn from, to redraw it for
+   *   other plates shown or paper simulation (see IMAGE CACHE); its totals are
+   *   the counts behind the stats
+   * @returns {{pixelCount: number, step: function(number=): number, finish: function(): object}}
    */
-  function processImage(sourcePixels, settings) {
-    const { paperType, dotGain, showC, showM, showY, showK, gamutOverlay } = settings;
+  function createImageJob(sourcePixels, settings, separation = null) {
+    const { paperType, dotGain } = settings;
+    const blackGen = settings.blackGeneration || DEFAULT_BLACK_GENERATION;
+    const threshold = settings.gamutThreshold || DEFAULT_GAMUT_THRESHOLD;
+    // Multitone prints the image's tone with its own inks; seven-colour printing
+    // separates with the ink model (see EXTENDED GAMUT)
+    const setup = compositeSetup(settings);
+    const { iccProfile, press, inks, extended, spots } = setup;
+    const multitone = inks ? settings.multitone : null;
+    const grid = buildGamutGrid(paperType, iccProfile);
     const profile = PAPER_PROFILES[paperType];
+    const tacThreshold = settings.tacThreshold || profile.inkLimit;
     const gain = dotGain;
     const pixelCount = sourcePixels.length / 4;
+    // A tile's context rows are separated but neither drawn nor counted (see TILED PROCESSING)
+    const tile = settings.tile || null;
+    const first = tile ? tile.top * tile.width : 0;
+    const last = tile ? pixelCount - tile.bottom * tile.width : pixelCount;
 
-    const outputPixels = new Uint8ClampedArray(sourcePixels.length);
     const gamutPixels = new Uint8ClampedArray(sourcePixels.length);
+    const deltaEPixels = new Uint8ClampedArray(sourcePixels.length);
+    const tacPixels = new Uint8ClampedArray(sourcePixels.length);
+    const deltaEStats = createDeltaEStats();
+
+    const multitonePlates = inks ? inks.map(() => new Uint8ClampedArray(pixelCount)) : null;
+    const extendedPlates = extended ? EXTENDED_INK_NAMES.map(() => new Uint8ClampedArray(pixelCount)) : null;
+    const inkCount = inks ? inks.length : extended ? EXTENDED_INK_NAMES.length : 0;
+    const inkArea = new Float64Array(inkCount);
+    const inkSum = new Float64Array(inkCount);
+    let cmykOutOfGamutCount = 0;
+    let recoveredCount = 0;
+
+    const misreg = !multitone && !extended && settings.misregistration && isMisregistered(settings.misregistration.offsets)
+      ? settings.misregistration : null;
+    if (misreg && !separation) separation = separateImage(sourcePixels, iccProfile, blackGen);
+    const printed = misreg ? misregister(separation, misreg.width, misreg.height, misreg.offsets) : null;
+    const fringePixels = misreg ? new Uint8ClampedArray(sourcePixels.length) : null;
+    let fringeCount = 0;
+    const blackCheck = !multitone && !extended && settings.blackCheck && settings.blackCheck.width * settings.blackCheck.height === pixelCount
+      ? settings.blackCheck : null;
+    const blackClasses = blackCheck ? new Uint8Array(pixelCount) : null;
+    const lut = usesLut(settings, separation) ? colourTable(settings) : null;
+    const lutValues = lut ? new Float64Array(LUT_CHANNELS) : null;
+    const spotArea = spots ? new Float64Array(spots.length) : null;
+    const spotInk = spots ? new Float64Array(spots.length) : null;
+
+    // Printed area per plate: dot limits, dot gain, then the paper's gamut reduction
+    const curves = toneCurves(paperType, gain, settings.tviCurves);
+    const dots = dotLimits(paperType);
+    const gained = (v, ink, share = GAMUT_REDUCTION_SHARE[ink]) => printedInk(v, curves[ink], profile, share);
+    // A pixel's plates as filed: from the colour table, the separation given or the RGB separated
+    const fileInk = (idx, r, g, b, baked) => (baked ? { c: baked[0], m: baked[1], y: baked[2], k: baked[3] }
+      : separation ? { c: separation[idx], m: separation[idx + 1], y: separation[idx + 2], k: separation[idx + 3] }
+      : separate(r / 255, g / 255, b / 255, iccProfile, blackGen));
+
+    // What the preview is drawn from (see IMAGE CACHE)
+    const plateCount = inkCount || 4;
+    const planes = {
+      inkCount: plateCount,
+      plates: new Float32Array(pixelCount * plateCount),
+      cmykPlates: extended ? new Float32Array(pixelCount * 4) : null,
+      dotLoss: !multitone && !extended ? new Uint8Array(pixelCount) : null,
+      spotIndex: spots ? new Int16Array(pixelCount).fill(-1) : null,
+      spotCover: spots ? new Float32Array(pixelCount) : null,
+      spotProcess: spots ? new Float32Array(pixelCount * 4) : null,
+      proof: lut ? new Uint8ClampedArray(pixelCount * 3) : null
+    };
+    const compositor = createCompositor(sourcePixels, planes, settings, setup);
+    const { outputPixels, spotProcessPixels, extendedCmykPixels, dotLossPixels } = compositor;
+    // Print ΔE is always against the full print, whatever plates are shown
+    const fullPrint = (rgb, i) => (compositor.allShown ? rgb : compositor.print(i));
+
+    // Tonal loss of the CMYK plates: counts per plate, and pixels where any plate loses
+    const dropoutCounts = [0, 0, 0, 0];
+    const pluggingCounts = [0, 0, 0, 0];
+    let dropoutCount = 0;
+    let pluggingCount = 0;
 
     let totalTAC = 0;
     let maxTAC = 0;
+    let overLimitCount = 0;
     let outOfGamutCount = 0;
+    let outOfGamutDeltaE = 0;
+    let maxGamutDeltaE = 0;
     let processedCount = 0;
 
-    for (let i = 0; i < pixelCount; i++) {
-      const idx = i * 4;
-      const r = sourcePixels[idx];
-      const g = sourcePixels[idx + 1];
-      const b = sourcePixels[idx + 2];
-      const a = sourcePixels[idx + 3];
+    let i = first;
 
-      // Skip transparent pixels
-      if (a === 0) {
-        outputPixels[idx] = 255;
-        outputPixels[idx + 1] = 255;
-        outputPixels[idx + 2] = 255;
-        outputPixels[idx + 3] = 255;
-        gamutPixels[idx] = 255;
-        gamutPixels[idx + 1] = 255;
-        gamutPixels[idx + 2] = 255;
-        gamutPixels[idx + 3] = 0;
-        continue;
-      }
+    // Pixels up to i + count; returns how many are done
+    function step(count = last - first) {
+      const end = Math.min(i + count, last);
+      for (; i < end; i++) {
+        const idx = i * 4;
+        const r = sourcePixels[idx];
+        const g = sourcePixels[idx + 1];
+        const b = sourcePixels[idx + 2];
+        const a = sourcePixels[idx + 3];
+
+        // Skip transparent pixels
+        if (a === 0) {
+          compositor.pixel(i);
+          gamutPixels[idx] = 255;
+          gamutPixels[idx + 1] = 255;
+          gamutPixels[idx + 2] = 255;
+          gamutPixels[idx + 3] = 0;
+          deltaEPixels[idx + 3] = 0;
+          tacPixels[idx + 3] = 0;
+          continue;
+        }
+
+        if (inks) {
+          const plates = multitoneSeparate(inks, r, g, b);
+          const printed = plates.map((v, j) => gained(v, inks[j].tvi, inks[j].share));
+          let tac = 0;
+          for (let j = 0; j < printed.length; j++) {
+            multitonePlates[j][i] = Math.round(plates[j] * 255);
+            planes.plates[i * plateCount + j] = printed[j];
+            tac += printed[j] * 100;
+            if (printed[j] >= SPOT_MIN_TINT) inkArea[j]++;
+            inkSum[j] += printed[j];
+          }
+          totalTAC += tac;
+          if (tac > maxTAC) maxTAC = tac;
+          if (tac > tacThreshold) overLimitCount++;
+          tacOverlayColor(tac, tacThreshold, tacPixels, idx);
+
+          const print = fullPrint(compositor.pixel(i), i);
+
+          // No gamut check: the CMYK gamut says nothing about these inks
+          const printDE = printDeltaE(r, g, b, print);
+          addDeltaE(deltaEStats, printDE);
+          deltaEHeatColor(printDE, deltaEPixels, idx);
+          processedCount++;
+          continue;
+        }
+
+        if (extended) {
+          // The ink model's solids already carry the paper's gamut reduction
+          const plates = extendedSeparate(extended, r, g, b);
+          const printed = plates.map((v, j) => gained(v, EXTENDED_TVI[j], 0));
+          let tac = 0;
+          for (let j = 0; j < printed.length; j++) {
+            extendedPlates[j][i] = Math.round(plates[j] * 255);
+            planes.plates[i * plateCount + j] = printed[j];
+            tac += printed[j] * 100;
+            if (printed[j] >= SPOT_MIN_TINT) inkArea[j]++;
+            inkSum[j] += printed[j];
+          }
+          totalTAC += tac;
+          if (tac > maxTAC) maxTAC = tac;
+          if (tac > tacThreshold) overLimitCount++;
+          tacOverlayColor(tac, tacThreshold, tacPixels, idx);
+
+          // Gamut: what is left out with seven colours, and what they bring in
+          const cmykDeltaE = gamutDeltaE(extended.cmyk, r, g, b);
+          const deltaE = gamutDeltaE(extended, r, g, b);
+          if (cmykDeltaE > threshold) {
+            cmykOutOfGamutCount++;
+            if (deltaE <= threshold) recoveredCount++;
+          }
+          if (deltaE > threshold) {
+            outOfGamutCount++;
+            outOfGamutDeltaE += deltaE;
+          }
+          if (deltaE > maxGamutDeltaE) maxGamutDeltaE = deltaE;
+          extendedGamutOverlayColor(cmykDeltaE, deltaE, threshold, gamutPixels, idx);
+
+          // The same pixel printed with CMYK alone on the same press
+          extendedSeparate(extended.cmyk, r, g, b).slice(0, 4).forEach((v, j) => {
+            planes.cmykPlates[i * 4 + j] = gained(v, EXTENDED_TVI[j], 0);
+          });
+          const print = fullPrint(compositor.pixel(i), i);
+
+          const printDE = printDeltaE(r, g, b, print);
+          addDeltaE(deltaEStats, printDE);
+          deltaEHeatColor(printDE, deltaEPixels, idx);
+          processedCount++;
+          continue;
+        }
+
+        // Convert to CMYK
+        const baked = lut ? lookupLut(lut, r, g, b, lutValues) : null;
+        let { c, m, y, k } = fileInk(idx, r, g, b, baked);
+
+        // Colours a spot ink prints come off the process plates
+        const spot = spots ? matchSpot(spots, Science.srgb8ToLab(r, g, b)) : null;
+        const knockout = spot ? 1 - spot.weight : 1;
+        const spotCover = spot ? spot.tint * spot.weight : 0;
+        const process = spot ? { c, m, y, k } : null;
+        c *= knockout; m *= knockout; y *= knockout; k *= knockout;
+        if (blackClasses) blackClasses[i] = classifyBlack(c, m, y, k, tacThreshold);
+
+        // Dots outside the printable range, per plate
+        let lossBits = 0;
+        [c, m, y, k].forEach((v, p) => {
+          const loss = dotLoss(v, dots.min, dots.max);
+          if (loss === DOT_LOSS.dropout) {
+            dropoutCounts[p]++;
+            lossBits |= 1 << p;
+          } else if (loss === DOT_LOSS.plugging) {
+            pluggingCounts[p]++;
+            lossBits |= 16 << p;
+          }
+        });
+        if (lossBits & 0x0f) dropoutCount++;
+        if (lossBits & 0xf0) pluggingCount++;
+        planes.dotLoss[i] = lossBits;
+
+        // Dot limits, dot gain and the paper's gamut reduction
+        c = gained(c, 0);
+        m = gained(m, 1);
+        y = gained(y, 2);
+        k = gained(k, 3);
 
-      // Convert to CMYK
-      let { c, m, y, k } = rgbToCmyk(r / 255, g / 255, b / 255);
+        // What reaches the paper — the same inks, each plate shifted when misregistered
+        const pc = printed ? gained(printed[idx] * knockout, 0) : c;
+        const pm = printed ? gained(printed[idx + 1] * knockout, 1) : m;
+        const py = printed ? gained(printed[idx + 2] * knockout, 2) : y;
+        const pk = printed ? gained(printed[idx + 3] * knockout, 3) : k;
+        planes.plates[idx] = pc;
+        planes.plates[idx + 1] = pm;
+        planes.plates[idx + 2] = py;
+        planes.plates[idx + 3] = pk;
+        if (spot) {
+          planes.spotIndex[i] = spot.index;
+          planes.spotCover[i] = spotCover;
+          planes.spotProcess[idx] = gained(process.c, 0);
+          planes.spotProcess[idx + 1] = gained(process.m, 1);
+          planes.spotProcess[idx + 2] = gained(process.y, 2);
+          planes.spotProcess[idx + 3] = gained(process.k, 3);
+          spotArea[spot.index]++;
+          spotInk[spot.index] += spotCover;
+        }
 
-      // Apply dot gain (non-linear curve)
-      c = applyDotGain(c, gain, profile.shadowGain, profile.highlightGain);
-      m = applyDotGain(m, gain, profile.shadowGain, profile.highlightGain);
-      y = applyDotGain(y, gain, profile.shadowGain, profile.highlightGain);
-      k = applyDotGain(k, gain, profile.shadowGain, profile.highlightGain);
+        // Calculate TAC — every ink, spots included
+        const tac = totalInkCoverage(c, m, y, k) + spotCover * 100;
+        totalTAC += tac;
+        if (tac > maxTAC) maxTAC = tac;
+        if (tac > tacThreshold) overLimitCount++;
+        tacOverlayColor(tac, tacThreshold, tacPixels, idx);
 
-      // Apply gamut reduction for paper type
-      if (profile.gamutReduction > 0) {
-        c = Math.min(1, c * (1 + profile.gamutReduction * 0.5));
-        m = Math.min(1, m * (1 + profile.gamutReduction * 0.3));
-        y = Math.min(1, y * (1 + profile.gamutReduction * 0.3));
+        // Gamut check — what the spot prints is not up to the process inks
+        const deltaE = (baked ? baked[LUT_GAMUT] : gamutDeltaE(grid, r, g, b)) * knockout;
+        if (deltaE > threshold) {
+          outOfGamutCount++;
+          outOfGamutDeltaE += deltaE;
+        }
+        if (deltaE > maxGamutDeltaE) maxGamutDeltaE = deltaE;
+
+        // Convert back to RGB for display, and the full print for ΔE
+        if (lut) {
+          const rgb = baked ? { r: baked[LUT_PROOF], g: baked[LUT_PROOF + 1], b: baked[LUT_PROOF + 2] }
+            : proofToRgb(planes.plates[idx], planes.plates[idx + 1], planes.plates[idx + 2], planes.plates[idx + 3], iccProfile, press);
+          planes.proof[i * 3] = rgb.r;
+          planes.proof[i * 3 + 1] = rgb.g;
+          planes.proof[i * 3 + 2] = rgb.b;
+        }
+        const print = fullPrint(compositor.pixel(i), i);
+        const printDE = baked ? baked[LUT_PRINT_DE] : printDeltaE(r, g, b, print);
+        addDeltaE(deltaEStats, printDE);
+        deltaEHeatColor(printDE, deltaEPixels, idx);
+
+        // Fringing — where the shifted plates print visibly different from registered ones
+        if (printed) {
+          const registered = proofToRgb(c, m, y, k, iccProfile, press);
+          const fringeDE = printDeltaE(registered.r, registered.g, registered.b, print);
+          if (fringeDE > FRINGE_THRESHOLD) fringeCount++;
+          fringeOverlayColor(fringeDE, fringePixels, idx);
+        }
+
+        // Gamut overlay pixels — shaded by distance, shown when gamutOverlay is on
+        gamutOverlayColor(deltaE, threshold, gamutPixels, idx);
+
+        processedCount++;
       }
+      return i - first;
+    }
+
+    // The black class of a pixel in a context row, as step classifies the others
+    function contextBlack(j) {
+      const idx = j * 4;
+      if (sourcePixels[idx + 3] === 0) return BLACK_CLASS.none;
+      const r = sourcePixels[idx], g = sourcePixels[idx + 1], b = sourcePixels[idx + 2];
+      const { c, m, y, k } = fileInk(idx, r, g, b, lut ? lookupLut(lut, r, g, b, lutValues) : null);
+      const spot = spots ? matchSpot(spots, Science.srgb8ToLab(r, g, b)) : null;
+      const knockout = spot ? 1 - spot.weight : 1;
+      return classifyBlack(c * knockout, m * knockout, y * knockout, k * knockout, tacThreshold);
+    }
 
-      // Apply channel toggles
-      const fc = showC ? c : 0;
-      const fm = showM ? m : 0;
-      const fy = showY ? y : 0;
-      const fk = showK ? k : 0;
-
-      // Calculate TAC
-      const tac = totalInkCoverage(c, m, y, k);
-      totalTAC += tac;
-      if (tac > maxTAC) maxTAC = tac;
-
-      // Gamut check
-      const oog = isOutOfGamut(r, g, b, paperType);
-      if (oog) outOfGamutCount++;
-
-      // Convert back to RGB for display
-      const rgb = cmykToRgb(fc, fm, fy, fk);
-      outputPixels[idx] = rgb.r;
-      outputPixels[idx + 1] = rgb.g;
-      outputPixels[idx + 2] = rgb.b;
-      outputPixels[idx + 3] = a;
-
-      // Gamut overlay pixels
-      if (gamutOverlay && oog) {
-        gamutPixels[idx] = 220;
-        gamutPixels[idx + 1] = 38;
-        gamutPixels[idx + 2] = 38;
-        gamutPixels[idx + 3] = 140;
-      } else {
-        gamutPixels[idx] = 0;
-        gamutPixels[idx + 1] = 0;
-        gamutPixels[idx + 2] = 0;
-        gamutPixels[idx + 3] = 0;
+    function finish() {
+      // Black features reach into the context rows; only the tile's own are counted
+      let rows = null;
+      if (tile && blackCheck) {
+        for (let j = 0; j < pixelCount; j++) if (j < first || j >= last) blackClasses[j] = contextBlack(j);
+        rows = [tile.top, pixelCount / tile.width - tile.bottom];
       }
+      const blacks = blackCheck ? analyzeBlacks(blackClasses, blackCheck.width, blackCheck.height, blackCheck.minWidth, processedCount, rows) : null;
+
+      // The raw counts behind the stats, which add up across tiles
+      const totals = {
+        processedCount,
+        totalTAC,
+        maxTAC,
+        overLimitCount,
+        outOfGamutCount,
+        outOfGamutDeltaE,
+        maxGamutDeltaE,
+        deltaEStats,
+        fringeCount: printed ? fringeCount : null,
+        colorBuckets: colorBuckets(sourcePixels, 10, separation, first, last, tile ? tile.offset : 0),
+        separated: !!separation,
+        spotArea,
+        spotInk,
+        inkArea,
+        inkSum,
+        cmykOutOfGamutCount,
+        recoveredCount,
+        blackCounts: blacks ? blacks.counts : null,
+        dotLoss: dotLossPixels ? { dropoutCount, pluggingCount, dropoutCounts, pluggingCounts } : null
+      };
+
+      const pixels = {
+        outputPixels,
+        gamutPixels,
+        deltaEPixels,
+        tacPixels,
+        fringePixels,
+        spotProcessPixels,
+        multitonePlates,
+        extendedPlates,
+        extendedCmykPixels,
+        blackPixels: blacks ? blacks.pixels : null,
+        dotLossPixels,
+        planes
+      };
+      // A tile's buffers hold its own rows only
+      return Object.assign(tile ? cropPixels(pixels, first, last, pixelCount) : pixels, {
+        stats: summarizeTotals(totals, settings),
+        totals
+      });
+    }
+
+    return { pixelCount: last - first, step, finish };
+  }
+
+  /**
+   * Process a whole image in one go (see createImageJob).
+   * @returns {object} processed result
+   */
+  function processImage(sourcePixels, settings, separation = null) {
+    const job = createImageJob(sourcePixels, settings, separation);
+    job.step();
+    return job.finish();
+  }
+
+  // ─── TILED PROCESSING ──────────────────────────────────────────────────────
+  // An image too large to process in one go — a full-resolution poster — is
+  // processed in tiles of whole rows, each small enough for a memory budget.
+  // A tile carries context rows above and below, separated but neither drawn
+  // nor counted: the misregistered plates and the black features near its
+  // edges depend on them. Each tile's totals are merged with mergeTotals and
+  // summarized as the stats of the whole image: those processImage gives for it
+  // in one go, but for the black features, which are measured within a tile
+  // and its context — a thin rule joined to a large solid further away than
+  // that is flagged, as it would be on its own.
+
+  // Bytes a job holds per pixel at most: the pixels, every buffer and plane,
+  // the misregistered separation and the black check's working arrays
+  const TILE_BYTES_PER_PIXEL = 120;
+
+  /**
+   * Context rows a tile needs for these settings.
+   * @param {object} settings - as processImage
+   * @returns {number}
+   */
+  function tileContext(settings) {
+    let rows = 0;
+    const misreg = settings.misregistration;
+    if (misreg && isMisregistered(misreg.offsets)) {
+      rows += 1 + Math.ceil(Math.max(...PLATES.map(ch => (misreg.offsets[ch] ? Math.abs(misreg.offsets[ch].y) : 0))));
+    }
+    // A feature cut off by the tile edge still reaches minWidth thick and 4 minWidth² in area
+    if (settings.blackCheck) rows += Math.ceil(4 * settings.blackCheck.minWidth);
+    return rows;
+  }
+
+  /**
+   * Rows per tile for a memory budget.
+   * @param {number} width - image width
+   * @param {number} budget - bytes for every tile in flight
+   * @param {number} [concurrent] - tiles processed at once
+   * @param {number} [context] - context rows per side (see tileContext)
+   * @returns {number} at least 1
+   */
+  function tileRows(width, budget, concurrent = 1, context = 0) {
+    return Math.max(1, Math.floor(budget / concurrent / TILE_BYTES_PER_PIXEL / width) - 2 * context);
+  }
+
+  /**
+   * Split an image into tiles.
+   * @param {number} height - image height
+   * @param {number} rows - rows per tile (see tileRows)
+   * @param {number} [context] - context rows wanted above and below
+   * @returns {Array<{y: number, rows: number, top: number, bottom: number}>} a tile's
+   *   pixels are the image rows y - top to y + rows + bottom
+   */
+  function planTiles(height, rows, context = 0) {
+    const tiles = [];
+    for (let y = 0; y < height; y += rows) {
+      const n = Math.min(rows, height - y);
+      tiles.push({ y, rows: n, top: Math.min(context, y), bottom: Math.min(context, height - y - n) });
+    }
+    return tiles;
+  }
+
+  /**
+   * The settings to process one tile with.
+   * @param {object} settings - as processImage, for the whole image
+   * @param {{y, rows, top, bottom}} tile - from planTiles
+   * @param {number} width - image width
+   * @returns {object}
+   */
+  function tileSettings(settings, tile, width) {
+    const height = tile.top + tile.rows + tile.bottom;
+    return Object.assign({}, settings, {
+      tile: { width, top: tile.top, bottom: tile.bottom, offset: tile.y * width },
+      misregistration: settings.misregistration ? Object.assign({}, settings.misregistration, { height }) : null,
+      blackCheck: settings.blackCheck ? Object.assign({}, settings.blackCheck, { height }) : null
+    });
+  }
 
-      processedCount++;
+  // Rows from..to (in pixels) of every pixel buffer of a result: plate lists and planes included
+  function cropPixels(value, from, to, count) {
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => cropPixels(v, from, to, count));
+    if (ArrayBuffer.isView(value)) {
+      const stride = value.length / count;
+      return value.slice(from * stride, to * stride);
     }
+    const out = {};
+    for (const key in value) out[key] = cropPixels(value[key], from, to, count);
+    return out;
+  }
 
-    const avgTAC = processedCount > 0 ? totalTAC / processedCount : 0;
-    const outOfGamutPercent = processedCount > 0 ? (outOfGamutCount / processedCount) * 100 : 0;
-    const dominantColors = extractDominantColors(sourcePixels, 8);
-    const risk = assessPrintRisk(avgTAC, maxTAC, outOfGamutPercent, paperType);
+  /**
+   * Add up two job results' totals: counts and sums add, maxima take the larger.
+   * @param {object|null} a - a result's totals, or null to start
+   * @param {object} b
+   * @returns {object} new totals
+   */
+  function mergeTotals(a, b) {
+    return addTotals(a, b, false);
+  }
+
+  function addTotals(a, b, max) {
+    if (a === null || a === undefined) return b;
+    if (b === null || b === undefined) return a;
+    if (typeof a !== 'object') return typeof a !== 'number' ? a : max ? Math.max(a, b) : a + b;
+    if (ArrayBuffer.isView(a) || Array.isArray(a)) return a.map((v, i) => v + b[i]);
+    const sum = Object.assign({}, a);
+    for (const key in b) sum[key] = addTotals(a[key], b[key], key.startsWith('max'));
+    return sum;
+  }
+
+  /**
+   * The stats of a job result from its totals (or those of its tiles merged).
+   * @param {object} totals
+   * @param {object} settings - as processImage
+   * @returns {object} result.stats
+   */
+  function summarizeTotals(totals, settings) {
+    const { paperType } = settings;
+    const paper = PAPER_PROFILES[paperType];
+    const multitone = settings.multitone && settings.multitone.length ? settings.multitone : null;
+    const extended = !multitone && settings.extendedGamut;
+    const n = totals.processedCount;
+    const percent = count => (n > 0 ? Math.round(count / n * 1000) / 10 : 0);
+    const avgTAC = n > 0 ? totals.totalTAC / n : 0;
+    const outOfGamutPercent = n > 0 ? (totals.outOfGamutCount / n) * 100 : 0;
+    const { cmykOutOfGamutCount, dotLoss } = totals;
 
     return {
-      outputPixels,
-      gamutPixels,
-      stats: {
-        avgTAC: Math.round(avgTAC),
-        maxTAC: Math.round(maxTAC),
-        outOfGamutCount,
-        outOfGamutPercent: Math.round(outOfGamutPercent * 10) / 10,
-        dominantColors,
-        risk,
-        inkLimit: profile.inkLimit
-      }
+      avgTAC: Math.round(avgTAC),
+      maxTAC: Math.round(totals.maxTAC),
+      tacThreshold: settings.tacThreshold || paper.inkLimit,
+      overLimitCount: totals.overLimitCount,
+      overLimitPercent: percent(totals.overLimitCount),
+      outOfGamutCount: totals.outOfGamutCount,
+      outOfGamutPercent: Math.round(outOfGamutPercent * 10) / 10,
+      meanGamutDeltaE: totals.outOfGamutCount > 0 ? Math.round(totals.outOfGamutDeltaE / totals.outOfGamutCount * 10) / 10 : 0,
+      maxGamutDeltaE: Math.round(totals.maxGamutDeltaE * 10) / 10,
+      printDeltaE: summarizeDeltaE(totals.deltaEStats),
+      fringePercent: totals.fringeCount !== null && n > 0 ? percent(totals.fringeCount) : null,
+      dominantColors: dominantColors(totals.colorBuckets, settings.profile || null,
+        settings.blackGeneration || DEFAULT_BLACK_GENERATION, totals.separated),
+      spotCoverage: totals.spotArea ? summarizeSpotCoverage(settings.spots, totals.spotArea, totals.spotInk, n) : [],
+      multitoneCoverage: multitone ? summarizeSpotCoverage(multitone, totals.inkArea, totals.inkSum, n) : [],
+      extendedGamut: extended ? {
+        coverage: summarizeSpotCoverage(EXTENDED_INK_NAMES.map(name => ({ name })), totals.inkArea, totals.inkSum, n),
+        cmykOutOfGamutPercent: percent(cmykOutOfGamutCount),
+        recoveredPercent: cmykOutOfGamutCount > 0 ? Math.round(totals.recoveredCount / cmykOutOfGamutCount * 1000) / 10 : 0
+      } : null,
+      blacks: totals.blackCounts ? summarizeBlacks(totals.blackCounts, n) : null,
+      dotLoss: dotLoss ? summarizeDotLoss(dotLoss.dropoutCount, dotLoss.pluggingCount, dotLoss.dropoutCounts, dotLoss.pluggingCounts, n) : null,
+      risk: assessPrintRisk(avgTAC, totals.maxTAC, outOfGamutPercent, paperType),
+      inkLimit: paper.inkLimit
     };
   }
 
   // ─── SINGLE PIXEL CMYK (for hover picker) ──────────────────────────────────
-  function getPixelCmyk(r, g, b, paperType, dotGain) {
-    const profile = PAPER_PROFILES[paperType];
-    let { c, m, y, k } = rgbToCmyk(r / 255, g / 255, b / 255);
-    c = applyDotGain(c, dotGain, profile.shadowGain, profile.highlightGain);
-    m = applyDotGain(m, dotGain, profile.shadowGain, profile.highlightGain);
-    y = applyDotGain(y, dotGain, profile.shadowGain, profile.highlightGain);
-    k = applyDotGain(k, dotGain, profile.shadowGain, profile.highlightGain);
-    return {
-      c: Math.round(c * 100),
-      m: Math.round(m * 100),
-      y: Math.round(y * 100),
-      k: Math.round(k * 100),
-      tac: Math.round((c + m + y + k) * 100)
-    };
+  /**
+   * The hover readout of one pixel: its plates and TAC as printed (see
+   * printedInk), and its colour as the simulation renders it (a CMYK pixel without spot or
+   * misregistration; see checkParity).
+   * @param {number} r - 0-255
+   * @param {number} g
+   * @param {number} b
+   * @param {object} settings - as processImage
+   * @param {{c, m, y, k}|null} [cmyk] - the pixel's plates (0-1) in the working separation
+   * @returns {{c, m, y, k, tac, rgb: {r, g, b}}} plates and TAC in percent
+   */
+  function pixelReadout(r, g, b, settings, cmyk = null) {
+    const { paperType } = settings;
+    const paper = PAPER_PROFILES[paperType];
+    const iccProfile = settings.profile || null;
+    const curves = toneCurves(paperType, settings.dotGain, settings.tviCurves);
+    // From the colour table when the image job takes it
+    const table = !cmyk && usesLut(settings) ? colourTable(settings) : null;
+    const baked = table ? lookupLut(table, r, g, b) : null;
+    const sep = cmyk || (baked ? { c: baked[0], m: baked[1], y: baked[2], k: baked[3] }
+      : separate(r / 255, g / 255, b / 255, iccProfile, settings.blackGeneration || DEFAULT_BLACK_GENERATION));
+    // Printed ink per plate in single precision, as the planes the preview and the stats come from
+    const inks = [sep.c, sep.m, sep.y, sep.k].map((v, i) => Math.fround(printedInk(v, curves[i], paper, GAMUT_REDUCTION_SHARE[i])));
+    const [c, m, y, k] = inks.map(v => Math.round(v * 100));
+
+    const shown = [settings.showC, settings.showM, settings.showY, settings.showK];
+    const printed = inks.map((v, i) => (shown[i] === false ? 0 : v));
+    const proof = baked && shown.every(v => v !== false)
+      ? { r: baked[LUT_PROOF], g: baked[LUT_PROOF + 1], b: baked[LUT_PROOF + 2] }
+      : proofToRgb(...printed, iccProfile, proofModel(paperType, iccProfile));
+    const substrate = settings.simulatePaper ? paperSubstrate(paperType, settings.paperWhite, iccProfile) : null;
+    return { c, m, y, k, tac: Math.round(totalInkCoverage(...inks)), rgb: substrate ? onPaper(proof, substrate) : proof };
+  }
+
+  function getPixelCmyk(r, g, b, paperType, dotGain, iccProfile = null, blackGen = DEFAULT_BLACK_GENERATION, curveSets = null) {
+    const { c, m, y, k, tac } = pixelReadout(r, g, b, { paperType, dotGain, profile: iccProfile, blackGeneration: blackGen, tviCurves: curveSets });
+    return { c, m, y, k, tac };
+  }
+
+  // ─── PARITY CHECK ──────────────────────────────────────────────────────────
+  // A debug check that the preview, the hover readout and the stats come from
+  // the same math: the image is processed again in one go and every buffer and
+  // statistic compared with the result the caller shows (run in steps, or in a
+  // worker), the preview redrawn from its planes, and the readout of sampled
+  // pixels compared with the preview and the planes.
+
+  const PARITY_SAMPLES = 256;
+
+  // Typed arrays (or arrays of them, as the plates), element by element
+  function sameData(a, b) {
+    if (!a || !b) return a === b;
+    if (Array.isArray(a)) return Array.isArray(b) && a.length === b.length && a.every((x, i) => sameData(x, b[i]));
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+    return true;
+  }
+
+  /**
+   * @param {Uint8ClampedArray} sourcePixels
+   * @param {object} settings - as processImage
+   * @param {object} result - what the caller got for them
+   * @param {Float32Array|null} [separation]
+   * @param {number} [samples] - pixels whose readout is checked
+   * @returns {{ok: boolean, mismatches: string[], readouts: number}}
+   */
+  function checkParity(sourcePixels, settings, result, separation = null, samples = PARITY_SAMPLES) {
+    const reference = processImage(sourcePixels, settings, separation);
+    const mismatches = Object.keys(reference).filter(key => key !== 'stats' && key !== 'totals' && key !== 'planes' && !sameData(reference[key], result[key]));
+    if (JSON.stringify(reference.stats) !== JSON.stringify(result.stats)) mismatches.push('stats');
+    if (result.planes) {
+      Object.keys(reference.planes).forEach(key => {
+        if (key !== 'inkCount' && !sameData(reference.planes[key], result.planes[key])) mismatches.push(`planes.${key}`);
+      });
+      // Redrawn from the planes, the preview is the same
+      const redrawn = compositeImage(sourcePixels, result.planes, settings);
+      Object.keys(redrawn).forEach(key => {
+        if (!sameData(redrawn[key], result[key])) mismatches.push(`${key} redrawn from the planes`);
+      });
+    }
+
+    // The readout renders a plain CMYK pixel, so only compare those
+    const misreg = settings.misregistration && isMisregistered(settings.misregistration.offsets);
+    const plain = !(settings.multitone && settings.multitone.length) && !settings.extendedGamut
+      && !(settings.spots && settings.spots.length) && !misreg;
+    const pixelCount = sourcePixels.length / 4;
+    const stride = Math.max(1, Math.floor(pixelCount / samples));
+    let readouts = 0;
+    for (let i = 0; plain && i < pixelCount; i += stride) {
+      const idx = i * 4;
+      if (sourcePixels[idx + 3] === 0) continue;
+      const cmyk = separation ? { c: separation[idx], m: separation[idx + 1], y: separation[idx + 2], k: separation[idx + 3] } : null;
+      const readout = pixelReadout(sourcePixels[idx], sourcePixels[idx + 1], sourcePixels[idx + 2], settings, cmyk);
+      readouts++;
+      const out = result.outputPixels;
+      const { rgb } = readout;
+      if (rgb.r !== out[idx] || rgb.g !== out[idx + 1] || rgb.b !== out[idx + 2]) {
+        mismatches.push(`readout at pixel ${i}`);
+        break;
+      }
+      // Its inks and TAC are those of the planes, which the stats count
+      const inks = reference.planes.plates.subarray(idx, idx + 4);
+      if (['c', 'm', 'y', 'k'].some((ch, j) => readout[ch] !== Math.round(inks[j] * 100))
+        || readout.tac !== Math.round(totalInkCoverage(...inks))) {
+        mismatches.push(`readout inks at pixel ${i}`);
+        break;
+      }
+    }
+    return { ok: mismatches.length === 0, mismatches, readouts };
   }
 
   return {
     rgbToCmyk,
     cmykToRgb,
+    separate,
+    proofToRgb,
+    proofImage,
+    proofModel,
+    paperSubstrate,
+    onPaper,
+    TVI_CURVES,
+    PAPER_CURVE,
+    toneCurves,
+    isoTvi50,
+    curveTvi50,
     applyDotGain,
+    DOT_LOSS,
+    dotLimits,
+    printableDot,
+    dotLoss,
+    summarizeDotLoss,
+    dotLossOverlayColor,
+    GAMUT_REDUCTION_SHARE,
+    printedInk,
     isOutOfGamut,
+    gamutDeltaEAt,
+    buildGamutGrid,
+    gamutDeltaE,
+    gamutOverlayColor,
+    limitInk,
+    DEFAULT_GAMUT_THRESHOLD,
+    BLACK_GENERATION,
+    DEFAULT_BLACK_GENERATION,
+    printDeltaE,
+    createDeltaEStats,
+    addDeltaE,
+    summarizeDeltaE,
+    deltaEHeatColor,
+    tacOverlayColor,
+    INK_LIMIT_METHODS,
+    fixInkLimit,
+    correctSeparation,
+    workingSeparation,
+    separateImage,
+    mmToPixels,
+    BLACK_CLASS,
+    RICH_BLACK_MIN_WIDTH_MM,
+    classifyBlack,
+    findSmallBlackFeatures,
+    analyzeBlacks,
+    summarizeBlacks,
+    blackOverlayColor,
+    randomWobble,
+    isMisregistered,
+    misregister,
+    fringeOverlayColor,
+    SPOT_MIN_TINT,
+    DEFAULT_SPOT_TOLERANCE,
+    prepareSpots,
+    matchSpot,
+    compositeSpot,
+    spotProcessBuild,
+    summarizeSpotCoverage,
+    MULTITONE_POINTS,
+    DEFAULT_MULTITONE_CURVES,
+    multitoneCurve,
+    prepareMultitone,
+    multitoneSeparate,
+    multitoneProof,
+    EXTENDED_INK_NAMES,
+    EXTENDED_TVI,
+    DEFAULT_EXTENDED_INKS,
+    extendedModel,
+    buildExtendedGrid,
+    extendedSeparate,
+    extendedProof,
+    extendedGamutOverlayColor,
+    WOBBLE_MM,
+    FRINGE_THRESHOLD,
     totalInkCoverage,
+    extractDominantColors,
+    colorBuckets,
+    LUT_SIZE,
+    LUT_TOLERANCE,
+    usesLut,
+    buildLut,
+    colourTable,
+    lookupLut,
+    checkLut,
+    createImageJob,
+    conversionKey,
+    createCompositeJob,
+    compositeImage,
     processImage,
+    TILE_BYTES_PER_PIXEL,
+    tileContext,
+    tileRows,
+    planTiles,
+    tileSettings,
+    mergeTotals,
+    summarizeTotals,
+    pixelReadout,
     getPixelCmyk,
+    checkParity,
     assessPrintRisk,
-    PAPER_PROFILES
+    paperLabel,
+    PAPER_PROFILES,
+    PRINTING_CONDITIONS,
+    BUILT_IN_PAPERS,
+    setPaperProfile,
+    removePaperProfile
   };
 })();
 
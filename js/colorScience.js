@@ -0,0 +1,302 @@
+/**
+ * colorScience.js
+ * CMYK Simulator — Colorimetry
+ *
+ * Device-independent colour math shared by the ICC loader and the engine:
+ * sRGB companding, sRGB ↔ XYZ, Bradford chromatic adaptation (D65 ↔ D50),
+ * XYZ ↔ CIELAB and colour difference (ΔE76, ΔE94, ΔE2000).
+ *
+ * ICC profiles use a D50 Profile Connection Space (PCS), while sRGB is
+ * defined under D65, so every trip between the monitor and a print profile
+ * goes through the Bradford transform below.
+ *
+ * References:
+ * - IEC 61966-2-1 (sRGB)
+ * - CIE 15:2004 (CIELAB)
+ * - CIE 116-1995 (ΔE94), CIE 142-2001 (ΔE2000)
+ * - Sharma, Wu & Dalal (2005), "The CIEDE2000 Color-Difference Formula"
+ * - ICC.1:2022 Annex E (Bradford adaptation)
+ */
+
+'use strict';
+
+const ColorScience = (() => {
+
+  // ─── REFERENCE WHITES ──────────────────────────────────────────────────────
+  const D65 = { x: 0.95047, y: 1.0, z: 1.08883 };
+  const D50 = { x: 0.96422, y: 1.0, z: 0.82521 };
+
+  // ─── MATRICES ──────────────────────────────────────────────────────────────
+  // sRGB (linear) → XYZ, D65 white
+  const SRGB_TO_XYZ = [
+    [0.4124564, 0.3575761, 0.1804375],
+    [0.2126729, 0.7151522, 0.0721750],
+    [0.0193339, 0.1191920, 0.9503041]
+  ];
+
+  const XYZ_TO_SRGB = [
+    [ 3.2404542, -1.5371385, -0.4985314],
+    [-0.9692660,  1.8760108,  0.0415560],
+    [ 0.0556434, -0.2040259,  1.0572252]
+  ];
+
+  // Bradford D65 → D50 and back (precomputed from the Bradford cone matrix)
+  const D65_TO_D50 = [
+    [ 1.0478112,  0.0228866, -0.0501270],
+    [ 0.0295424,  0.9904844, -0.0170491],
+    [-0.0092345,  0.0150436,  0.7521316]
+  ];
+
+  const D50_TO_D65 = [
+    [ 0.9555766, -0.0230393,  0.0631636],
+    [-0.0282895,  1.0099416,  0.0210077],
+    [ 0.0122982, -0.0204830,  1.3299098]
+  ];
+
+  function mul(m, a, b, c) {
+    return [
+      m[0][0] * a + m[0][1] * b + m[0][2] * c,
+      m[1][0] * a + m[1][1] * b + m[1][2] * c,
+      m[2][0] * a + m[2][1] * b + m[2][2] * c
+    ];
+  }
+
+  // ─── sRGB COMPANDING ───────────────────────────────────────────────────────
+  /**
+   * sRGB-encoded value (0-1) → linear light (0-1).
+   * @param {number} v
+   * @returns {number}
+   */
+  function srgbToLinear(v) {
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Linear light (0-1) → sRGB-encoded value (0-1), clamped.
+   * @param {number} v
+   * @returns {number}
+   */
+  function linearToSrgb(v) {
+    if (v <= 0) return 0;
+    if (v >= 1) return 1;
+    return v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+  }
+
+  // 8-bit decode table — every pixel in the image goes through this
+  const LINEAR_8 = new Float64Array(256);
+  for (let i = 0; i < 256; i++) LINEAR_8[i] = srgbToLinear(i / 255);
+
+  // ─── sRGB ↔ XYZ ────────────────────────────────────────────────────────────
+  /**
+   * sRGB (0-1) → XYZ adapted to D50 (the ICC PCS white).
+   * @param {number} r - Red 0-1
+   * @param {number} g - Green 0-1
+   * @param {number} b - Blue 0-1
+   * @returns {number[]} [X, Y, Z]
+   */
+  function srgbToXyzD50(r, g, b) {
+    const xyz = mul(SRGB_TO_XYZ, srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+    return mul(D65_TO_D50, xyz[0], xyz[1], xyz[2]);
+  }
+
+  /**
+   * XYZ (D50) → sRGB 0-255, clipped to the sRGB gamut.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function xyzD50ToSrgb(x, y, z) {
+    const d65 = mul(D50_TO_D65, x, y, z);
+    const lin = mul(XYZ_TO_SRGB, d65[0], d65[1], d65[2]);
+    return {
+      r: Math.round(255 * linearToSrgb(lin[0])),
+      g: Math.round(255 * linearToSrgb(lin[1])),
+      b: Math.round(255 * linearToSrgb(lin[2]))
+    };
+  }
+
+  // ─── XYZ ↔ CIELAB ──────────────────────────────────────────────────────────
+  const EPSILON = 216 / 24389;
+  const KAPPA = 24389 / 27;
+
+  function labF(t) {
+    return t > EPSILON ? Math.cbrt(t) : (KAPPA * t + 16) / 116;
+  }
+
+  function labFInv(t) {
+    const t3 = t * t * t;
+    return t3 > EPSILON ? t3 : (116 * t - 16) / KAPPA;
+  }
+
+  /**
+   * XYZ → CIELAB relative to a reference white (D50 by default).
+   * @param {number} x
+   * @param {number} y
+   * @param {number} z
+   * @param {{x: number, y: number, z: number}} [white]
+   * @returns {number[]} [L, a, b]
+   */
+  function xyzToLab(x, y, z, white = D50) {
+    const fx = labF(x / white.x);
+    const fy = labF(y / white.y);
+    const fz = labF(z / white.z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * CIELAB → XYZ relative to a reference white (D50 by default).
+   * @param {number} L
+   * @param {number} a
+   * @param {number} b
+   * @param {{x: number, y: number, z: number}} [white]
+   * @returns {number[]} [X, Y, Z]
+   */
+  function labToXyz(L, a, b, white = D50) {
+    const fy = (L + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+    return [white.x * labFInv(fx), white.y * labFInv(fy), white.z * labFInv(fz)];
+  }
+
+  /**
+   * sRGB (0-255) → CIELAB (D50).
+   * @param {number} r - Red 0-255
+   * @param {number} g - Green 0-255
+   * @param {number} b - Blue 0-255
+   * @returns {number[]} [L, a, b]
+   */
+  function srgb8ToLab(r, g, b) {
+    const xyz = mul(SRGB_TO_XYZ, LINEAR_8[r], LINEAR_8[g], LINEAR_8[b]);
+    const d50 = mul(D65_TO_D50, xyz[0], xyz[1], xyz[2]);
+    return xyzToLab(d50[0], d50[1], d50[2]);
+  }
+
+  /**
+   * CIELAB (D50) → sRGB 0-255, clipped to the sRGB gamut.
+   * @param {number} L
+   * @param {number} a
+   * @param {number} b
+   * @returns {{r: number, g: number, b: number}}
+   */
+  function labToSrgb8(L, a, b) {
+    const xyz = labToXyz(L, a, b);
+    return xyzD50ToSrgb(xyz[0], xyz[1], xyz[2]);
+  }
+
+  // ─── COLOUR DIFFERENCE ─────────────────────────────────────────────────────
+  /**
+   * CIE 1976 colour difference (Euclidean distance in CIELAB).
+   * @param {number[]} lab1
+   * @param {number[]} lab2
+   * @returns {number}
+   */
+  function deltaE76(lab1, lab2) {
+    const dL = lab1[0] - lab2[0];
+    const da = lab1[1] - lab2[1];
+    const db = lab1[2] - lab2[2];
+    return Math.sqrt(dL * dL + da * da + db * db);
+  }
+
+  /**
+   * CIE 1994 colour difference, graphic arts weights (kL = 1, K1 = 0.045, K2 = 0.015).
+   * lab1 is the reference.
+   * @param {number[]} lab1
+   * @param {number[]} lab2
+   * @returns {number}
+   */
+  function deltaE94(lab1, lab2) {
+    const dL = lab1[0] - lab2[0];
+    const C1 = Math.sqrt(lab1[1] * lab1[1] + lab1[2] * lab1[2]);
+    const C2 = Math.sqrt(lab2[1] * lab2[1] + lab2[2] * lab2[2]);
+    const dC = C1 - C2;
+    const da = lab1[1] - lab2[1];
+    const db = lab1[2] - lab2[2];
+    const dH2 = Math.max(0, da * da + db * db - dC * dC);
+    const sC = 1 + 0.045 * C1;
+    const sH = 1 + 0.015 * C1;
+    return Math.sqrt(dL * dL + (dC / sC) * (dC / sC) + dH2 / (sH * sH));
+  }
+
+  const DEG = Math.PI / 180;
+  const POW25_7 = Math.pow(25, 7);
+
+  /**
+   * CIEDE2000 colour difference (kL = kC = kH = 1).
+   * @param {number[]} lab1
+   * @param {number[]} lab2
+   * @returns {number}
+   */
+  function deltaE2000(lab1, lab2) {
+    const [L1, a1, b1] = lab1;
+    const [L2, a2, b2] = lab2;
+
+    const Cab = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2;
+    const Cab7 = Math.pow(Cab, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cab7 / (Cab7 + POW25_7)));
+    const ap1 = a1 * (1 + G);
+    const ap2 = a2 * (1 + G);
+    const Cp1 = Math.sqrt(ap1 * ap1 + b1 * b1);
+    const Cp2 = Math.sqrt(ap2 * ap2 + b2 * b2);
+    let hp1 = Cp1 === 0 ? 0 : Math.atan2(b1, ap1) / DEG;
+    let hp2 = Cp2 === 0 ? 0 : Math.atan2(b2, ap2) / DEG;
+    if (hp1 < 0) hp1 += 360;
+    if (hp2 < 0) hp2 += 360;
+
+    const dLp = L2 - L1;
+    const dCp = Cp2 - Cp1;
+    let dhp = 0;
+    if (Cp1 * Cp2 !== 0) {
+      dhp = hp2 - hp1;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(Cp1 * Cp2) * Math.sin(dhp / 2 * DEG);
+
+    const Lp = (L1 + L2) / 2;
+    const Cp = (Cp1 + Cp2) / 2;
+    let hp = hp1 + hp2;
+    if (Cp1 * Cp2 !== 0) {
+      if (Math.abs(hp1 - hp2) > 180) hp += hp < 360 ? 360 : -360;
+      hp /= 2;
+    }
+
+    const T = 1
+      - 0.17 * Math.cos((hp - 30) * DEG)
+      + 0.24 * Math.cos(2 * hp * DEG)
+      + 0.32 * Math.cos((3 * hp + 6) * DEG)
+      - 0.20 * Math.cos((4 * hp - 63) * DEG);
+    const dTheta = 30 * Math.exp(-Math.pow((hp - 275) / 25, 2));
+    const Cp7 = Math.pow(Cp, 7);
+    const RC = 2 * Math.sqrt(Cp7 / (Cp7 + POW25_7));
+    const Lp50 = (Lp - 50) * (Lp - 50);
+    const SL = 1 + 0.015 * Lp50 / Math.sqrt(20 + Lp50);
+    const SC = 1 + 0.045 * Cp;
+    const SH = 1 + 0.015 * Cp * T;
+    const RT = -Math.sin(2 * dTheta * DEG) * RC;
+
+    const tL = dLp / SL;
+    const tC = dCp / SC;
+    const tH = dHp / SH;
+    return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+  }
+
+  return {
+    D50,
+    D65,
+    LINEAR_8,
+    srgbToLinear,
+    linearToSrgb,
+    srgbToXyzD50,
+    xyzD50ToSrgb,
+    xyzToLab,
+    labToXyz,
+    srgb8ToLab,
+    labToSrgb8,
+    deltaE76,
+    deltaE94,
+    deltaE2000
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = ColorScience;
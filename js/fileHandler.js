@@ -4,6 +4,7 @@
  *
  * Responsibilities:
  * - Validate file size and format before any processing
+ * - Decode CMYK TIFF / JPEG files natively (see imageDecoder.js)
  * - Resize image to max 1500x1500px before processing (user never sees this)
  * - Extract ImageData from canvas for worker
  * - Provide original pixel data for split view
@@ -15,11 +16,12 @@ const FileHandler = (() => {
 
   const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
   const MAX_DIMENSION = 1500;
-  const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+  const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'];
+  const TIFF_EXTENSION = /\.tiff?$/i;
 
   const ERROR_MESSAGES = {
     size: 'File too large. Please use an image under 5MB for best performance.',
-    type: 'Unsupported file format. Please upload a JPG, PNG, or WEBP image.',
+    type: 'Unsupported file format. Please upload a JPG, PNG, WEBP or CMYK TIFF image.',
     load: 'Could not load image. The file may be corrupted. Please try another image.',
     generic: 'Something went wrong processing your file. Please try again.'
   };
@@ -32,7 +34,7 @@ const FileHandler = (() => {
   function validate(file) {
     if (!file) return { valid: false, error: ERROR_MESSAGES.generic };
     if (file.size > MAX_FILE_SIZE) return { valid: false, error: ERROR_MESSAGES.size };
-    if (!ACCEPTED_TYPES.includes(file.type)) return { valid: false, error: ERROR_MESSAGES.type };
+    if (!ACCEPTED_TYPES.includes(file.type) && !TIFF_EXTENSION.test(file.name)) return { valid: false, error: ERROR_MESSAGES.type };
     return { valid: true, error: null };
   }
 
@@ -88,14 +90,25 @@ const FileHandler = (() => {
 
   /**
    * Full pipeline: validate → load → resize → extract pixels.
+   * CMYK files skip the browser decoder: they come back with `cmyk` (8-bit ink
+   * values, resized the same way) and no imageData or canvas.
    * @param {File} file
    * @param {function} onProgress - called with step descriptions
-   * @returns {Promise<{ imageData: ImageData, width: number, height: number, canvas: HTMLCanvasElement, wasResized: boolean }>}
+   * @returns {Promise<{ imageData: ImageData|null, width: number, height: number, canvas: HTMLCanvasElement|null, wasResized: boolean, cmyk?: { data: Uint8Array, iccProfile: ArrayBuffer|null } }>}
    */
   async function prepare(file, onProgress = () => {}) {
     const validation = validate(file);
     if (!validation.valid) throw new Error(validation.error);
 
+    if (file.type === 'image/jpeg' || file.type === 'image/tiff' || TIFF_EXTENSION.test(file.name)) {
+      onProgress('Reading file…');
+      const image = ImageDecoder.decodeCmyk(await file.arrayBuffer());
+      if (image) {
+        const { width, height, cmyk, wasResized } = ImageDecoder.fitCmyk(image, MAX_DIMENSION);
+        return { imageData: null, width, height, canvas: null, wasResized, cmyk: { data: cmyk, iccProfile: image.iccProfile } };
+      }
+    }
+
     onProgress('Loading image…');
     const img = await loadImage(file);
 
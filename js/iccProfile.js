@@ -0,0 +1,547 @@
+/**
+ * iccProfile.js
+ * CMYK Simulator — ICC Output Profile Loader
+ *
+ * Parses a user-supplied ICC v2/v4 CMYK output profile and exposes its
+ * lookup tables as RGB → CMYK (separation) and CMYK → RGB (soft proof)
+ * conversions. The monitor side is always assumed to be sRGB.
+ *
+ * Supported:
+ * - Header and tag table (ICC.1:2001-04 and ICC.1:2022)
+ * - A2B0/A2B1 and B2A0/B2A1 tags of type lut8 (mft1), lut16 (mft2),
+ *   lutAtoB (mAB) and lutBtoA (mBA)
+ * - curv and para tone curves, matrices and n-dimensional CLUTs
+ * - Lab and XYZ Profile Connection Space
+ *
+ * Not supported: named colour, multiProcessElements (D2Bx) and
+ * absolute colorimetric proofing. Interpolation is multilinear, which is
+ * what most CMMs use for 4-channel tables.
+ *
+ * Reference: https://www.color.org/specification/ICC.1-2022-05.pdf
+ */
+
+'use strict';
+
+const IccProfile = (() => {
+
+  const Science = typeof ColorScience !== 'undefined' ? ColorScience : require('./colorScience.js');
+
+  const ERROR_MESSAGES = {
+    truncated: 'This file is too small or truncated to be an ICC profile.',
+    signature: 'Not an ICC profile (the "acsp" signature is missing).',
+    colorSpace: 'Only CMYK output profiles are supported. This profile describes {space} data.',
+    pcs: 'Unsupported Profile Connection Space "{pcs}".',
+    noSeparation: 'This profile has no B2A0/B2A1 table, so it cannot convert RGB to CMYK.',
+    tagType: 'Unsupported lookup table type "{type}" in the {tag} tag.',
+    tagBounds: 'The {tag} tag points outside the file. The profile may be corrupted.'
+  };
+
+  function fail(key, vars) {
+    let msg = ERROR_MESSAGES[key];
+    for (const name in vars) msg = msg.replace(`{${name}}`, vars[name]);
+    throw new Error(msg);
+  }
+
+  // ─── BINARY HELPERS ────────────────────────────────────────────────────────
+  function sig(view, offset) {
+    return String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1),
+      view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+  }
+
+  function s15Fixed16(view, offset) {
+    return view.getInt32(offset) / 65536;
+  }
+
+  function align4(n) {
+    return (n + 3) & ~3;
+  }
+
+  // ─── TONE CURVES (curv / para) ─────────────────────────────────────────────
+  const PARA_PARAM_COUNT = [1, 3, 4, 5, 7];
+
+  /**
+   * Read a curv or para element.
+   * @returns {{fn: function(number): number, byteLength: number}}
+   */
+  function readCurve(view, offset) {
+    const type = sig(view, offset);
+
+    if (type === 'curv') {
+      const count = view.getUint32(offset + 8);
+      const byteLength = 12 + count * 2;
+      if (count === 0) return { fn: v => v, byteLength };
+      if (count === 1) {
+        const gamma = view.getUint16(offset + 12) / 256;
+        return { fn: v => Math.pow(v, gamma), byteLength };
+      }
+      const table = new Float64Array(count);
+      for (let i = 0; i < count; i++) table[i] = view.getUint16(offset + 12 + i * 2) / 65535;
+      return { fn: v => sampleTable(table, v), byteLength };
+    }
+
+    if (type === 'para') {
+      const fnType = view.getUint16(offset + 8);
+      const n = PARA_PARAM_COUNT[fnType];
+      if (n === undefined) fail('tagType', { type: `para/${fnType}`, tag: 'curve' });
+      const p = [];
+      for (let i = 0; i < n; i++) p.push(s15Fixed16(view, offset + 12 + i * 4));
+      return { fn: parametricCurve(fnType, p), byteLength: 12 + n * 4 };
+    }
+
+    return fail('tagType', { type, tag: 'curve' });
+  }
+
+  function parametricCurve(type, p) {
+    const [g, a, b, c, d, e, f] = p;
+    return (x) => {
+      let y;
+      switch (type) {
+        case 0: y = Math.pow(x, g); break;
+        case 1: y = x >= -b / a ? Math.pow(a * x + b, g) : 0; break;
+        case 2: y = x >= -b / a ? Math.pow(a * x + b, g) + c : c; break;
+        case 3: y = x >= d ? Math.pow(a * x + b, g) : c * x; break;
+        default: y = x >= d ? Math.pow(a * x + b, g) + e : c * x + f;
+      }
+      return clamp01(y);
+    };
+  }
+
+  function readCurveSet(view, offset, count) {
+    const curves = [];
+    let pos = offset;
+    for (let i = 0; i < count; i++) {
+      const curve = readCurve(view, pos);
+      curves.push(curve.fn);
+      pos += align4(curve.byteLength);
+    }
+    return curves;
+  }
+
+  /** Linear interpolation into a table spanning 0-1. */
+  function sampleTable(table, v) {
+    const pos = clamp01(v) * (table.length - 1);
+    const i = Math.floor(pos);
+    if (i >= table.length - 1) return table[table.length - 1];
+    const f = pos - i;
+    return table[i] + (table[i + 1] - table[i]) * f;
+  }
+
+  function clamp01(v) {
+    return v <= 0 ? 0 : v >= 1 ? 1 : v;
+  }
+
+  // ─── COLOUR LOOKUP TABLE ───────────────────────────────────────────────────
+  /**
+   * Build an n-dimensional CLUT. The first input channel varies slowest,
+   * as required by the ICC specification.
+   */
+  function makeClut(grid, outputs, data) {
+    const inputs = grid.length;
+    const strides = new Array(inputs);
+    let stride = outputs;
+    for (let d = inputs - 1; d >= 0; d--) {
+      strides[d] = stride;
+      stride *= grid[d];
+    }
+    return {
+      grid, inputs, outputs, data, strides,
+      base: new Int32Array(inputs),
+      frac: new Float64Array(inputs),
+      out: new Float64Array(outputs)
+    };
+  }
+
+  /** Multilinear interpolation over the 2^n surrounding grid nodes. */
+  function evalClut(clut, input, out) {
+    const { grid, inputs, outputs, data, strides, base, frac } = clut;
+    let origin = 0;
+    for (let d = 0; d < inputs; d++) {
+      const g = grid[d];
+      const pos = clamp01(input[d]) * (g - 1);
+      let i = Math.floor(pos);
+      if (i >= g - 1) i = Math.max(0, g - 2);
+      base[d] = i;
+      frac[d] = g > 1 ? pos - i : 0;
+      origin += i * strides[d];
+    }
+
+    for (let k = 0; k < outputs; k++) out[k] = 0;
+
+    const corners = 1 << inputs;
+    for (let corner = 0; corner < corners; corner++) {
+      let w = 1;
+      let idx = origin;
+      for (let d = 0; d < inputs; d++) {
+        if (corner & (1 << (inputs - 1 - d))) {
+          w *= frac[d];
+          idx += strides[d];
+        } else {
+          w *= 1 - frac[d];
+        }
+        if (w === 0) break;
+      }
+      if (w === 0) continue;
+      for (let k = 0; k < outputs; k++) out[k] += w * data[idx + k];
+    }
+    return out;
+  }
+
+  function readClutData(view, offset, count, bytesPerEntry) {
+    const data = new Float64Array(count);
+    if (bytesPerEntry === 1) {
+      for (let i = 0; i < count; i++) data[i] = view.getUint8(offset + i) / 255;
+    } else {
+      for (let i = 0; i < count; i++) data[i] = view.getUint16(offset + i * 2) / 65535;
+    }
+    return data;
+  }
+
+  // ─── LUT8 / LUT16 (mft1 / mft2) ────────────────────────────────────────────
+  function readLutN(view, offset, is16) {
+    const inputs = view.getUint8(offset + 8);
+    const outputs = view.getUint8(offset + 9);
+    const gridPoints = view.getUint8(offset + 10);
+
+    const matrix = [];
+    for (let i = 0; i < 9; i++) matrix.push(s15Fixed16(view, offset + 12 + i * 4));
+
+    let pos, inEntries, outEntries, bytes;
+    if (is16) {
+      inEntries = view.getUint16(offset + 48);
+      outEntries = view.getUint16(offset + 50);
+      pos = offset + 52;
+      bytes = 2;
+    } else {
+      inEntries = outEntries = 256;
+      pos = offset + 48;
+      bytes = 1;
+    }
+
+    const readTables = (channels, entries) => {
+      const tables = [];
+      for (let c = 0; c < channels; c++) {
+        const t = readClutData(view, pos, entries, bytes);
+        pos += entries * bytes;
+        tables.push(v => sampleTable(t, v));
+      }
+      return tables;
+    };
+
+    const inCurves = readTables(inputs, inEntries);
+    const grid = new Array(inputs).fill(gridPoints);
+    const clutCount = Math.pow(gridPoints, inputs) * outputs;
+    const clut = makeClut(grid, outputs, readClutData(view, pos, clutCount, bytes));
+    pos += clutCount * bytes;
+    const outCurves = readTables(outputs, outEntries);
+
+    return {
+      type: is16 ? 'lut16' : 'lut8',
+      inputs, outputs,
+      matrix: isIdentity(matrix) ? null : matrix,
+      offset: null,
+      aCurves: inCurves,
+      clut,
+      mCurves: null,
+      bCurves: outCurves,
+      order: 'lut'
+    };
+  }
+
+  function isIdentity(m) {
+    return m[0] === 1 && m[4] === 1 && m[8] === 1 &&
+      m[1] === 0 && m[2] === 0 && m[3] === 0 && m[5] === 0 && m[6] === 0 && m[7] === 0;
+  }
+
+  // ─── LUTATOB / LUTBTOA (mAB / mBA) ─────────────────────────────────────────
+  function readLutAB(view, offset, isAtoB) {
+    const inputs = view.getUint8(offset + 8);
+    const outputs = view.getUint8(offset + 9);
+    const offB = view.getUint32(offset + 12);
+    const offMatrix = view.getUint32(offset + 16);
+    const offM = view.getUint32(offset + 20);
+    const offClut = view.getUint32(offset + 24);
+    const offA = view.getUint32(offset + 28);
+
+    // A curves sit on the device side, B curves on the PCS side
+    const deviceChannels = isAtoB ? inputs : outputs;
+    const pcsChannels = isAtoB ? outputs : inputs;
+
+    const aCurves = offA ? readCurveSet(view, offset + offA, deviceChannels) : null;
+    const bCurves = offB ? readCurveSet(view, offset + offB, pcsChannels) : null;
+    const mCurves = offM ? readCurveSet(view, offset + offM, pcsChannels) : null;
+
+    let matrix = null, matrixOffset = null;
+    if (offMatrix) {
+      matrix = [];
+      for (let i = 0; i < 9; i++) matrix.push(s15Fixed16(view, offset + offMatrix + i * 4));
+      matrixOffset = [0, 1, 2].map(i => s15Fixed16(view, offset + offMatrix + 36 + i * 4));
+    }
+
+    let clut = null;
+    if (offClut) {
+      const base = offset + offClut;
+      const grid = [];
+      for (let d = 0; d < inputs; d++) grid.push(view.getUint8(base + d));
+      const precision = view.getUint8(base + 16);
+      const count = grid.reduce((n, g) => n * g, 1) * outputs;
+      clut = makeClut(grid, outputs, readClutData(view, base + 20, count, precision));
+    }
+
+    return {
+      type: isAtoB ? 'mAB' : 'mBA',
+      inputs, outputs,
+      matrix, offset: matrixOffset,
+      aCurves, clut, mCurves, bCurves,
+      order: isAtoB ? 'AtoB' : 'BtoA'
+    };
+  }
+
+  // ─── TRANSFORM EVALUATION ──────────────────────────────────────────────────
+  function applyCurves(curves, values) {
+    if (!curves) return;
+    for (let i = 0; i < curves.length; i++) values[i] = curves[i](values[i]);
+  }
+
+  function applyMatrix(m, offset, v) {
+    const x = v[0], y = v[1], z = v[2];
+    const o = offset || [0, 0, 0];
+    v[0] = clamp01(m[0] * x + m[1] * y + m[2] * z + o[0]);
+    v[1] = clamp01(m[3] * x + m[4] * y + m[5] * z + o[1]);
+    v[2] = clamp01(m[6] * x + m[7] * y + m[8] * z + o[2]);
+  }
+
+  /**
+   * Run normalised (0-1) values through a parsed lookup table.
+   * @param {object} lut
+   * @param {number[]} input
+   * @param {boolean} pcsIsXyz - lut8/16 matrices only apply to XYZ input
+   * @returns {number[]}
+   */
+  function evalLut(lut, input, pcsIsXyz) {
+    let v = input.slice(0, lut.inputs);
+
+    if (lut.order === 'lut') {
+      if (lut.matrix && pcsIsXyz && lut.inputs === 3) applyMatrix(lut.matrix, null, v);
+      applyCurves(lut.aCurves, v);
+      v = Array.from(evalClut(lut.clut, v, lut.clut.out));
+      applyCurves(lut.bCurves, v);
+    } else if (lut.order === 'AtoB') {
+      applyCurves(lut.aCurves, v);
+      if (lut.clut) v = Array.from(evalClut(lut.clut, v, lut.clut.out));
+      applyCurves(lut.mCurves, v);
+      if (lut.matrix) applyMatrix(lut.matrix, lut.offset, v);
+      applyCurves(lut.bCurves, v);
+    } else {
+      applyCurves(lut.bCurves, v);
+      if (lut.matrix) applyMatrix(lut.matrix, lut.offset, v);
+      applyCurves(lut.mCurves, v);
+      if (lut.clut) v = Array.from(evalClut(lut.clut, v, lut.clut.out));
+      applyCurves(lut.aCurves, v);
+    }
+
+    for (let i = 0; i < v.length; i++) v[i] = clamp01(v[i]);
+    return v;
+  }
+
+  // ─── PCS ENCODING ──────────────────────────────────────────────────────────
+  // lut16 keeps the legacy (v2) 16-bit Lab encoding even in v4 profiles,
+  // where L* = 100 is stored as 0xFF00 rather than 0xFFFF.
+  const XYZ_SCALE = 65535 / 32768;
+  const LEGACY_L = 65535 / 65280;
+  const LEGACY_AB = 65535 / 256;
+
+  function encodePcs(lut, pcs, values) {
+    if (pcs === 'XYZ') return values.map(v => clamp01(v / XYZ_SCALE));
+    const [L, a, b] = values;
+    if (lut.type === 'lut16') {
+      return [clamp01(L / 100 / LEGACY_L), clamp01((a + 128) / LEGACY_AB), clamp01((b + 128) / LEGACY_AB)];
+    }
+    return [clamp01(L / 100), clamp01((a + 128) / 255), clamp01((b + 128) / 255)];
+  }
+
+  function decodePcs(lut, pcs, values) {
+    if (pcs === 'XYZ') return values.map(v => v * XYZ_SCALE);
+    const [n0, n1, n2] = values;
+    if (lut.type === 'lut16') {
+      return [n0 * LEGACY_L * 100, n1 * LEGACY_AB - 128, n2 * LEGACY_AB - 128];
+    }
+    return [n0 * 100, n1 * 255 - 128, n2 * 255 - 128];
+  }
+
+  // ─── TEXT TAGS ─────────────────────────────────────────────────────────────
+  function readText(view, offset, size) {
+    const type = sig(view, offset);
+    let text = '';
+
+    if (type === 'desc' || type === 'text') {
+      const start = type === 'desc' ? offset + 12 : offset + 8;
+      const length = type === 'desc' ? view.getUint32(offset + 8) : size - 8;
+      for (let i = 0; i < length; i++) {
+        const ch = view.getUint8(start + i);
+        if (ch === 0) break;
+        text += String.fromCharCode(ch);
+      }
+    } else if (type === 'mluc') {
+      const records = view.getUint32(offset + 8);
+      if (records > 0) {
+        const length = view.getUint32(offset + 20);
+        const start = offset + view.getUint32(offset + 24);
+        for (let i = 0; i + 1 < length; i += 2) text += String.fromCharCode(view.getUint16(start + i));
+      }
+    }
+    return text.replace(/\0+$/, '').trim();
+  }
+
+  function readXyz(view, offset) {
+    return {
+      x: s15Fixed16(view, offset + 8),
+      y: s15Fixed16(view, offset + 12),
+      z: s15Fixed16(view, offset + 16)
+    };
+  }
+
+  // ─── PARSE ─────────────────────────────────────────────────────────────────
+  const LUT_TAGS = ['A2B0', 'A2B1', 'B2A0', 'B2A1'];
+
+  /**
+   * Parse an ICC profile.
+   * @param {ArrayBuffer} buffer - raw .icc / .icm file contents
+   * @returns {object} profile usable with rgbToCmyk / cmykToRgb
+   * @throws {Error} with a user-facing message if the profile is unusable
+   */
+  function parse(buffer) {
+    if (!buffer || buffer.byteLength < 132) fail('truncated');
+    const view = new DataView(buffer);
+    if (sig(view, 36) !== 'acsp') fail('signature');
+
+    const declaredSize = view.getUint32(0);
+    if (declaredSize > buffer.byteLength) fail('truncated');
+
+    const major = view.getUint8(8);
+    const minor = view.getUint8(9) >> 4;
+    const colorSpace = sig(view, 16).trim();
+    const pcs = sig(view, 20).trim();
+
+    if (colorSpace !== 'CMYK') fail('colorSpace', { space: colorSpace });
+    if (pcs !== 'Lab' && pcs !== 'XYZ') fail('pcs', { pcs });
+
+    const tagCount = view.getUint32(128);
+    if (132 + tagCount * 12 > buffer.byteLength) fail('truncated');
+
+    const tags = {};
+    for (let i = 0; i < tagCount; i++) {
+      const entry = 132 + i * 12;
+      const tag = sig(view, entry);
+      const offset = view.getUint32(entry + 4);
+      const size = view.getUint32(entry + 8);
+      if (offset + size > buffer.byteLength) fail('tagBounds', { tag });
+      tags[tag] = { offset, size, type: sig(view, offset) };
+    }
+
+    const luts = {};
+    LUT_TAGS.forEach(name => {
+      const tag = tags[name];
+      if (!tag) return;
+      switch (tag.type) {
+        case 'mft1': luts[name] = readLutN(view, tag.offset, false); break;
+        case 'mft2': luts[name] = readLutN(view, tag.offset, true); break;
+        case 'mAB ': luts[name] = readLutAB(view, tag.offset, true); break;
+        case 'mBA ': luts[name] = readLutAB(view, tag.offset, false); break;
+        default: fail('tagType', { type: tag.type.trim(), tag: name });
+      }
+    });
+
+    // Perceptual for the separation, relative colorimetric for the proof
+    // and for gamut checks
+    const toDevice = luts.B2A0 || luts.B2A1;
+    const toDeviceColorimetric = luts.B2A1 || luts.B2A0;
+    const toPcs = luts.A2B1 || luts.A2B0 || null;
+    if (!toDevice) fail('noSeparation');
+
+    return {
+      version: `${major}.${minor}`,
+      deviceClass: sig(view, 12),
+      colorSpace,
+      pcs,
+      renderingIntent: view.getUint32(64),
+      description: tags.desc ? readText(view, tags.desc.offset, tags.desc.size) : '',
+      whitePoint: tags.wtpt ? readXyz(view, tags.wtpt.offset) : null,
+      tags,
+      luts,
+      toDevice,
+      toDeviceColorimetric,
+      toPcs,
+      data: buffer
+    };
+  }
+
+  // ─── CONVERSIONS ───────────────────────────────────────────────────────────
+  function pcsFromSrgb(profile, r, g, b) {
+    const xyz = Science.srgbToXyzD50(r, g, b);
+    return profile.pcs === 'XYZ' ? xyz : Science.xyzToLab(xyz[0], xyz[1], xyz[2]);
+  }
+
+  /**
+   * Convert sRGB (0-1) to device CMYK (0-1) through the profile's B2A table.
+   * @param {object} profile - result of parse()
+   * @param {number} r - Red 0-1
+   * @param {number} g - Green 0-1
+   * @param {number} b - Blue 0-1
+   * @returns {{c: number, m: number, y: number, k: number}}
+   */
+  function rgbToCmyk(profile, r, g, b) {
+    const lut = profile.toDevice;
+    const pcs = encodePcs(lut, profile.pcs, pcsFromSrgb(profile, r, g, b));
+    const out = evalLut(lut, pcs, profile.pcs === 'XYZ');
+    return { c: out[0], m: out[1], y: out[2], k: out[3] };
+  }
+
+  /**
+   * Convert CIELAB (D50) to device CMYK (0-1) with the relative colorimetric
+   * B2A1 table (falling back to B2A0), as used for gamut checking.
+   * @param {object} profile - result of parse()
+   * @param {number[]} lab - [L, a, b]
+   * @returns {{c: number, m: number, y: number, k: number}}
+   */
+  function labToCmyk(profile, lab) {
+    const lut = profile.toDeviceColorimetric;
+    const value = profile.pcs === 'XYZ' ? Science.labToXyz(lab[0], lab[1], lab[2]) : lab;
+    const out = evalLut(lut, encodePcs(lut, profile.pcs, value), profile.pcs === 'XYZ');
+    return { c: out[0], m: out[1], y: out[2], k: out[3] };
+  }
+
+  /**
+   * Convert device CMYK (0-1) to CIELAB (D50) through the profile's A2B table.
+   * @returns {number[]|null} [L, a, b], or null if the profile has no A2B table
+   */
+  function cmykToLab(profile, c, m, y, k) {
+    const lut = profile.toPcs;
+    if (!lut) return null;
+    const pcs = decodePcs(lut, profile.pcs, evalLut(lut, [c, m, y, k], false));
+    return profile.pcs === 'XYZ' ? Science.xyzToLab(pcs[0], pcs[1], pcs[2]) : pcs;
+  }
+
+  /**
+   * Soft-proof device CMYK (0-1) to sRGB (0-255).
+   * @returns {{r: number, g: number, b: number}|null} null without an A2B table
+   */
+  function cmykToRgb(profile, c, m, y, k) {
+    const lab = cmykToLab(profile, c, m, y, k);
+    if (!lab) return null;
+    const xyz = Science.labToXyz(lab[0], lab[1], lab[2]);
+    return Science.xyzD50ToSrgb(xyz[0], xyz[1], xyz[2]);
+  }
+
+  return {
+    parse,
+    rgbToCmyk,
+    labToCmyk,
+    cmykToLab,
+    cmykToRgb,
+    ERROR_MESSAGES
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = IccProfile;
@@ -0,0 +1,697 @@
+/**
+ * imageDecoder.js
+ * CMYK Simulator — Native CMYK Image Decoding
+ *
+ * Browsers decode images straight to RGB, which throws away the ink values
+ * of a file that is already separated. This module reads CMYK files itself:
+ *
+ * - TIFF: Photometric = Separated (CMYK), 8 or 16 bits per sample,
+ *   uncompressed, LZW (with horizontal predictor) or PackBits, strips or
+ *   tiles, chunky or planar, either byte order
+ * - JPEG: baseline / extended sequential Huffman with 4 components,
+ *   plain CMYK or YCCK, including the inverted values Adobe applications
+ *   write (APP14 "Adobe" marker)
+ *
+ * Embedded ICC profiles (TIFF tag 34675, JPEG APP2 ICC_PROFILE) are returned
+ * as-is so the caller can proof with them.
+ *
+ * Not supported: progressive or arithmetic-coded JPEG, JPEG/Deflate-compressed
+ * TIFF, multi-page TIFF (only the first image is read).
+ *
+ * References:
+ * - TIFF Revision 6.0 (Adobe, 1992)
+ * - ITU-T T.81 (JPEG), Adobe Technical Note #5116 (APP14)
+ */
+
+'use strict';
+
+const ImageDecoder = (() => {
+
+  const ERROR_MESSAGES = {
+    truncated: 'The file ends unexpectedly. It may be truncated or corrupted.',
+    tiffNotCmyk: 'This TIFF is not CMYK. Only CMYK TIFF files can be analysed as separations; save RGB images as JPG or PNG.',
+    tiffBits: 'Unsupported TIFF bit depth ({bits} bits per sample). Use 8 or 16 bits.',
+    tiffCompression: 'Unsupported TIFF compression (type {type}). Save the file uncompressed, with LZW or with PackBits.',
+    jpegProgressive: 'Progressive CMYK JPEGs are not supported. Save the file as baseline JPEG or as TIFF.',
+    jpegArithmetic: 'Arithmetic-coded JPEGs are not supported.',
+    jpegHuffman: 'Corrupt JPEG data (invalid Huffman code).',
+    jpegMissing: 'The JPEG is missing its frame header or image data.'
+  };
+
+  function fail(key, vars) {
+    let msg = ERROR_MESSAGES[key];
+    for (const name in vars) msg = msg.replace(`{${name}}`, vars[name]);
+    throw new Error(msg);
+  }
+
+  // ─── FORMAT DETECTION ──────────────────────────────────────────────────────
+  /**
+   * @param {Uint8Array} bytes
+   * @returns {'tiff'|'jpeg'|null}
+   */
+  function sniff(bytes) {
+    if (bytes.length < 4) return null;
+    if ((bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0) ||
+        (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42)) return 'tiff';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpeg';
+    return null;
+  }
+
+  // ─── TIFF ──────────────────────────────────────────────────────────────────
+  const TIFF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+  const TIFF_TAG = {
+    ImageWidth: 256,
+    ImageLength: 257,
+    BitsPerSample: 258,
+    Compression: 259,
+    PhotometricInterpretation: 262,
+    StripOffsets: 273,
+    SamplesPerPixel: 277,
+    RowsPerStrip: 278,
+    StripByteCounts: 279,
+    PlanarConfiguration: 284,
+    Predictor: 317,
+    TileWidth: 322,
+    TileLength: 323,
+    TileOffsets: 324,
+    TileByteCounts: 325,
+    InkSet: 332,
+    IccProfile: 34675
+  };
+
+  function readIfd(view, offset, little) {
+    if (offset + 2 > view.byteLength) fail('truncated');
+    const count = view.getUint16(offset, little);
+    const tags = {};
+
+    for (let i = 0; i < count; i++) {
+      const p = offset + 2 + i * 12;
+      if (p + 12 > view.byteLength) fail('truncated');
+      const tag = view.getUint16(p, little);
+      const type = view.getUint16(p + 2, little);
+      const n = view.getUint32(p + 4, little);
+      const size = (TIFF_TYPE_SIZE[type] || 1) * n;
+      const at = size > 4 ? view.getUint32(p + 8, little) : p + 8;
+      if (at + size > view.byteLength) fail('truncated');
+
+      if (type === 7 || type === 1) {
+        tags[tag] = new Uint8Array(view.buffer, view.byteOffset + at, n);
+      } else {
+        const values = [];
+        for (let j = 0; j < n; j++) {
+          if (type === 3) values.push(view.getUint16(at + j * 2, little));
+          else if (type === 4) values.push(view.getUint32(at + j * 4, little));
+          else if (type === 5) values.push(view.getUint32(at + j * 8, little) / view.getUint32(at + j * 8 + 4, little));
+          else values.push(view.getUint8(at + j));
+        }
+        tags[tag] = values;
+      }
+    }
+    return tags;
+  }
+
+  function tagValue(tags, tag, fallback) {
+    const v = tags[tag];
+    return v === undefined ? fallback : v[0];
+  }
+
+  function unpackBits(src, size) {
+    const out = new Uint8Array(size);
+    let i = 0, o = 0;
+    while (i < src.length && o < size) {
+      const n = (src[i++] << 24) >> 24;
+      if (n >= 0) {
+        for (let j = 0; j <= n && o < size; j++) out[o++] = src[i++];
+      } else if (n !== -128) {
+        const v = src[i++];
+        for (let j = 0; j < 1 - n && o < size; j++) out[o++] = v;
+      }
+    }
+    return out;
+  }
+
+  /** TIFF LZW: MSB-first codes of 9-12 bits, with the "early change" code width switch. */
+  function lzwDecode(src, size) {
+    const out = new Uint8Array(size);
+    const prefix = new Uint16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const first = new Uint8Array(4096);
+    const length = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+      suffix[i] = i;
+      first[i] = i;
+      length[i] = 1;
+    }
+
+    let o = 0, bitPos = 0, width = 9, next = 258, prev = -1;
+    const totalBits = src.length * 8;
+
+    const emit = code => {
+      const len = length[code];
+      let end = o + len - 1;
+      for (let c = code; end >= o; c = prefix[c], end--) {
+        if (end < size) out[end] = suffix[c];
+      }
+      o += len;
+    };
+
+    while (bitPos + width <= totalBits && o < size) {
+      let code = 0;
+      for (let b = 0; b < width; b++, bitPos++) {
+        code = (code << 1) | ((src[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+      }
+      if (code === 257) break;
+      if (code === 256) {
+        width = 9;
+        next = 258;
+        prev = -1;
+        continue;
+      }
+      if (prev === -1) {
+        emit(code);
+        prev = code;
+        continue;
+      }
+
+      if (next < 4096) {
+        prefix[next] = prev;
+        suffix[next] = code < next ? first[code] : first[prev];
+        first[next] = first[prev];
+        length[next] = length[prev] + 1;
+        next++;
+      }
+      emit(code);
+      prev = code;
+      if (next + 1 >= (1 << width) && width < 12) width++;
+    }
+    return out;
+  }
+
+  function undoPredictor(data, rowBytes, rows, samples, bytesPerSample, little) {
+    for (let r = 0; r < rows; r++) {
+      const row = r * rowBytes;
+      if (bytesPerSample === 1) {
+        for (let i = samples; i < rowBytes; i++) data[row + i] = (data[row + i] + data[row + i - samples]) & 255;
+      } else {
+        const view = new DataView(data.buffer, data.byteOffset + row, rowBytes);
+        for (let i = samples * 2; i < rowBytes; i += 2) {
+          view.setUint16(i, (view.getUint16(i, little) + view.getUint16(i - samples * 2, little)) & 0xffff, little);
+        }
+      }
+    }
+  }
+
+  /**
+   * Decode a CMYK TIFF.
+   * @param {ArrayBuffer} buffer
+   * @returns {{width: number, height: number, cmyk: Uint8Array, iccProfile: ArrayBuffer|null}}
+   */
+  function decodeTiff(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const little = bytes[0] === 0x49;
+    const tags = readIfd(view, view.getUint32(4, little), little);
+
+    const width = tagValue(tags, TIFF_TAG.ImageWidth, 0);
+    const height = tagValue(tags, TIFF_TAG.ImageLength, 0);
+    const samples = tagValue(tags, TIFF_TAG.SamplesPerPixel, 1);
+    const bits = tagValue(tags, TIFF_TAG.BitsPerSample, 1);
+    const compression = tagValue(tags, TIFF_TAG.Compression, 1);
+    const photometric = tagValue(tags, TIFF_TAG.PhotometricInterpretation, -1);
+    const planar = tagValue(tags, TIFF_TAG.PlanarConfiguration, 1);
+    const predictor = tagValue(tags, TIFF_TAG.Predictor, 1);
+    const inkSet = tagValue(tags, TIFF_TAG.InkSet, 1);
+
+    if (photometric !== 5 || samples < 4 || inkSet !== 1) fail('tiffNotCmyk');
+    if (bits !== 8 && bits !== 16) fail('tiffBits', { bits });
+    if (compression !== 1 && compression !== 5 && compression !== 32773) fail('tiffCompression', { type: compression });
+    if (!width || !height) fail('truncated');
+
+    const bps = bits / 8;
+    const tiled = tags[TIFF_TAG.TileOffsets] !== undefined;
+    const chunkW = tiled ? tagValue(tags, TIFF_TAG.TileWidth, width) : width;
+    const chunkH = tiled ? tagValue(tags, TIFF_TAG.TileLength, height) : Math.min(height, tagValue(tags, TIFF_TAG.RowsPerStrip, height));
+    const offsets = tags[tiled ? TIFF_TAG.TileOffsets : TIFF_TAG.StripOffsets];
+    const counts = tags[tiled ? TIFF_TAG.TileByteCounts : TIFF_TAG.StripByteCounts];
+    if (!offsets || !counts) fail('truncated');
+
+    const across = Math.ceil(width / chunkW);
+    const down = Math.ceil(height / chunkH);
+    const perPlane = across * down;
+    const chunkSamples = planar === 2 ? 1 : samples;
+    const chunkRowBytes = chunkW * chunkSamples * bps;
+    const chunkSize = chunkRowBytes * chunkH;
+
+    // 8-bit CMYK, whatever the file has
+    const cmyk = new Uint8Array(width * height * 4);
+    const hi = little ? 1 : 0;   // most significant byte of a 16-bit sample
+
+    for (let n = 0; n < offsets.length; n++) {
+      const plane = planar === 2 ? Math.floor(n / perPlane) : 0;
+      if (plane > 3) break;   // extra (alpha) planes
+      const index = n % perPlane;
+      const x0 = (index % across) * chunkW;
+      const y0 = Math.floor(index / across) * chunkH;
+      if (offsets[n] + counts[n] > bytes.length) fail('truncated');
+      const raw = bytes.subarray(offsets[n], offsets[n] + counts[n]);
+
+      let data;
+      if (compression === 5) data = lzwDecode(raw, chunkSize);
+      else if (compression === 32773) data = unpackBits(raw, chunkSize);
+      else {
+        data = new Uint8Array(chunkSize);
+        data.set(raw.subarray(0, chunkSize));
+      }
+      if (predictor === 2) undoPredictor(data, chunkRowBytes, chunkH, chunkSamples, bps, little);
+
+      const rows = Math.min(chunkH, height - y0);
+      const cols = Math.min(chunkW, width - x0);
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+          const src = y * chunkRowBytes + x * chunkSamples * bps;
+          const dst = ((y0 + y) * width + x0 + x) * 4;
+          if (planar === 2) {
+            cmyk[dst + plane] = data[src + (bps === 2 ? hi : 0)];
+          } else {
+            for (let ch = 0; ch < 4; ch++) cmyk[dst + ch] = data[src + ch * bps + (bps === 2 ? hi : 0)];
+          }
+        }
+      }
+    }
+
+    const icc = tags[TIFF_TAG.IccProfile];
+    return { width, height, cmyk, iccProfile: icc ? icc.slice().buffer : null };
+  }
+
+  // ─── JPEG ──────────────────────────────────────────────────────────────────
+  const ZIGZAG = new Uint8Array([
+     0,  1,  8, 16,  9,  2,  3, 10, 17, 24, 32, 25, 18, 11,  4,  5,
+    12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13,  6,  7, 14, 21, 28,
+    35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+    58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+  ]);
+
+  // IDCT basis: IDCT_TABLE[x * 8 + u] = C(u) / 2 · cos((2x + 1)uπ / 16)
+  const IDCT_TABLE = new Float64Array(64);
+  for (let x = 0; x < 8; x++) {
+    for (let u = 0; u < 8; u++) {
+      IDCT_TABLE[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+    }
+  }
+
+  function buildHuffman(counts, symbols) {
+    const maxcode = new Int32Array(18).fill(-1);
+    const valptr = new Int32Array(17);
+    const mincode = new Int32Array(17);
+    let code = 0, k = 0;
+    for (let len = 1; len <= 16; len++) {
+      valptr[len] = k;
+      mincode[len] = code;
+      code += counts[len - 1];
+      k += counts[len - 1];
+      if (counts[len - 1]) maxcode[len] = code - 1;
+      code <<= 1;
+    }
+    return { maxcode, valptr, mincode, symbols };
+  }
+
+  /** Scan the markers for the frame header without decoding anything. */
+  function jpegComponentCount(bytes) {
+    let p = 2;
+    while (p + 4 <= bytes.length) {
+      if (bytes[p] !== 0xff) { p++; continue; }
+      const marker = bytes[p + 1];
+      if (marker === 0xff) { p++; continue; }
+      if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) { p += 2; continue; }
+      const len = (bytes[p + 2] << 8) | bytes[p + 3];
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return bytes[p + 9];
+      }
+      if (marker === 0xda || marker === 0xd9) break;
+      p += 2 + len;
+    }
+    return 0;
+  }
+
+  /**
+   * Decode a 4-component (CMYK or YCCK) JPEG.
+   * @param {ArrayBuffer} buffer
+   * @returns {{width: number, height: number, cmyk: Uint8Array, iccProfile: ArrayBuffer|null}}
+   */
+  function decodeJpeg(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const qTables = [];
+    const dcTables = [];
+    const acTables = [];
+    const iccChunks = [];
+    let frame = null;
+    let adobe = null;
+    let restartInterval = 0;
+    let p = 2;
+
+    const u16 = at => (bytes[at] << 8) | bytes[at + 1];
+
+    while (p + 4 <= bytes.length) {
+      if (bytes[p] !== 0xff) { p++; continue; }
+      const marker = bytes[p + 1];
+      if (marker === 0xff) { p++; continue; }
+      if (marker === 0xd9) break;
+      if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) { p += 2; continue; }
+
+      const len = u16(p + 2);
+      const seg = p + 4;
+      const end = p + 2 + len;
+      if (end > bytes.length) fail('truncated');
+
+      switch (marker) {
+        case 0xe2:   // APP2 — ICC_PROFILE chunk
+          if (String.fromCharCode(...bytes.subarray(seg, seg + 11)) === 'ICC_PROFILE') {
+            iccChunks[bytes[seg + 12]] = bytes.subarray(seg + 14, end);
+          }
+          break;
+        case 0xee:   // APP14 — Adobe
+          if (String.fromCharCode(...bytes.subarray(seg, seg + 5)) === 'Adobe') {
+            adobe = { transform: bytes[seg + 11] };
+          }
+          break;
+        case 0xdb: { // DQT
+          let q = seg;
+          while (q < end) {
+            const precision = bytes[q] >> 4;
+            const id = bytes[q] & 15;
+            const table = new Uint16Array(64);
+            q++;
+            for (let k = 0; k < 64; k++) {
+              table[k] = precision ? u16(q + k * 2) : bytes[q + k];
+            }
+            q += precision ? 128 : 64;
+            qTables[id] = table;
+          }
+          break;
+        }
+        case 0xc4: { // DHT
+          let q = seg;
+          while (q < end) {
+            const cls = bytes[q] >> 4;
+            const id = bytes[q] & 15;
+            const counts = bytes.subarray(q + 1, q + 17);
+            let total = 0;
+            for (let k = 0; k < 16; k++) total += counts[k];
+            const symbols = bytes.subarray(q + 17, q + 17 + total);
+            (cls === 0 ? dcTables : acTables)[id] = buildHuffman(counts, symbols);
+            q += 17 + total;
+          }
+          break;
+        }
+        case 0xdd:   // DRI
+          restartInterval = u16(seg);
+          break;
+        case 0xc0:
+        case 0xc1:   // SOF0 / SOF1 — baseline and extended sequential, Huffman
+          frame = readFrame(bytes, seg);
+          break;
+        case 0xc2:
+        case 0xc6:
+        case 0xca:
+          fail('jpegProgressive');
+          break;
+        case 0xc3: case 0xc5: case 0xc7: case 0xc9: case 0xcb: case 0xcd: case 0xcf:
+          fail('jpegArithmetic');
+          break;
+        case 0xda: { // SOS
+          if (!frame) fail('jpegMissing');
+          const n = bytes[seg];
+          const scan = [];
+          for (let i = 0; i < n; i++) {
+            const comp = frame.components.find(c => c.id === bytes[seg + 1 + i * 2]);
+            const tables = bytes[seg + 2 + i * 2];
+            comp.dc = dcTables[tables >> 4];
+            comp.ac = acTables[tables & 15];
+            scan.push(comp);
+          }
+          p = decodeScan(bytes, end, frame, scan, qTables, restartInterval);
+          continue;
+        }
+      }
+      p = end;
+    }
+
+    if (!frame || !frame.components[0].pixels) fail('jpegMissing');
+
+    const icc = iccChunks.length ? concat(iccChunks.filter(Boolean)) : null;
+    return { width: frame.width, height: frame.height, cmyk: toCmyk(frame, adobe), iccProfile: icc };
+  }
+
+  function readFrame(bytes, seg) {
+    const height = (bytes[seg + 1] << 8) | bytes[seg + 2];
+    const width = (bytes[seg + 3] << 8) | bytes[seg + 4];
+    const n = bytes[seg + 5];
+    const components = [];
+    for (let i = 0; i < n; i++) {
+      const at = seg + 6 + i * 3;
+      components.push({ id: bytes[at], h: bytes[at + 1] >> 4, v: bytes[at + 1] & 15, tq: bytes[at + 2] });
+    }
+    const hMax = Math.max(...components.map(c => c.h));
+    const vMax = Math.max(...components.map(c => c.v));
+    const mcusX = Math.ceil(width / (8 * hMax));
+    const mcusY = Math.ceil(height / (8 * vMax));
+    components.forEach(c => {
+      c.blocksX = Math.ceil(Math.ceil(width * c.h / hMax) / 8);
+      c.blocksY = Math.ceil(Math.ceil(height * c.v / vMax) / 8);
+      c.stride = mcusX * c.h * 8;
+      c.pixels = new Uint8Array(c.stride * mcusY * c.v * 8);
+    });
+    return { width, height, components, hMax, vMax, mcusX, mcusY };
+  }
+
+  function decodeScan(bytes, start, frame, scan, qTables, restartInterval) {
+    let pos = start;
+    let bitBuf = 0;
+    let bitCnt = 0;
+
+    const readBit = () => {
+      if (bitCnt === 0) {
+        let b = 0;
+        if (pos < bytes.length) {
+          b = bytes[pos];
+          if (b === 0xff) {
+            const next = bytes[pos + 1];
+            if (next === 0) pos += 2;
+            else b = 0;   // a marker: feed zeros, don't move past it
+          } else {
+            pos++;
+          }
+        }
+        bitBuf = b;
+        bitCnt = 8;
+      }
+      bitCnt--;
+      return (bitBuf >> bitCnt) & 1;
+    };
+
+    const receive = n => {
+      let v = 0;
+      for (let i = 0; i < n; i++) v = (v << 1) | readBit();
+      return v;
+    };
+
+    const extend = (v, n) => (v < 1 << (n - 1) ? v - (1 << n) + 1 : v);
+
+    const decodeHuff = table => {
+      let code = readBit();
+      let len = 1;
+      while (code > table.maxcode[len]) {
+        code = (code << 1) | readBit();
+        if (++len > 16) fail('jpegHuffman');
+      }
+      return table.symbols[table.valptr[len] + code - table.mincode[len]];
+    };
+
+    const coeffs = new Float64Array(64);
+    const tmp = new Float64Array(64);
+
+    const decodeBlock = (comp, bx, by) => {
+      const q = qTables[comp.tq];
+      coeffs.fill(0);
+      const t = decodeHuff(comp.dc);
+      comp.pred += t === 0 ? 0 : extend(receive(t), t);
+      coeffs[0] = comp.pred * q[0];
+      for (let k = 1; k < 64;) {
+        const rs = decodeHuff(comp.ac);
+        const s = rs & 15;
+        const r = rs >> 4;
+        if (s === 0) {
+          if (r < 15) break;
+          k += 16;
+          continue;
+        }
+        k += r;
+        if (k > 63) break;
+        coeffs[ZIGZAG[k]] = extend(receive(s), s) * q[k];
+        k++;
+      }
+
+      // Separable inverse DCT, rows then columns
+      for (let v = 0; v < 8; v++) {
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let u = 0; u < 8; u++) sum += IDCT_TABLE[x * 8 + u] * coeffs[v * 8 + u];
+          tmp[v * 8 + x] = sum;
+        }
+      }
+      const out = comp.pixels;
+      for (let y = 0; y < 8; y++) {
+        const row = (by * 8 + y) * comp.stride + bx * 8;
+        for (let x = 0; x < 8; x++) {
+          let sum = 0;
+          for (let v = 0; v < 8; v++) sum += IDCT_TABLE[y * 8 + v] * tmp[v * 8 + x];
+          const val = sum + 128.5;   // level shift; the Uint8Array store truncates
+          out[row + x] = val < 0 ? 0 : val > 255 ? 255 : val;
+        }
+      }
+    };
+
+    const restart = () => {
+      bitCnt = 0;
+      while (pos + 1 < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7)) pos++;
+      pos += 2;
+      scan.forEach(c => { c.pred = 0; });
+    };
+
+    scan.forEach(c => { c.pred = 0; });
+    let mcu = 0;
+
+    if (scan.length === 1) {
+      const comp = scan[0];
+      for (let by = 0; by < comp.blocksY; by++) {
+        for (let bx = 0; bx < comp.blocksX; bx++) {
+          if (restartInterval && mcu > 0 && mcu % restartInterval === 0) restart();
+          decodeBlock(comp, bx, by);
+          mcu++;
+        }
+      }
+    } else {
+      for (let my = 0; my < frame.mcusY; my++) {
+        for (let mx = 0; mx < frame.mcusX; mx++) {
+          if (restartInterval && mcu > 0 && mcu % restartInterval === 0) restart();
+          for (const comp of scan) {
+            for (let v = 0; v < comp.v; v++) {
+              for (let h = 0; h < comp.h; h++) decodeBlock(comp, mx * comp.h + h, my * comp.v + v);
+            }
+          }
+          mcu++;
+        }
+      }
+    }
+
+    // Continue after the entropy-coded data, at the next real marker
+    while (pos + 1 < bytes.length && !(bytes[pos] === 0xff && bytes[pos + 1] !== 0 && !(bytes[pos + 1] >= 0xd0 && bytes[pos + 1] <= 0xd7))) pos++;
+    return pos;
+  }
+
+  /**
+   * Upsample the components and turn them into ink values (0 = no ink).
+   * Adobe applications store CMYK inverted; with transform 2 the inverted
+   * C, M, Y were additionally stored as YCbCr.
+   */
+  function toCmyk(frame, adobe) {
+    const { width, height, components, hMax, vMax } = frame;
+    const cmyk = new Uint8ClampedArray(width * height * 4);
+    const inverted = !!adobe;
+    const ycck = adobe && adobe.transform === 2;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const o = (y * width + x) * 4;
+        for (let ch = 0; ch < 4; ch++) {
+          const c = components[ch];
+          cmyk[o + ch] = c.pixels[Math.floor(y * c.v / vMax) * c.stride + Math.floor(x * c.h / hMax)];
+        }
+        if (ycck) {
+          const Y = cmyk[o], cb = cmyk[o + 1] - 128, cr = cmyk[o + 2] - 128;
+          cmyk[o] = Y + 1.402 * cr;
+          cmyk[o + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+          cmyk[o + 2] = Y + 1.772 * cb;
+        }
+        if (inverted) {
+          cmyk[o] = 255 - cmyk[o];
+          cmyk[o + 1] = 255 - cmyk[o + 1];
+          cmyk[o + 2] = 255 - cmyk[o + 2];
+          cmyk[o + 3] = 255 - cmyk[o + 3];
+        }
+      }
+    }
+    return new Uint8Array(cmyk.buffer);
+  }
+
+  function concat(chunks) {
+    const total = chunks.reduce((n, c) => n + c.length, 0);
+    const out = new Uint8Array(total);
+    let at = 0;
+    chunks.forEach(c => { out.set(c, at); at += c.length; });
+    return out.buffer;
+  }
+
+  // ─── RESIZE ────────────────────────────────────────────────────────────────
+  /**
+   * Shrink a CMYK image to fit maxDim (area average), like the RGB path does.
+   * @param {{width: number, height: number, cmyk: Uint8Array}} image
+   * @param {number} maxDim
+   * @returns {{width: number, height: number, cmyk: Uint8Array, wasResized: boolean}}
+   */
+  function fitCmyk(image, maxDim) {
+    const { width, height, cmyk } = image;
+    if (width <= maxDim && height <= maxDim) return { width, height, cmyk, wasResized: false };
+
+    const scale = maxDim / Math.max(width, height);
+    const w = Math.max(1, Math.round(width * scale));
+    const h = Math.max(1, Math.round(height * scale));
+    const out = new Uint8Array(w * h * 4);
+    const sum = new Float64Array(4);
+
+    for (let y = 0; y < h; y++) {
+      const y0 = Math.floor(y * height / h), y1 = Math.max(y0 + 1, Math.floor((y + 1) * height / h));
+      for (let x = 0; x < w; x++) {
+        const x0 = Math.floor(x * width / w), x1 = Math.max(x0 + 1, Math.floor((x + 1) * width / w));
+        sum.fill(0);
+        for (let sy = y0; sy < y1; sy++) {
+          for (let sx = x0; sx < x1; sx++) {
+            const i = (sy * width + sx) * 4;
+            sum[0] += cmyk[i]; sum[1] += cmyk[i + 1]; sum[2] += cmyk[i + 2]; sum[3] += cmyk[i + 3];
+          }
+        }
+        const n = (y1 - y0) * (x1 - x0);
+        const o = (y * w + x) * 4;
+        for (let ch = 0; ch < 4; ch++) out[o + ch] = Math.round(sum[ch] / n);
+      }
+    }
+    return { width: w, height: h, cmyk: out, wasResized: true };
+  }
+
+  // ─── ENTRY POINT ───────────────────────────────────────────────────────────
+  /**
+   * Decode a file if it holds CMYK data.
+   * @param {ArrayBuffer} buffer
+   * @returns {{width: number, height: number, cmyk: Uint8Array, iccProfile: ArrayBuffer|null}|null}
+   *   null for files the browser should decode (RGB/greyscale JPEG)
+   */
+  function decodeCmyk(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const format = sniff(bytes);
+    if (format === 'tiff') return decodeTiff(buffer);
+    if (format === 'jpeg' && jpegComponentCount(bytes) === 4) return decodeJpeg(buffer);
+    return null;
+  }
+
+  return {
+    sniff,
+    decodeCmyk,
+    decodeTiff,
+    decodeJpeg,
+    fitCmyk,
+    ERROR_MESSAGES
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = ImageDecoder;
@@ -1,199 +1,438 @@
 /**
  * main.js — CMYK Simulator
- * Processes on main thread using chunked setTimeout — no Worker complexity.
- * Clean, simple, works on every browser and host.
+ * Processes in a Web Worker (worker.js), or on the main thread in chunked
+ * setTimeout ticks where workers are unavailable (e.g. opened from file://).
+ * All colour math is ColorEngine's (colorEngine.js), the same the worker runs.
  */
 
 'use strict';
 
 (function () {
 
-  // ─── PAPER PROFILES ───────────────────────────────────────────────────────
-  var PAPERS = {
-    coated:   { name:'Coated',    dotGain:0.15, inkLimit:300, gamutReduction:0,    sg:0.8, hg:0.4, desc:'Coated / Glossy — ISO Coated v2 (FOGRA39 approx.) — Ink limit: 300%' },
-    uncoated: { name:'Uncoated',  dotGain:0.22, inkLimit:280, gamutReduction:0.08, sg:1.0, hg:0.5, desc:'Uncoated / Matte — ISO Uncoated (FOGRA29 approx.) — Ink limit: 280%' },
-    newsprint:{ name:'Newsprint', dotGain:0.30, inkLimit:240, gamutReduction:0.18, sg:1.3, hg:0.6, desc:'Newsprint — SNAP standard — Ink limit: 240% — Heavy dot gain' }
-  };
+  // ─── PAPERS ───────────────────────────────────────────────────────────────
+  // Presets, printing conditions and custom papers are all ColorEngine.PAPER_PROFILES
+  // entries; all colour math below is ColorEngine's, shared with the worker.
+  function paperProfile(id) { return ColorEngine.PAPER_PROFILES[id]; }
 
-  // ─── COLOR MATH ───────────────────────────────────────────────────────────
-  function rgbToCmyk(r, g, b) {
-    var k = 1 - Math.max(r, g, b);
-    if (k >= 1) return { c:0, m:0, y:0, k:1 };
-    var d = 1 - k;
-    return { c:(1-r-k)/d, m:(1-g-k)/d, y:(1-b-k)/d, k:k };
+  function paperDescription(p) {
+    return p.condition ? p.name+' — '+p.description+' — TAC: '+p.inkLimit+'%'
+      : (p.description || p.name+' — custom paper')+' — Ink limit: '+p.inkLimit+'%';
   }
 
-  function cmykToRgb(c, m, y, k) {
-    return {
-      r: Math.round(255*(1-c)*(1-k)),
-      g: Math.round(255*(1-m)*(1-k)),
-      b: Math.round(255*(1-y)*(1-k))
-    };
+  // Paper white and ink absorption while "simulate paper colour" is on, else null (relative proof)
+  function paperSubstrate(settings) {
+    return settings.simulatePaper ? ColorEngine.paperSubstrate(settings.paperType, settings.paperWhite, settings.profile) : null;
   }
 
-  function dotGain(v, gain, sg, hg) {
-    if (v <= 0) return 0;
-    if (v >= 1) return 1;
-    var mb = Math.sin(Math.PI * v);
-    var pw = v < 0.5 ? hg + (sg-hg)*(v*2) : sg - (sg-hg)*((v-0.5)*2);
-    return Math.min(1, Math.max(0, v + gain*mb*pw));
-  }
-
-  function outOfGamut(r, g, b, pt) {
-    var p = PAPERS[pt];
-    var rn=r/255, gn=g/255, bn=b/255;
-    var mx=Math.max(rn,gn,bn), mn=Math.min(rn,gn,bn);
-    var li=(mx+mn)/2;
-    var sat = mx===mn ? 0 : (mx-mn)/(li>0.5 ? 2-mx-mn : mx+mn);
-    var hue=0, d=mx-mn;
-    if (d>0) {
-      if (mx===rn) hue=((gn-bn)/d+(gn<bn?6:0))/6;
-      else if (mx===gn) hue=((bn-rn)/d+2)/6;
-      else hue=((rn-gn)/d+4)/6;
-    }
-    var thr = 0.82 - p.gamutReduction;
-    if ((hue>0.22&&hue<0.42&&sat>0.7)||(hue>0.55&&hue<0.72&&sat>0.75&&li>0.3)||(hue>0.05&&hue<0.12&&sat>0.85)) thr -= 0.12;
-    if (li<0.08||li>0.94) return false;
-    return sat > thr;
-  }
-
-  function getPixelCmyk(r, g, b, pt, gain) {
-    var p = PAPERS[pt];
-    var raw = rgbToCmyk(r/255, g/255, b/255);
-    return {
-      c: Math.round(dotGain(raw.c, gain, p.sg, p.hg) * 100),
-      m: Math.round(dotGain(raw.m, gain, p.sg, p.hg) * 100),
-      y: Math.round(dotGain(raw.y, gain, p.sg, p.hg) * 100),
-      k: Math.round(dotGain(raw.k, gain, p.sg, p.hg) * 100),
-      tac: 0  // filled below
-    };
-    var out = getPixelCmyk(r,g,b,pt,gain);
-    out.tac = out.c+out.m+out.y+out.k;
-    return out;
-  }
-  // fix the above (closure issue) — clean version:
-  function pixelCmyk(r, g, b, pt, gain) {
-    var p = PAPERS[pt];
-    var raw = rgbToCmyk(r/255, g/255, b/255);
-    var c = Math.round(dotGain(raw.c, gain, p.sg, p.hg) * 100);
-    var m = Math.round(dotGain(raw.m, gain, p.sg, p.hg) * 100);
-    var y = Math.round(dotGain(raw.y, gain, p.sg, p.hg) * 100);
-    var k = Math.round(dotGain(raw.k, gain, p.sg, p.hg) * 100);
-    return { c:c, m:m, y:y, k:k, tac:c+m+y+k };
-  }
-
-  function dominantColors(pixels) {
-    var buckets = {}, total = Math.floor(pixels.length/4);
-    for (var i=0; i<total; i+=10) {
-      var idx=i*4;
-      if (pixels[idx+3]<128) continue;
-      var r=Math.round(pixels[idx]/32)*32;
-      var g=Math.round(pixels[idx+1]/32)*32;
-      var b=Math.round(pixels[idx+2]/32)*32;
-      var key=r+','+g+','+b;
-      buckets[key]=(buckets[key]||0)+1;
-    }
-    var entries=[];
-    for (var k in buckets) entries.push([k,buckets[k]]);
-    entries.sort(function(a,z){return z[1]-a[1];});
-    return entries.slice(0,5).map(function(e){
-      var parts=e[0].split(',').map(Number);
-      var r=parts[0],g=parts[1],b=parts[2];
-      var raw=rgbToCmyk(r/255,g/255,b/255);
-      return { r:r,g:g,b:b, c:Math.round(raw.c*100), m:Math.round(raw.m*100), y:Math.round(raw.y*100), k:Math.round(raw.k*100) };
-    });
+  // Per-ink TVI curves (see ColorEngine.toneCurves) for the current settings
+  function toneCurves(settings) {
+    return ColorEngine.toneCurves(settings.paperType, settings.dotGain, settings.tviCurves);
   }
 
   // ─── CHUNKED MAIN-THREAD PROCESSING ───────────────────────────────────────
-  // Process CHUNK_SIZE pixels per setTimeout tick — keeps UI alive during processing.
+  // Runs a ColorEngine image job CHUNK_SIZE pixels per setTimeout tick — keeps UI alive during processing.
   var CHUNK_SIZE = 80000;  // ~80k pixels per frame — fast but non-blocking
 
-  function processPixels(src, settings, onProgress, onDone) {
-    var p      = PAPERS[settings.paperType];
-    var gain   = settings.dotGain;
-    var count  = Math.floor(src.length / 4);
-    var out    = new Uint8ClampedArray(src.length);
-    var gam    = new Uint8ClampedArray(src.length);
-    var totalTAC=0, maxTAC=0, oogCount=0, procCount=0;
-    var i      = 0;
+  // Debug: open the page with ?parity to check every result against a one-go
+  // ColorEngine.processImage and the hover readout (see ColorEngine.checkParity)
+  var PARITY_CHECK = /[?&]parity\b/.test(location.search);
+
+  // Opt-in: ?lut=on sends plain CMYK pixels through the engine's colour table
+  // (see COLOUR LUT), which it turns down for settings it cannot match within
+  // ColorEngine.LUT_TOLERANCE; ?lut=check also logs how far the table strays
+  var LUT_MODE = (/[?&]lut=(on|check)\b/.exec(location.search) || [])[1] || 'off';
+
+  // settings: as ColorEngine.processImage, misregistration and blackCheck included
+  // sep: optional CMYK working image (Float32Array, 0-1) used instead of separating src
+  // Returns a function that stops the job
+  function processPixels(src, settings, onProgress, onDone, sep) {
+    return stepJob(ColorEngine.createImageJob(src, settings, sep), onProgress, onDone);
+  }
+
+  // Runs a ColorEngine job (createImageJob, createCompositeJob) to its result
+  function stepJob(job, onProgress, onDone) {
+    var timer;
 
     function chunk() {
-      var end = Math.min(i + CHUNK_SIZE, count);
+      var done = job.step(CHUNK_SIZE);
+      onProgress(Math.round((done/job.pixelCount)*100));
+      if (done < job.pixelCount) timer = setTimeout(chunk, 0);  // yield to browser, then continue
+      else onDone(job.finish());
+    }
+
+    timer = setTimeout(chunk, 0);  // start async
+    return function cancel() { clearTimeout(timer); };
+  }
+
+  function reportParity(src, settings, result, sep) {
+    var check = ColorEngine.checkParity(src, settings, result, sep);
+    if (check.ok) console.log('[CMYK] Parity OK: buffers, stats and '+check.readouts+' readouts match.');
+    else console.warn('[CMYK] Parity mismatch:', check.mismatches.join(', '));
+  }
 
+  function reportLut(src, settings) {
+    var check = ColorEngine.checkLut(settings, src);
+    console.log('[CMYK] Colour table ('+ColorEngine.LUT_SIZE+'\u00b3) vs direct, '+check.samples+' pixels: proof \u0394E2000 mean '+check.meanDeltaE+
+      ', max '+check.maxDeltaE+'; plates max '+check.maxInkError+'%, TAC max '+check.maxTacError+'%; print \u0394E off by up to '+
+      check.maxPrintDeltaEError+'; '+check.gamutFlips+' gamut flag(s) differ. '+
+      (ColorEngine.colourTable(settings) ? 'Table in use.' : 'Outside tolerance at the cell centres: converted directly.'));
+  }
+
+  // ─── SEPARATION ───────────────────────────────────────────────────────────
+  // Separates the whole image into a CMYK buffer (Float32Array, 0-1, 4 per pixel).
+  // With a method, over-limit pixels are also brought under the TAC threshold;
+  // that result becomes the CMYK working image that processPixels renders from.
+  // base: optional CMYK image (a native CMYK upload) used instead of separating src
+  // Returns a function that stops it
+  function separatePixels(src, settings, method, onProgress, onDone, base) {
+    var icc   = settings.profile;
+    var bg    = settings.blackGeneration;
+    var count = Math.floor(src.length / 4);
+    var sep   = new Float32Array(src.length);
+    var fixed = 0;
+    var i     = 0;
+    var timer;
+
+    function chunk() {
+      var end = Math.min(i + CHUNK_SIZE, count);
       for (; i < end; i++) {
         var idx = i*4;
-        var r=src[idx], g=src[idx+1], b=src[idx+2], a=src[idx+3];
+        if (src[idx+3] === 0) continue;
+        var raw = base ? { c:base[idx], m:base[idx+1], y:base[idx+2], k:base[idx+3] } : ColorEngine.separate(src[idx]/255, src[idx+1]/255, src[idx+2]/255, icc, bg);
+        var out = method ? ColorEngine.fixInkLimit(raw, settings.tacThreshold, method, settings.paperType, settings.dotGain, settings.tviCurves) : raw;
+        if (out !== raw) fixed++;
+        sep[idx]=out.c; sep[idx+1]=out.m; sep[idx+2]=out.y; sep[idx+3]=out.k;
+      }
+      onProgress(Math.round((i/count)*100));
+      if (i < count) timer = setTimeout(chunk, 0);
+      else onDone(sep, fixed);
+    }
 
-        if (a === 0) {
-          out[idx]=255; out[idx+1]=255; out[idx+2]=255; out[idx+3]=255;
-          gam[idx+3]=0;
-          continue;
-        }
+    timer = setTimeout(chunk, 0);
+    return function cancel() { clearTimeout(timer); };
+  }
+
+  // ─── PROCESSING JOBS ──────────────────────────────────────────────────────
+  // Each simulation is a job with its own id, run by the worker or, without one,
+  // by processPixels. Starting a job cancels the one in flight, and progress or a
+  // result from any job but the current one is dropped — a stale result never
+  // replaces a newer one, and the preview always ends on the latest settings.
+  // A composite job redraws the result shown from its planes (see ColorEngine
+  // IMAGE CACHE) when only the plates shown or the paper simulation changed.
+  // job: { id, kind: 'process' | 'composite', src, settings, sep, planes, base,
+  //        onProgress, onDone, onError, cancel }; base is the result a composite redraws
+  var WORKER_URL = 'js/worker.js';
+  var worker     = null;
+  var jobSeq     = 0;
+  var currentJob = null;
+  var sentProfile;  // ICC profile the worker last received; it keeps its own parsed copy
+
+  function startWorker() {
+    if (typeof Worker === 'undefined') return;
+    try {
+      worker = new Worker(WORKER_URL);
+    } catch (err) {
+      console.warn('[CMYK] No worker, processing on the main thread:', err.message);
+      return;
+    }
+    worker.onmessage = onWorkerMessage;
+    // The script failed to load or the worker died: finish on the main thread
+    worker.onerror = function(e) {
+      if (e.preventDefault) e.preventDefault();
+      console.warn('[CMYK] Worker failed, processing on the main thread:', e.message || 'script error');
+      worker.terminate();
+      worker = null;
+      if (currentJob) runJob(currentJob);
+    };
+  }
 
-        var raw = rgbToCmyk(r/255, g/255, b/255);
-        var c = dotGain(raw.c, gain, p.sg, p.hg);
-        var m = dotGain(raw.m, gain, p.sg, p.hg);
-        var y = dotGain(raw.y, gain, p.sg, p.hg);
-        var k = dotGain(raw.k, gain, p.sg, p.hg);
+  function runJob(job) {
+    if (!worker && job.kind === 'composite') {
+      job.cancel = stepJob(ColorEngine.createCompositeJob(job.src, job.planes, job.settings), job.onProgress, function(result){ finishJob(job, result); });
+      return;
+    }
+    if (!worker) {
+      var cancel;
+      var simulate = function(sep) {
+        cancel = processPixels(job.src, job.settings, job.onProgress, function(result){ finishJob(job, result); }, sep);
+      };
+      // Misregistration moves ink between pixels, so it needs the whole separation first
+      if (job.settings.misregistration && !job.sep) cancel = separatePixels(job.src, job.settings, null, job.onProgress, simulate);
+      else simulate(job.sep);
+      job.cancel = function() { cancel(); };
+      return;
+    }
 
-        if (p.gamutReduction > 0) {
-          c = Math.min(1, c + c*p.gamutReduction*0.5);
-          m = Math.min(1, m + m*p.gamutReduction*0.3);
-          y = Math.min(1, y + y*p.gamutReduction*0.3);
-        }
+    // Copies of the image buffers are transferred, the page keeps its own
+    var pixels    = job.src.slice();
+    var transfers = [pixels.buffer];
+    var copy      = function(data) { if (!data) return data; data = data.slice(); transfers.push(data.buffer); return data; };
+    var msg       = { type:job.kind, jobId:job.id, pixels:pixels, settings:Object.assign({}, job.settings, { profile:null }), paper:customPaper(job.settings) };
+    if (job.kind === 'composite') {
+      msg.planes = {};
+      for (var key in job.planes) msg.planes[key] = typeof job.planes[key] === 'object' ? copy(job.planes[key]) : job.planes[key];
+    } else {
+      msg.separation = copy(job.sep);
+    }
+    if (job.settings.profile !== sentProfile) {
+      msg.profile = job.settings.profile ? job.settings.profile.data : null;
+      sentProfile = job.settings.profile;
+    }
+    worker.postMessage(msg, transfers);
+    job.cancel = function() { if (worker) worker.postMessage({ type:'cancel', jobId:job.id }); };
+  }
 
-        var tac = (c+m+y+k)*100;
-        totalTAC += tac;
-        if (tac > maxTAC) maxTAC = tac;
+  // The paper profile a worker needs along with the settings: a custom paper's, which only the page knows
+  function customPaper(settings) {
+    return ColorEngine.BUILT_IN_PAPERS.indexOf(settings.paperType) < 0 ? paperProfile(settings.paperType) : null;
+  }
 
-        var oog = outOfGamut(r, g, b, settings.paperType);
-        if (oog) oogCount++;
+  function onWorkerMessage(e) {
+    var msg = e.data, job = currentJob;
+    if (!job || msg.jobId !== job.id) return;  // from a superseded job
+    if (msg.type === 'progress') job.onProgress(msg.percent);
+    else if (msg.type === 'result') finishJob(job, msg.result);
+    else if (msg.type === 'error') { currentJob = null; job.onError(msg.message); }
+  }
 
-        var rgb = cmykToRgb(settings.showC?c:0, settings.showM?m:0, settings.showY?y:0, settings.showK?k:0);
-        out[idx]=rgb.r; out[idx+1]=rgb.g; out[idx+2]=rgb.b; out[idx+3]=a;
+  function finishJob(job, result) {
+    if (job !== currentJob) return;
+    currentJob = null;
+    if (PARITY_CHECK) reportParity(job.src, job.settings, job.base ? Object.assign({}, job.base, result) : result, job.sep);
+    if (LUT_MODE === 'check' && job.kind === 'process' && ColorEngine.usesLut(job.settings, job.sep)) reportLut(job.src, job.settings);
+    job.onDone(result);
+  }
 
-        if (settings.gamutOverlay && oog) {
-          gam[idx]=220; gam[idx+1]=38; gam[idx+2]=38; gam[idx+3]=150;
-        } else {
-          gam[idx+3]=0;
-        }
-        procCount++;
-      }
+  // job: kind, src, settings, sep, planes and base as above, and the handlers
+  function startJob(job) {
+    cancelJob();
+    currentJob = Object.assign({ id:++jobSeq, sep:null, planes:null, base:null }, job);
+    runJob(currentJob);
+  }
 
-      var pct = Math.round((i/count)*100);
-      onProgress(pct);
+  function cancelJob() {
+    if (!currentJob) return;
+    currentJob.cancel();
+    currentJob = null;
+  }
 
-      if (i < count) {
-        setTimeout(chunk, 0);  // yield to browser, then continue
-      } else {
-        // Done — compute stats
-        var avgTAC  = procCount > 0 ? totalTAC/procCount : 0;
-        var oogPct  = procCount > 0 ? (oogCount/procCount)*100 : 0;
-        var lim     = p.inkLimit;
-        var risk;
-        if (maxTAC > lim+30 || oogPct > 25)
-          risk={level:'danger', label:'High Risk', message:'Max ink coverage ('+Math.round(maxTAC)+'%) exceeds the '+lim+'% limit for '+p.name+' paper. Printer may reject the file.'};
-        else if (maxTAC > lim || oogPct > 10)
-          risk={level:'caution', label:'Caution', message:'Some areas approach the '+lim+'% ink limit for '+p.name+' paper. Review highlighted regions.'};
-        else
-          risk={level:'safe', label:'Looking Good', message:'Ink coverage is within acceptable range for '+p.name+' paper. Always verify with ICC soft proof before final production.'};
-
-        onDone({
-          outputPixels: out,
-          gamutPixels: gam,
-          stats: {
-            avgTAC: Math.round(avgTAC),
-            maxTAC: Math.round(maxTAC),
-            outOfGamutPercent: Math.round(oogPct*10)/10,
-            dominantColors: dominantColors(src),
-            risk: risk,
-            inkLimit: lim
-          }
-        });
+  // ─── FULL RESOLUTION ──────────────────────────────────────────────────────
+  // With full resolution on, an image larger than the preview is kept as decoded
+  // (state.full) next to the downsampled preview. The preview is simulated as
+  // always; the stats, the zoom view and the exports then come from the image
+  // itself, processed in tiles of whole rows (see ColorEngine TILED PROCESSING)
+  // across a pool of workers. Tiles are sized so that those in flight stay
+  // within a memory budget; without workers they run on the main thread.
+  // A run: { tasks, left, fix, cancelled }; a task is one tile of a run:
+  // { id, run, kind: 'process' | 'separate', tile, settings, keep, onDone, onError, cancel }
+  var FULL_RES_MAX_SIZE   = 100 * 1024 * 1024;  // file size
+  var FULL_RES_MAX_PIXELS = 72e6;               // a 300 ppi A1 poster (7016 x 9933) just fits
+  var FULL_RES_BUDGET     = 512 * 1024 * 1024;  // bytes for the tiles in flight, at most an eighth of the device memory
+  var FULL_RES_WORKERS    = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+  var pool      = null;  // [{ worker, sentProfile, task }], started on first use; worker null = main thread
+  var tileQueue = [];    // tasks waiting for a slot in the pool
+  var tileRuns  = [];    // runs in progress
+  var fullRun   = null;  // the analysis in progress (see analyseFull)
+
+  function fullBudget() {
+    var device = navigator.deviceMemory ? navigator.deviceMemory * 1024 * 1024 * 1024 / 8 : FULL_RES_BUDGET;
+    return Math.min(FULL_RES_BUDGET, device);
+  }
+
+  // Preview pixels per image pixel, 1 without a full-resolution image
+  function previewScale() {
+    return state.full ? els.canvas.width / state.full.width : 1;
+  }
+
+  function startPool() {
+    pool = [];
+    for (var n=0; worker && n<FULL_RES_WORKERS; n++) {
+      try {
+        pool.push({ worker:new Worker(WORKER_URL), sentProfile:undefined, task:null });
+      } catch (err) {
+        break;
+      }
+    }
+    pool.forEach(function(slot){
+      slot.worker.onmessage = function(e){ onTileMessage(slot, e.data); };
+      // As for the preview worker: its tiles finish on the main thread
+      slot.worker.onerror = function(e) {
+        if (e.preventDefault) e.preventDefault();
+        console.warn('[CMYK] Tile worker failed, processing on the main thread:', e.message || 'script error');
+        slot.worker.terminate();
+        slot.worker = null;
+        if (slot.task) runTile(slot, slot.task);
+      };
+    });
+    if (!pool.length) pool.push({ worker:null, sentProfile:undefined, task:null });
+    console.log('[CMYK] Full resolution:', pool[0].worker ? pool.length+' tile worker(s).' : 'tiles on the main thread.');
+  }
+
+  // Pixels of a window of the full image: { src: RGBA, or null for a CMYK image; sep: its CMYK (0-1) or null }
+  function readFull(x, y, w, h) {
+    var full = state.full;
+    if (full.cmyk) {
+      var sep = new Float32Array(w*h*4);
+      for (var row=0; row<h; row++) {
+        var from = ((y+row)*full.width + x)*4, to = row*w*4;
+        for (var i=0; i<w*4; i++) sep[to+i] = full.cmyk[from+i]/255;
       }
+      return { src:null, sep:sep };
     }
+    var cv = typeof OffscreenCanvas !== 'undefined' ? new OffscreenCanvas(w, h) : document.createElement('canvas');
+    cv.width = w; cv.height = h;
+    var ctx = cv.getContext('2d', { willReadFrequently:true });
+    ctx.drawImage(full.image, -x, -y);
+    return { src:ctx.getImageData(0, 0, w, h).data, sep:null };
+  }
+
+  // Processes the full image in tiles: kind 'process' simulates each tile with
+  // settings (as ColorEngine.processImage, for the whole image) and sends back
+  // its totals and the result fields in keep; 'separate' sends back the tile's
+  // separation. onTile(tile, result) gets each tile as it is done, in any order,
+  // then onDone(); the working CMYK is corrected as the preview's (see FIX INK LIMIT)
+  function runTiles(kind, settings, keep, onTile, onDone, onError) {
+    if (!pool) startPool();
+    var width   = state.full.width;
+    var context = kind === 'process' ? ColorEngine.tileContext(settings) : 0;
+    var tiles   = ColorEngine.planTiles(state.full.height, ColorEngine.tileRows(width, fullBudget(), pool.length, context), context);
+    var run     = { tasks:[], left:tiles.length, fix:state.correction ? state.correction.method : null, cancelled:false };
+    tiles.forEach(function(tile){
+      run.tasks.push({
+        id: ++jobSeq, run: run, kind: kind, tile: tile, keep: keep,
+        settings: kind === 'process' ? ColorEngine.tileSettings(settings, tile, width) : settings,
+        onDone: function(result) {
+          if (run.cancelled) return;
+          onTile(tile, result);
+          if (--run.left > 0) return;
+          tileRuns = tileRuns.filter(function(r){ return r !== run; });
+          onDone();
+        },
+        onError: function(message) {
+          if (run.cancelled) return;
+          cancelTiles(run);
+          onError(message);
+        }
+      });
+    });
+    tileRuns.push(run);
+    tileQueue = tileQueue.concat(run.tasks);
+    pool.forEach(function(slot){ if (!slot.task) nextTile(slot); });
+    return run;
+  }
+
+  function cancelTiles(run) {
+    if (run.cancelled) return;
+    run.cancelled = true;
+    tileRuns = tileRuns.filter(function(r){ return r !== run; });
+    tileQueue = tileQueue.filter(function(task){ return task.run !== run; });
+    pool.forEach(function(slot){
+      if (!slot.task || slot.task.run !== run) return;
+      if (slot.worker) slot.worker.postMessage({ type:'cancel', jobId:slot.task.id });
+      else if (slot.task.cancel) slot.task.cancel();
+      nextTile(slot);
+    });
+  }
 
-    setTimeout(chunk, 0);  // start async
+  function nextTile(slot) {
+    slot.task = tileQueue.shift() || null;
+    if (slot.task) runTile(slot, slot.task);
+  }
+
+  function runTile(slot, task) {
+    var tile  = task.tile;
+    var input = readFull(0, tile.y - (tile.top || 0), state.full.width, (tile.top || 0) + tile.rows + (tile.bottom || 0));
+    if (!slot.worker) { runTileHere(slot, task, input); return; }
+
+    var transfers = [(input.src || input.sep).buffer];
+    var msg = { type:task.kind, jobId:task.id, pixels:input.src, separation:input.sep, settings:Object.assign({}, task.settings, { profile:null }),
+      paper:customPaper(task.settings), fix:task.run.fix, keep:task.keep };
+    if (task.settings.profile !== slot.sentProfile) {
+      msg.profile = task.settings.profile ? task.settings.profile.data : null;
+      slot.sentProfile = task.settings.profile;
+    }
+    slot.worker.postMessage(msg, transfers);
+  }
+
+  // A tile on the main thread, as the worker would process it
+  function runTileHere(slot, task, input) {
+    var settings = task.settings, fix = task.run.fix;
+    var done = function(result) {
+      if (slot.task !== task) return;
+      slot.task = null;
+      task.onDone(result);
+      if (!slot.task) nextTile(slot);
+    };
+    var fail = function(err) {
+      if (slot.task !== task) return;
+      slot.task = null;
+      task.onError(err.message);
+      if (!slot.task) nextTile(slot);
+    };
+    var timer = setTimeout(function(){
+      try {
+        var src = input.src || ColorEngine.proofImage(input.sep, settings.profile);
+        if (task.kind === 'separate') { done({ separation:ColorEngine.workingSeparation(src, settings, input.sep, fix) }); return; }
+        var sep = fix ? ColorEngine.workingSeparation(src, settings, input.sep, fix) : input.sep;
+        task.cancel = stepJob(ColorEngine.createImageJob(src, settings, sep), function(){}, done);
+      } catch (err) {
+        fail(err);
+      }
+    }, 0);
+    task.cancel = function() { clearTimeout(timer); };
+  }
+
+  function onTileMessage(slot, msg) {
+    var task = slot.task;
+    if (!task || msg.jobId !== task.id || msg.type === 'progress') return;
+    slot.task = null;
+    if (msg.type === 'result') task.onDone(msg.result);
+    else if (msg.type === 'error') task.onError(msg.message);
+    if (!slot.task) nextTile(slot);
+  }
+
+  // Stats of the full image for the settings the preview was just simulated
+  // with (see simulationSettings); they replace the preview's once every tile is in
+  function analyseFull(settings) {
+    cancelAnalysis();
+    var totals = null, done = 0, label = 'Analysing full resolution\u2026 ';
+    var run = fullRun = runTiles('process', settings, [],
+      function(tile, result) {
+        totals = ColorEngine.mergeTotals(totals, result.totals);
+        var pct = Math.round(++done/run.tasks.length*100);
+        if (!state.isProcessing) showProgress(label+pct+'%', pct, true);
+      },
+      function() {
+        fullRun = null;
+        if (!state.isProcessing) hideProgress();
+        state.stats = ColorEngine.summarizeTotals(totals, settings);
+        console.log('[CMYK] Full resolution analysed in', run.tasks.length, 'tile(s). avgTAC:', state.stats.avgTAC, 'maxTAC:', state.stats.maxTAC);
+        updateResults();
+        announce('Full resolution analysed. ' + state.stats.risk.label + '. Avg ink: ' + state.stats.avgTAC + '%.');
+      },
+      function(message) {
+        fullRun = null;
+        console.error('[CMYK] Full-resolution analysis failed:', message);
+        if (!state.isProcessing) hideProgress();
+        showError(message);
+      });
+    if (!state.isProcessing) showProgress(label+'0%', 0, true);
+  }
+
+  function cancelAnalysis() {
+    if (!fullRun) return;
+    cancelTiles(fullRun);
+    fullRun = null;
+    if (!state.isProcessing) hideProgress();
+  }
+
+  // Forgets the full image, e.g. for a new one, with every run over it
+  function dropFull() {
+    fullRun = null;
+    tileRuns.slice().forEach(cancelTiles);
+    zoomWindow = null;
+    if (state.full && state.full.image && state.full.image.close) state.full.image.close();
+    state.full = null;
   }
 
   // ─── STATE ────────────────────────────────────────────────────────────────
@@ -202,13 +441,41 @@
     imageData:     null,
     outputPixels:  null,
     gamutPixels:   null,
+    deltaEPixels:  null,
+    tacPixels:     null,
+    fringePixels:  null,
+    spotProcessPixels: null,   // simulation with the spot colours built from CMYK, while spots are active
+    multitonePlates: null,     // one plate per duotone / tritone ink (0-255 per pixel)
+    extendedPlates: null,      // the seven CMYKOGV plates (0-255 per pixel)
+    extendedCmykPixels: null,  // the image printed with CMYK alone on the CMYKOGV press
+    blackPixels:   null,   // black check overlay
+    dotLossPixels: null,   // highlight dropout / shadow plugging overlay
+    planes:        null,   // what the preview is drawn from, to redraw it without reprocessing
+    planesFor:     null,   // { key, profile, sep, src } the planes were computed for
+    sourceCmyk:    null,   // ink values of a CMYK upload (Float32Array, 0-1); imageData then holds its soft proof
+    workingCmyk:   null,   // corrected separation, replaces the RGB separation while set
+    correction:    null,   // { method, limit, fixedCount, before: stats, beforePixels }
+    full:          null,   // the image itself when processed at full resolution, see prepareFile
     stats:         null,
     splitPos:      50,
     isDragging:    false,
     settings: {
-      paperType:'coated', dotGain:0.15,
-      showC:true, showM:true, showY:true, showK:true,
-      gamutOverlay:false
+      paperType:'coated', dotGain:0.14, tviCurves:{ cmy:'A', k:'B' },
+      showC:true, showM:true, showY:true, showK:true, showO:true, showG:true, showV:true,
+      gamutOverlay:false,
+      tacOverlay:false, fringeOverlay:false, blackOverlay:false, dotLossOverlay:false,
+      simulatePaper:false, paperWhite:null,   // paperWhite: custom {r,g,b}, null = the paper's own
+      spots:[],                               // active spot inks, see SpotInks.active
+      multitone:null,                         // duotone / tritone inks, null = CMYK
+      extendedGamut:null,                     // { o, g, v } solid Lab for CMYKOGV, null = CMYK
+      tacThreshold:300,
+      gamutThreshold:ColorEngine.DEFAULT_GAMUT_THRESHOLD,
+      viewMode:'simulation',
+      blackGeneration:{ mode:'medium', start:0.2, limit:1, uca:0 },
+      screening:{ mode:'none', lpi:150, dpi:2400, angles:{ c:15, m:75, y:0, k:45 }, shape:'round', dotSize:20, zoom:8 },
+      registration:{ unit:'mm', c:{ x:0, y:0 }, m:{ x:0, y:0 }, y:{ x:0, y:0 }, k:{ x:0, y:0 } },
+      profile:null,
+      lut:LUT_MODE !== 'off'
     }
   };
 
@@ -219,13 +486,76 @@
     fileInput:       $('file-input'),
     workspace:       $('workspace'),
     uploadSection:   $('upload-section'),
+    fullResToggle:   $('full-res-toggle'),
     canvas:          $('main-canvas'),
     splitHandle:     $('split-handle'),
     paperBtns:       document.querySelectorAll('.paper-btn'),
     dotGainSlider:   $('dot-gain-slider'),
     dotGainValue:    $('dot-gain-value'),
+    tviCmy:          $('tvi-cmy'),
+    tviK:            $('tvi-k'),
+    tviPlot:         $('tvi-plot'),
+    tviNote:         $('tvi-note'),
     channelToggles:  document.querySelectorAll('.channel-toggle'),
+    bgBtns:          document.querySelectorAll('.bg-btn[data-bg]'),
+    bgStartSlider:   $('bg-start-slider'),
+    bgStartValue:    $('bg-start-value'),
+    bgLimitSlider:   $('bg-limit-slider'),
+    bgLimitValue:    $('bg-limit-value'),
+    bgUcaSlider:     $('bg-uca-slider'),
+    bgUcaValue:      $('bg-uca-value'),
+    bgNote:          $('bg-note'),
+    bgNativeNote:    $('bg-native-note'),
     gamutToggle:     $('gamut-toggle'),
+    tacToggle:       $('tac-toggle'),
+    tacThrSlider:    $('tac-threshold-slider'),
+    tacThrValue:     $('tac-threshold-value'),
+    tacLegendLabels: document.querySelectorAll('#tac-legend [data-frac]'),
+    overLimitVal:    $('over-limit-val'),
+    fixInkBtn:       $('fix-ink-btn'),
+    fixMethodBtns:   document.querySelectorAll('.fix-method-btn'),
+    fixCompare:      $('fix-compare'),
+    fixSummary:      $('fix-summary'),
+    fixRevertBtn:    $('fix-revert-btn'),
+    compareViewBtn:  $('compare-view-btn'),
+    exportCmykBtn:   $('export-cmyk-btn'),
+    exportPlatesBtn: $('export-plates-btn'),
+    exportPackBits:  $('export-packbits'),
+    exportDpi:       $('export-dpi'),
+    exportIcc:       $('export-icc'),
+    overLimitLabel:  $('over-limit-label'),
+    cpTacLabel:      $('cp-tac-label'),
+    viewBtns:        document.querySelectorAll('.view-btn'),
+    deltaELegend:    $('delta-e-legend'),
+    screenBtns:      document.querySelectorAll('.screen-btn'),
+    screenOptions:   $('screen-options'),
+    amOptions:       $('am-options'),
+    fmOptions:       $('fm-options'),
+    fmDotSize:       $('fm-dot-size'),
+    lpiSlider:       $('lpi-slider'),
+    lpiValue:        $('lpi-value'),
+    screenDpi:       $('screen-dpi'),
+    screenAngles:    document.querySelectorAll('.screen-angle'),
+    dotShapeBtns:    document.querySelectorAll('.dot-shape-btn'),
+    screenZoomSlider:$('screen-zoom-slider'),
+    screenZoomValue: $('screen-zoom-value'),
+    screenNote:      $('screen-note'),
+    halftoneZoom:    $('halftone-zoom'),
+    halftoneCanvas:  $('halftone-canvas'),
+    halftoneLabel:   $('halftone-zoom-label'),
+    regUnitBtns:     document.querySelectorAll('.reg-unit-btn'),
+    regOffsets:      document.querySelectorAll('.reg-offset'),
+    regWobbleBtn:    $('reg-wobble-btn'),
+    regResetBtn:     $('reg-reset-btn'),
+    regNote:         $('reg-note'),
+    fringeToggle:    $('fringe-toggle'),
+    blackToggle:     $('black-toggle'),
+    blackNote:       $('black-note'),
+    blackResults:    $('black-results'),
+    dotLossToggle:   $('dot-loss-toggle'),
+    dotLossNote:     $('dot-loss-note'),
+    dotLossResults:  $('dot-loss-results'),
+    fringeVal:       $('fringe-val'),
     progressOverlay: $('progress-overlay'),
     progressBar:     $('progress-bar'),
     progressText:    $('progress-text'),
@@ -237,6 +567,17 @@
     maxTacVal:       $('max-tac-val'),
     tacBar:          $('tac-bar'),
     outGamutVal:     $('out-gamut-val'),
+    extendedGamutStats: document.querySelectorAll('.extended-gamut-stat'),
+    cmykGamutVal:    $('cmyk-gamut-val'),
+    recoveredGamutVal: $('recovered-gamut-val'),
+    gamutDeltaVal:   $('gamut-delta-val'),
+    gamutThrSlider:  $('gamut-threshold-slider'),
+    gamutThrValue:   $('gamut-threshold-value'),
+    gamutLegendMin:  $('gamut-legend-min'),
+    gamutLegendMax:  $('gamut-legend-max'),
+    deMeanVal:       $('de-mean-val'),
+    deP95Val:        $('de-p95-val'),
+    deMaxVal:        $('de-max-val'),
     riskBadge:       $('risk-badge'),
     riskMessage:     $('risk-message'),
     dominantColors:  $('dominant-colors'),
@@ -247,49 +588,129 @@
     imageInfo:       $('image-info'),
     resultsPanel:    $('results-panel'),
     paperDesc:       $('paper-desc'),
+    paperButtons:    document.querySelector('.paper-buttons'),
+    conditionSelect: $('condition-select'),
+    paperNewBtn:     $('paper-new-btn'),
+    paperEditBtn:    $('paper-edit-btn'),
+    paperDeleteBtn:  $('paper-delete-btn'),
+    paperImportBtn:  $('paper-import-btn'),
+    paperExportBtn:  $('paper-export-btn'),
+    paperImportInput:$('paper-import-input'),
+    paperEditor:     $('paper-editor'),
+    paperCancelBtn:  $('paper-cancel-btn'),
+    paperNameInput:  $('paper-name-input'),
+    paperDescInput:  $('paper-description-input'),
+    paperGainInput:  $('paper-gain-input'),
+    paperTviCmyInput:$('paper-tvi-cmy-input'),
+    paperTviKInput:  $('paper-tvi-k-input'),
+    paperHighlightInput:$('paper-highlight-input'),
+    paperShadowInput:$('paper-shadow-input'),
+    paperLimitInput: $('paper-limit-input'),
+    paperGamutInput: $('paper-gamut-input'),
+    paperEditorWhite:$('paper-editor-white-input'),
+    paperAbsorbInput:$('paper-absorption-input'),
+    paperMinDotInput:$('paper-min-dot-input'),
+    paperMaxDotInput:$('paper-max-dot-input'),
+    spotList:        $('spot-list'),
+    spotAddBtn:      $('spot-add-btn'),
+    spotEditor:      $('spot-editor'),
+    spotCancelBtn:   $('spot-cancel-btn'),
+    spotNameInput:   $('spot-name-input'),
+    spotColorInput:  $('spot-color-input'),
+    spotLabInputs:   [$('spot-l-input'), $('spot-a-input'), $('spot-b-input')],
+    spotOpacityInput:$('spot-opacity-input'),
+    spotTolInput:    $('spot-tolerance-input'),
+    spotViewBtn:     $('spot-view-btn'),
+    spotResults:     $('spot-results'),
+    spotCoverage:    $('spot-coverage'),
+    multitoneBtns:   document.querySelectorAll('.multitone-btn'),
+    multitoneOptions:$('multitone-options'),
+    multitoneInkList:$('multitone-inks'),
+    multitonePlot:   $('multitone-plot'),
+    multitoneResults:$('multitone-results'),
+    multitonePlates: $('multitone-plates'),
+    extendedOptions: $('extended-options'),
+    extendedInkList: $('extended-inks'),
+    extendedViewBtn: $('extended-view-btn'),
+    exportNote:      $('export-note'),
+    cpLabel:         $('cp-label'),
+    cpCmyk:          $('cp-cmyk'),
+    cpInks:          $('cp-inks'),
+    paperSimToggle:  $('paper-sim-toggle'),
+    paperWhiteInput: $('paper-white-input'),
+    paperWhiteReset: $('paper-white-reset'),
+    paperSimNote:    $('paper-sim-note'),
     tacLimitLine:    $('tac-limit-line'),
-    tacLimitLabel:   $('tac-limit-label')
+    tacLimitLabel:   $('tac-limit-label'),
+    profileInput:    $('profile-input'),
+    profileLoadBtn:  $('profile-load-btn'),
+    profileClearBtn: $('profile-clear-btn'),
+    profileName:     $('profile-name')
   };
 
   // ─── FILE VALIDATION & PREPARATION ───────────────────────────────────────
   var MAX_SIZE = 5 * 1024 * 1024;
   var MAX_DIM  = 1500;
-  var ACCEPTED = ['image/jpeg','image/png','image/webp'];
-
-  function prepareFile(file, onStep, onDone, onError) {
+  var ACCEPTED = ['image/jpeg','image/png','image/webp','image/tiff'];
+  var TIFF_EXT = /\.tiff?$/i;   // some systems report no MIME type for TIFF
+
+  // onDone(imageData, w, h, wasResized, cmyk, full) — for CMYK files imageData is null and
+  // cmyk holds { data: Float32Array 0-1, iccProfile: ArrayBuffer|null } instead.
+  // fullRes: keep the image itself too (see FULL RESOLUTION); full is then
+  // { width, height, image: ImageBitmap | HTMLImageElement } or, for CMYK,
+  // { width, height, cmyk: Uint8Array }, and null when the image needed no downsampling
+  function prepareFile(file, onStep, onDone, onError, fullRes) {
     console.log('[CMYK] prepareFile:', file.name, file.size, file.type);
 
-    if (file.size > MAX_SIZE) { onError('File too large. Please use an image under 5MB.'); return; }
-    if (ACCEPTED.indexOf(file.type) === -1) { onError('Unsupported format. Please use JPG, PNG, or WEBP.'); return; }
+    var isTiff = file.type === 'image/tiff' || TIFF_EXT.test(file.name);
+    if (!fullRes && file.size > MAX_SIZE) { onError('File too large. Please use an image under 5MB, or turn on full resolution.'); return; }
+    if (fullRes && file.size > FULL_RES_MAX_SIZE) { onError('File too large. Please use an image under '+(FULL_RES_MAX_SIZE/1024/1024)+'MB.'); return; }
+    if (ACCEPTED.indexOf(file.type) === -1 && !isTiff) { onError('Unsupported format. Please use JPG, PNG, WEBP or CMYK TIFF.'); return; }
+    if (!isTiff && file.type !== 'image/jpeg') { loadRgb(file, onStep, onDone, onError, fullRes); return; }
+
+    // TIFF and JPEG may hold CMYK, which the browser would flatten to RGB — decode those here
+    onStep('Reading file\u2026');
+    var reader = new FileReader();
+    reader.onload = function() {
+      var image;
+      try {
+        image = ImageDecoder.decodeCmyk(reader.result);
+      } catch (err) {
+        onError(err.message);
+        return;
+      }
+      if (!image) { loadRgb(file, onStep, onDone, onError, fullRes); return; }
+
+      console.log('[CMYK] CMYK image decoded:', image.width, 'x', image.height, image.iccProfile ? '(embedded profile)' : '');
+      if (fullRes && image.width*image.height > FULL_RES_MAX_PIXELS) { onError(fullResTooLarge(image.width, image.height)); return; }
+      onStep('Preparing canvas\u2026');
+      var fit  = ImageDecoder.fitCmyk(image, MAX_DIM);
+      var data = new Float32Array(fit.cmyk.length);
+      for (var i=0; i<data.length; i++) data[i] = fit.cmyk[i]/255;
+      var full = fullRes && fit.wasResized ? { width:image.width, height:image.height, cmyk:image.cmyk } : null;
+      onDone(null, fit.width, fit.height, fit.wasResized, { data:data, iccProfile:image.iccProfile }, full);
+    };
+    reader.onerror = function() { onError('Could not read the file.'); };
+    reader.readAsArrayBuffer(file);
+  }
 
+  // fullRes: decode with createImageBitmap where there is one, to draw tiles from (see FULL RESOLUTION)
+  function loadRgb(file, onStep, onDone, onError, fullRes) {
     onStep('Loading image\u2026');
+    if (fullRes && typeof createImageBitmap !== 'undefined') {
+      createImageBitmap(file).then(
+        function(bitmap) { useRgb(bitmap, bitmap.width, bitmap.height, onStep, onDone, onError, fullRes); },
+        function() { onError('Could not load image. The file may be corrupted.'); }
+      );
+      return;
+    }
+
     var url = URL.createObjectURL(file);
     var img = new Image();
 
     img.onload = function() {
       URL.revokeObjectURL(url);
-      console.log('[CMYK] Image loaded:', img.naturalWidth, 'x', img.naturalHeight);
-      onStep('Preparing canvas\u2026');
-
-      var w = img.naturalWidth, h = img.naturalHeight;
-      var wasResized = w > MAX_DIM || h > MAX_DIM;
-      if (wasResized) {
-        var scale = MAX_DIM / Math.max(w, h);
-        w = Math.round(w * scale);
-        h = Math.round(h * scale);
-      }
-
-      var cv  = document.createElement('canvas');
-      cv.width  = w;
-      cv.height = h;
-      var ctx = cv.getContext('2d');
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high';
-      ctx.drawImage(img, 0, 0, w, h);
-
-      var imageData = ctx.getImageData(0, 0, w, h);
-      console.log('[CMYK] ImageData pixels:', imageData.data.length);
-      onDone(imageData, w, h, wasResized);
+      useRgb(img, img.naturalWidth, img.naturalHeight, onStep, onDone, onError, fullRes);
     };
 
     img.onerror = function() {
@@ -300,6 +721,45 @@
     img.src = url;
   }
 
+  // image: an HTMLImageElement or ImageBitmap of w × h
+  function useRgb(image, w, h, onStep, onDone, onError, fullRes) {
+    console.log('[CMYK] Image loaded:', w, 'x', h);
+    if (fullRes && w*h > FULL_RES_MAX_PIXELS) {
+      if (image.close) image.close();
+      onError(fullResTooLarge(w, h));
+      return;
+    }
+    onStep('Preparing canvas\u2026');
+
+    var full = { width:w, height:h, image:image };
+    var wasResized = w > MAX_DIM || h > MAX_DIM;
+    if (wasResized) {
+      var scale = MAX_DIM / Math.max(w, h);
+      w = Math.round(w * scale);
+      h = Math.round(h * scale);
+    }
+
+    var cv  = document.createElement('canvas');
+    cv.width  = w;
+    cv.height = h;
+    var ctx = cv.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(image, 0, 0, w, h);
+
+    var imageData = ctx.getImageData(0, 0, w, h);
+    console.log('[CMYK] ImageData pixels:', imageData.data.length);
+    if (!(fullRes && wasResized)) {
+      if (image.close) image.close();
+      full = null;
+    }
+    onDone(imageData, w, h, wasResized, null, full);
+  }
+
+  function fullResTooLarge(w, h) {
+    return 'Image too large for full resolution ('+Math.round(w*h/1e6)+' megapixels). The limit is '+(FULL_RES_MAX_PIXELS/1e6)+' megapixels.';
+  }
+
   // ─── COORDINATE MAPPING (letterbox fix) ──────────────────────────────────
   function canvasCoords(canvas, clientX, clientY) {
     var rect  = canvas.getBoundingClientRect();
@@ -316,22 +776,44 @@
 
   // ─── HANDLE FILE ──────────────────────────────────────────────────────────
   function handleFile(file) {
-    if (!file || state.isProcessing) return;
+    if (!file || (state.isProcessing && !currentJob)) return;
+    cancelProcessing();
     hideError();
     showProgress('Loading image\u2026', 0);
 
     prepareFile(file,
       function(msg) { updateProgressText(msg); },
-      function(imageData, w, h, wasResized) {
-        state.imageData    = imageData;
+      function(imageData, w, h, wasResized, cmyk, full) {
+        dropFull();
+        state.full         = full;
+        state.imageData    = null;
+        state.sourceCmyk   = cmyk ? cmyk.data : null;
         state.outputPixels = null;
         state.gamutPixels  = null;
+        state.deltaEPixels = null;
+        state.tacPixels    = null;
+        state.fringePixels = null;
+        state.blackPixels  = null;
+        state.dotLossPixels = null;
+        state.planes       = null;
         state.stats        = null;
+        dropCorrection();
 
         els.canvas.width  = w;
         els.canvas.height = h;
-        if (els.imageInfo)     els.imageInfo.textContent = w + ' \xd7 ' + h + 'px';
-        if (els.resizedNotice) els.resizedNotice.hidden = !wasResized;
+        if (els.imageInfo)     els.imageInfo.textContent = full
+          ? full.width + ' \xd7 ' + full.height + 'px \xb7 full resolution, preview ' + w + ' \xd7 ' + h + (cmyk ? ' \xb7 CMYK' : '')
+          : w + ' \xd7 ' + h + 'px' + (cmyk ? ' \xb7 CMYK' : '');
+        if (els.resizedNotice) els.resizedNotice.hidden = !wasResized || !!full;
+        els.bgNativeNote.hidden = !cmyk;
+        printModeControls();
+
+        if (cmyk) {
+          if (cmyk.iccProfile && !state.settings.profile) useEmbeddedProfile(cmyk.iccProfile);
+          imageData = proofImageData(cmyk.data, state.settings.profile);
+        }
+        state.imageData = imageData;
+        halftoneAt = null;
 
         // Draw original immediately so user sees the image
         els.canvas.getContext('2d').putImageData(imageData, 0, 0);
@@ -345,62 +827,212 @@
       function(errMsg) {
         hideProgress();
         showError(errMsg);
-      }
+      },
+      els.fullResToggle.checked
     );
   }
 
+  // Soft proof of a CMYK upload — it stands in for the RGB original (split view, ΔE,
+  // gamut check) while the ink values themselves come from state.sourceCmyk
+  function proofImageData(sep, profile) {
+    return new ImageData(ColorEngine.proofImage(sep, profile), els.canvas.width, els.canvas.height);
+  }
+
+  function useEmbeddedProfile(buffer) {
+    try {
+      var profile = IccProfile.parse(buffer);
+      setProfile(profile, 'Embedded profile');
+      announce('Using the embedded ICC profile: ' + (profile.description || 'unnamed') + '.');
+    } catch (err) {
+      console.warn('[CMYK] Embedded profile ignored:', err.message);
+    }
+  }
+
   // ─── RUN PROCESSING ───────────────────────────────────────────────────────
   var debounceTimer = null;
+  var pendingRun    = false;  // asked for while a fix-ink-limit or export separation ran
+  var pendingExport = null;   // TIFF export asked for while a job ran: exportTiff's plates
 
+  // Simulates the image with the current settings. A run already in flight is
+  // superseded; the progress card then stays out of the way of the controls.
   function runProcessing() {
     if (!state.imageData) return;
-    if (state.isProcessing) return;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(simulate, 60);
+  }
+
+  // Fields of a ColorEngine result kept in state; a composite result has only the redrawn ones
+  var RESULT_FIELDS = ['outputPixels','gamutPixels','deltaEPixels','tacPixels','fringePixels','spotProcessPixels','multitonePlates',
+    'extendedPlates','extendedCmykPixels','blackPixels','dotLossPixels','planes','stats'];
+
+  function useResult(result) {
+    RESULT_FIELDS.forEach(function(key){ if (key in result) state[key] = result[key]; });
+  }
 
+  function shownResult() {
+    var result = {};
+    RESULT_FIELDS.forEach(function(key){ result[key] = state[key]; });
+    return result;
+  }
+
+  function simulate() {
+    if (!state.imageData) return;
+    // Those separations can't be superseded; simulate once they end (see endTask)
+    if (state.isProcessing && !currentJob) { pendingRun = true; return; }
+    pendingRun = false;
+
+    var sep      = state.workingCmyk || state.sourceCmyk;
+    var settings = simulationSettings(els.canvas.width, els.canvas.height, previewScale());
+    var planesFor = { key:ColorEngine.conversionKey(settings), profile:settings.profile, sep:sep, src:state.imageData.data };
+    var cached = state.planes && ['key','profile','sep','src'].every(function(k){ return state.planesFor[k] === planesFor[k]; });
+    var label  = cached ? 'Redrawing preview' : 'Converting to CMYK';
+    if (!cached) cancelAnalysis();
+
+    state.isProcessing = true;
+    showProgress(label+'\u2026 0%', 0, !!state.stats);
+    if (cached) console.log('[CMYK] Redrawing from the cached planes.');
+    else console.log('[CMYK] Starting processing. Pixels:', state.imageData.data.length, 'Settings:', JSON.stringify(state.settings, function(key, v) {
+      return key === 'profile' ? (v && v.description) : v;
+    }));
+
+    startJob({
+      kind: cached ? 'composite' : 'process',
+      src: state.imageData.data,
+      settings: settings,
+      sep: sep,
+      planes: cached ? state.planes : null,
+      base: cached ? shownResult() : null,
+      onProgress: function(pct) {
+        updateProgress(pct);
+        updateProgressText(label+'\u2026 ' + pct + '%');
+      },
+      onDone: function(result) {
+        useResult(result);
+        state.isProcessing = false;
+        hideProgress();
+        renderCanvas();
+        renderHalftone();
+        if (cached) { runPendingExport(); return; }
+        console.log('[CMYK] Processing done. avgTAC:', result.stats.avgTAC, 'maxTAC:', result.stats.maxTAC);
+        state.planesFor = planesFor;
+        updateResults();
+        announce('Done. ' + result.stats.risk.label + '. Avg ink: ' + result.stats.avgTAC + '%.');
+        if (state.full) analyseFull(simulationSettings(state.full.width, state.full.height, 1));
+        runPendingExport();
+      },
+      onError: function(message) {
+        console.error('[CMYK] Processing failed:', message);
+        pendingExport = null;
+        state.isProcessing = false;
+        hideProgress();
+        showError(message);
+      }
+    });
+  }
+
+  // Settings to simulate an image of width × height with, misregistration and
+  // black check included; scale: its pixels per pixel of the full image, whose
+  // pixels the registration offsets and the export resolution are in
+  function simulationSettings(width, height, scale) {
+    var misreg = state.settings.multitone || state.settings.extendedGamut ? null : registrationOffsets();
+    if (misreg) PLATES.forEach(function(ch){ misreg[ch] = { x:misreg[ch].x*scale, y:misreg[ch].y*scale }; });
+    return Object.assign({}, state.settings, {
+      misregistration: misreg && { width:width, height:height, offsets:misreg },
+      blackCheck: { width:width, height:height, minWidth:ColorEngine.mmToPixels(ColorEngine.RICH_BLACK_MIN_WIDTH_MM, imagePpi())*scale }
+    });
+  }
+
+  // Stops any simulation, queued or running, e.g. for a new image
+  function cancelProcessing() {
     clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(function() {
-      state.isProcessing = true;
-      showProgress('Converting to CMYK\u2026 0%', 0);
-      console.log('[CMYK] Starting processing. Pixels:', state.imageData.data.length, 'Settings:', JSON.stringify(state.settings));
-
-      processPixels(
-        state.imageData.data,
-        state.settings,
-        function onProgress(pct) {
-          updateProgress(pct);
-          updateProgressText('Converting to CMYK\u2026 ' + pct + '%');
-        },
-        function onDone(result) {
-          console.log('[CMYK] Processing done. avgTAC:', result.stats.avgTAC, 'maxTAC:', result.stats.maxTAC);
-          state.outputPixels = result.outputPixels;
-          state.gamutPixels  = result.gamutPixels;
-          state.stats        = result.stats;
-          state.isProcessing = false;
-          hideProgress();
-          renderCanvas();
-          updateResults();
-          announce('Done. ' + result.stats.risk.label + '. Avg ink: ' + result.stats.avgTAC + '%.');
-        }
-      );
-    }, 60);
+    pendingRun = false;
+    pendingExport = null;
+    cancelAnalysis();
+    if (!currentJob) return;
+    cancelJob();
+    state.isProcessing = false;
+    hideProgress();
+  }
+
+  // End of a fix-ink-limit or export separation
+  function endTask() {
+    state.isProcessing = false;
+    if (pendingRun) runProcessing();
+    else runPendingExport();
+  }
+
+  // ─── FIX INK LIMIT ────────────────────────────────────────────────────────
+  var fixMethod = 'ucr';
+
+  function runCorrection() {
+    if (!state.imageData || !state.stats || state.correction || state.isProcessing) return;
+    var before = state.stats, beforePixels = state.outputPixels;
+    var limit  = state.settings.tacThreshold;
+
+    state.isProcessing = true;
+    showProgress('Fixing ink limit\u2026 0%', 0);
+    separatePixels(
+      state.imageData.data,
+      state.settings,
+      fixMethod,
+      function(pct){ updateProgress(pct); updateProgressText('Fixing ink limit\u2026 ' + pct + '%'); },
+      function(sep, fixedCount){
+        state.isProcessing = false;
+        state.workingCmyk  = sep;
+        state.correction   = { method:fixMethod, limit:limit, fixedCount:fixedCount, before:before, beforePixels:beforePixels };
+        els.compareViewBtn.hidden = false;
+        announce('Ink limit fixed in ' + fixedCount.toLocaleString() + ' pixels.');
+        runProcessing();
+      },
+      state.sourceCmyk
+    );
+  }
+
+  // Any change to the separation or the limit makes the corrected image stale
+  function dropCorrection() {
+    if (!state.correction) return;
+    state.workingCmyk = null;
+    state.correction  = null;
+    els.fixCompare.hidden     = true;
+    els.compareViewBtn.hidden = true;
+    if (state.settings.viewMode === 'compare') selectView('simulation');
   }
 
   // ─── CANVAS RENDER ────────────────────────────────────────────────────────
+  // Overlay toggles and the result buffers they show, in drawing order
+  var OVERLAYS = [
+    { toggle:'tacOverlay',     pixels:'tacPixels' },
+    { toggle:'gamutOverlay',   pixels:'gamutPixels' },
+    { toggle:'fringeOverlay',  pixels:'fringePixels' },
+    { toggle:'blackOverlay',   pixels:'blackPixels' },
+    { toggle:'dotLossOverlay', pixels:'dotLossPixels' }
+  ];
+
+  // The preview and, at full resolution, the zoom view, which shows the same overlays
+  function redraw() {
+    renderCanvas();
+    if (state.full) renderHalftone();
+  }
+
   function renderCanvas() {
     if (!state.imageData || !state.outputPixels) return;
     var ctx = els.canvas.getContext('2d');
     var w   = els.canvas.width;
     var h   = els.canvas.height;
     var sx  = Math.round((state.splitPos/100) * w);
+    var deltaView   = state.settings.viewMode === 'deltaE' && state.deltaEPixels;
+    var compareView = state.settings.viewMode === 'compare' && state.correction;
+    var spotView    = state.settings.viewMode === 'spotProcess' && state.spotProcessPixels;
+    var ecgView     = state.settings.viewMode === 'extendedCmyk' && state.extendedCmykPixels;
+    var left        = compareView ? state.correction.beforePixels : spotView ? state.outputPixels : ecgView ? state.extendedCmykPixels : state.imageData.data;
+    var right       = deltaView ? state.deltaEPixels : spotView ? state.spotProcessPixels : state.outputPixels;
+    var mt          = state.settings.multitone;
+    var simLabel    = mt ? (mt.length === 2 ? 'DUOTONE' : 'TRITONE')+' PRINT' : state.settings.extendedGamut ? 'CMYKOGV PRINT' : 'CMYK SIMULATED';
 
-    ctx.putImageData(new ImageData(new Uint8ClampedArray(state.imageData.data), w, h), 0, 0, 0, 0, sx, h);
-    ctx.putImageData(new ImageData(new Uint8ClampedArray(state.outputPixels), w, h), 0, 0, sx, 0, w-sx, h);
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(left), w, h), 0, 0, 0, 0, sx, h);
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(right), w, h), 0, 0, sx, 0, w-sx, h);
 
-    if (state.settings.gamutOverlay && state.gamutPixels) {
-      var off = document.createElement('canvas');
-      off.width=w; off.height=h;
-      off.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(state.gamutPixels), w, h), 0, 0);
-      ctx.drawImage(off, sx, 0, w-sx, h, sx, 0, w-sx, h);
-    }
+    if (!deltaView) OVERLAYS.forEach(function(o){ if (state.settings[o.toggle] && state[o.pixels]) drawOverlay(ctx, state[o.pixels], w, h, sx); });
 
     // Divider
     ctx.save();
@@ -409,13 +1041,21 @@
 
     // Labels
     ctx.font='700 11px system-ui,sans-serif'; ctx.textBaseline='top';
-    if (sx > 70)   { ctx.fillStyle='rgba(0,0,0,0.5)'; ctx.fillRect(8,8,80,22);      ctx.fillStyle='#fff'; ctx.fillText('RGB ORIGINAL',   14,    14); }
-    if (sx < w-90) { ctx.fillStyle='rgba(0,0,0,0.5)'; ctx.fillRect(sx+8,8,108,22);  ctx.fillStyle='#fff'; ctx.fillText('CMYK SIMULATED', sx+14, 14); }
+    if (sx > 70)   { ctx.fillStyle='rgba(0,0,0,0.5)'; ctx.fillRect(8,8,80,22);      ctx.fillStyle='#fff'; ctx.fillText(compareView ? 'BEFORE FIX' : spotView ? 'WITH SPOTS' : ecgView ? 'CMYK ONLY' : 'RGB ORIGINAL', 14, 14); }
+    if (sx < w-90) { ctx.fillStyle='rgba(0,0,0,0.5)'; ctx.fillRect(sx+8,8,108,22);  ctx.fillStyle='#fff'; ctx.fillText(deltaView ? '\u0394E2000 MAP' : compareView ? 'AFTER FIX' : spotView ? 'SPOTS AS CMYK' : simLabel, sx+14, 14); }
     ctx.restore();
 
     updateSplitHandle();
   }
 
+  // Overlays sit on the simulated (right) side only
+  function drawOverlay(ctx, pixels, w, h, sx) {
+    var off = document.createElement('canvas');
+    off.width=w; off.height=h;
+    off.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), w, h), 0, 0);
+    ctx.drawImage(off, sx, 0, w-sx, h, sx, 0, w-sx, h);
+  }
+
   // ─── SPLIT HANDLE ─────────────────────────────────────────────────────────
   function updateSplitHandle() {
     if (!state.imageData) return;
@@ -450,6 +1090,309 @@
     window.addEventListener('resize', function(){ if(state.imageData) updateSplitHandle(); });
   }
 
+  // ─── HALFTONE SCREENING ───────────────────────────────────────────────────
+  // The zoom view screens the plates around the pointer (see screening.js); the
+  // image is placed at the export resolution, so its pixels have a physical size.
+  var halftoneAt = null;   // image point under the zoom view, null = image centre
+
+  // FM microdots gain more than AM dots, so each screen family keeps its own
+  // dot gain; the slider shows the one in use.
+  var familyGain = { conventional:paperProfile('coated').dotGain/100, fm:Screening.fmDotGain(paperProfile('coated').dotGain/100) };
+  function gainFamily(mode) { return mode === 'fm' ? 'fm' : 'conventional'; }
+
+  function setDotGain(gain) {
+    var g = Math.round(gain*100);
+    els.dotGainSlider.value = g;
+    els.dotGainValue.textContent = g+'%';
+    state.settings.dotGain = gain;
+    drawTviPlot();
+  }
+
+  // Plate values before dot gain — the working separation, or the RGB separated on demand
+  // src, sep, w: an image's pixels, its working separation (null = separate src) and width
+  function plateSampler(src, sep, w) {
+    var s = state.settings;
+    return function(x, y) {
+      var idx = (y*w + x)*4;
+      if (src[idx+3] === 0) return null;
+      if (sep) return [sep[idx], sep[idx+1], sep[idx+2], sep[idx+3]];
+      var raw = ColorEngine.separate(src[idx]/255, src[idx+1]/255, src[idx+2]/255, s.profile, s.blackGeneration);
+      return [raw.c, raw.m, raw.y, raw.k];
+    };
+  }
+
+  function imagePpi() {
+    return Math.max(1, parseInt(els.exportDpi.value,10) || 300);
+  }
+
+  // At full resolution the zoom view shows the image's own pixels, screened
+  // or, without a screen, simulated as the preview is — overlays included
+  function renderHalftone() {
+    var sc = state.settings.screening, s = state.settings;
+    var halftone = sc.mode !== 'none' && !s.multitone && !s.extendedGamut;
+    els.halftoneZoom.hidden = !state.imageData || !(halftone || (state.full && state.outputPixels));
+    if (els.halftoneZoom.hidden) return;
+    els.halftoneCanvas.setAttribute('aria-label', halftone ? 'Magnified halftone dots under the pointer' : 'Magnified simulation under the pointer');
+    if (state.full) { renderFullZoom(halftone); return; }
+
+    var w = els.canvas.width, h = els.canvas.height;
+    var cv = els.halftoneCanvas;
+    var at = halftoneAt || { x:w/2, y:h/2 };
+    var pixels = Screening.render(plateSampler(state.imageData.data, state.workingCmyk || state.sourceCmyk, w), w, h,
+      { x:at.x, y:at.y, zoom:sc.zoom, width:cv.width, height:cv.height }, halftoneOptions());
+    cv.getContext('2d').putImageData(new ImageData(pixels, cv.width, cv.height), 0, 0);
+    els.halftoneLabel.textContent = halftoneLabel();
+  }
+
+  function halftoneOptions() {
+    var s = state.settings;
+    return { screen:s.screening, ppi:imagePpi(), paperType:s.paperType, dotGain:s.dotGain, tviCurves:s.tviCurves, profile:s.profile, substrate:paperSubstrate(s),
+      show:[s.showC, s.showM, s.showY, s.showK] };
+  }
+
+  function halftoneLabel() {
+    var sc = state.settings.screening;
+    return (sc.mode === 'fm' ? 'FM '+sc.dotSize+' \xb5m' : sc.lpi+' lpi')+' \xb7 '+sc.dpi+' dpi \xb7 '+sc.zoom+'\xd7';
+  }
+
+  // The window of the full image under the zoom view is simulated on the main
+  // thread, with the context its misregistration and black check need, and kept
+  // until the pointer moves to another window or the preview is simulated again.
+  var zoomWindow = null;   // { key, output, x, y, w, h, src, sep, result }
+
+  function renderFullZoom(halftone) {
+    var s = state.settings, cv = els.halftoneCanvas, scale = previewScale();
+    var at   = halftoneAt ? { x:halftoneAt.x/scale, y:halftoneAt.y/scale } : { x:state.full.width/2, y:state.full.height/2 };
+    var win  = fullZoomWindow(at, Math.ceil(Math.max(cv.width, cv.height)/2/s.screening.zoom) + 1);
+    var view = { x:at.x-win.x, y:at.y-win.y, zoom:s.screening.zoom, width:cv.width, height:cv.height };
+    var ctx  = cv.getContext('2d');
+    if (halftone) {
+      ctx.putImageData(new ImageData(Screening.render(plateSampler(win.src, win.sep, win.w), win.w, win.h, view, halftoneOptions()), cv.width, cv.height), 0, 0);
+    } else {
+      ctx.clearRect(0, 0, cv.width, cv.height);
+      drawZoomed(ctx, (s.viewMode === 'deltaE' && win.result.deltaEPixels) || win.result.outputPixels, win, view);
+    }
+    if (s.viewMode !== 'deltaE') OVERLAYS.forEach(function(o){ if (s[o.toggle] && win.result[o.pixels]) drawZoomed(ctx, win.result[o.pixels], win, view); });
+    els.halftoneLabel.textContent = (halftone ? halftoneLabel() : s.screening.zoom+'\xd7')+' \xb7 full resolution';
+  }
+
+  // half: pixels from the point to the edge of the view
+  function fullZoomWindow(at, half) {
+    var full = state.full, settings = simulationSettings(full.width, full.height, 1), reg = settings.misregistration;
+    var pad = half + ColorEngine.tileContext(settings)
+      + (reg ? Math.ceil(Math.max.apply(null, PLATES.map(function(ch){ return Math.abs(reg.offsets[ch].x); }))) : 0);
+    var x = Math.max(0, Math.floor(at.x) - pad), y = Math.max(0, Math.floor(at.y) - pad);
+    var w = Math.min(full.width, Math.floor(at.x) + pad + 1) - x, h = Math.min(full.height, Math.floor(at.y) + pad + 1) - y;
+    var key = [x, y, w, h].join();
+    if (zoomWindow && zoomWindow.key === key && zoomWindow.output === state.outputPixels) return zoomWindow;
+
+    var input = readFull(x, y, w, h);
+    var src   = input.src || ColorEngine.proofImage(input.sep, settings.profile);
+    var sep   = state.correction ? ColorEngine.workingSeparation(src, settings, input.sep, state.correction.method) : input.sep;
+    zoomWindow = { key:key, output:state.outputPixels, x:x, y:y, w:w, h:h, src:src, sep:sep,
+      result:ColorEngine.processImage(src, simulationSettings(w, h, 1), sep) };
+    return zoomWindow;
+  }
+
+  // Draws a window's pixels (RGBA) into the zoom view, magnified without smoothing
+  function drawZoomed(ctx, pixels, win, view) {
+    var off = document.createElement('canvas');
+    off.width = win.w; off.height = win.h;
+    off.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(pixels), win.w, win.h), 0, 0);
+    ctx.save();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(off, view.width/2 - view.x*view.zoom, view.height/2 - view.y*view.zoom, win.w*view.zoom, win.h*view.zoom);
+    ctx.restore();
+  }
+
+  function updateScreenNote() {
+    var sc = state.settings.screening;
+    var detail = sc.mode === 'fm'
+      ? Screening.fmScreens(sc)[0].dot+' device dots per microdot, '+Math.round(state.settings.dotGain*100)+'% FM dot gain'
+      : (sc.dpi/sc.lpi).toFixed(1)+' device dots per screen cell';
+    els.screenNote.textContent = 'Image placed at '+imagePpi()+' ppi (the export resolution): '
+      +detail+'. Point at the image to move the zoom view.';
+  }
+
+  function initScreening() {
+    els.screenBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        els.screenBtns.forEach(function(b){ b.classList.remove('active'); b.setAttribute('aria-pressed','false'); b.setAttribute('aria-checked','false'); });
+        btn.classList.add('active'); btn.setAttribute('aria-pressed','true'); btn.setAttribute('aria-checked','true');
+        var family = gainFamily(state.settings.screening.mode);
+        state.settings.screening.mode = btn.dataset.screen;
+        els.screenOptions.hidden = btn.dataset.screen === 'none';
+        els.amOptions.hidden = btn.dataset.screen !== 'am';
+        els.fmOptions.hidden = btn.dataset.screen !== 'fm';
+        if (gainFamily(btn.dataset.screen) !== family) {
+          setDotGain(familyGain[gainFamily(btn.dataset.screen)]);
+          dropCorrection();
+          updateScreenNote();
+          if (state.imageData) { runProcessing(); return; }
+        }
+        updateScreenNote();
+        renderHalftone();
+      });
+    });
+
+    els.fmDotSize.addEventListener('change', function(){
+      state.settings.screening.dotSize = parseInt(els.fmDotSize.value,10);
+      updateScreenNote();
+      renderHalftone();
+    });
+
+    els.lpiSlider.addEventListener('input', function(){
+      var v = parseInt(els.lpiSlider.value,10);
+      els.lpiValue.textContent = v+' lpi';
+      state.settings.screening.lpi = v;
+      updateScreenNote();
+      renderHalftone();
+    });
+
+    els.screenDpi.addEventListener('change', function(){
+      state.settings.screening.dpi = parseInt(els.screenDpi.value,10);
+      updateScreenNote();
+      renderHalftone();
+    });
+
+    els.screenAngles.forEach(function(input){
+      input.addEventListener('change', function(){
+        var v = parseFloat(input.value);
+        if (isNaN(v)) v = Screening.DEFAULT_ANGLES[input.dataset.plate];
+        v = ((v % 180) + 180) % 180;
+        input.value = v;
+        state.settings.screening.angles[input.dataset.plate] = v;
+        renderHalftone();
+      });
+    });
+
+    els.dotShapeBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        els.dotShapeBtns.forEach(function(b){ b.classList.remove('active'); b.setAttribute('aria-pressed','false'); b.setAttribute('aria-checked','false'); });
+        btn.classList.add('active'); btn.setAttribute('aria-pressed','true'); btn.setAttribute('aria-checked','true');
+        state.settings.screening.shape = btn.dataset.shape;
+        renderHalftone();
+      });
+    });
+
+    els.screenZoomSlider.addEventListener('input', function(){
+      var v = parseInt(els.screenZoomSlider.value,10);
+      els.screenZoomValue.textContent = v+'\xd7';
+      state.settings.screening.zoom = v;
+      renderHalftone();
+    });
+
+    els.exportDpi.addEventListener('change', function(){
+      updateScreenNote();
+      renderHalftone();
+    });
+    updateScreenNote();
+
+    var container = els.canvas.parentElement;
+    var pending   = false;
+    container.addEventListener('mousemove', function(e) {
+      if ((state.settings.screening.mode === 'none' && !state.full) || !state.imageData || pending) return;
+      var rect   = els.canvas.getBoundingClientRect();
+      var coords = canvasCoords(els.canvas, e.clientX-rect.left, e.clientY-rect.top);
+      if (!coords.valid) return;
+      halftoneAt = coords;
+      pending = true;
+      requestAnimationFrame(function(){ pending=false; renderHalftone(); });
+    });
+  }
+
+  // ─── PLATE REGISTRATION ───────────────────────────────────────────────────
+  // Offsets are entered in mm or image pixels; mm go through the export
+  // resolution, like the halftone view. x is right, y is down.
+  var PLATES = ['c','m','y','k'];
+
+  // Plate offsets in image pixels, null while all plates are in register
+  function registrationOffsets() {
+    var reg = state.settings.registration, offsets = {};
+    var scale = reg.unit === 'mm' ? ColorEngine.mmToPixels(1, imagePpi()) : 1;
+    PLATES.forEach(function(ch){ offsets[ch] = { x:reg[ch].x*scale, y:reg[ch].y*scale }; });
+    return ColorEngine.isMisregistered(offsets) ? offsets : null;
+  }
+
+  function updateRegistrationInputs() {
+    var reg = state.settings.registration;
+    els.regOffsets.forEach(function(input){
+      input.step  = reg.unit === 'mm' ? '0.01' : '0.5';
+      input.value = reg[input.dataset.plate][input.dataset.axis];
+    });
+    els.regNote.textContent = '0.1 mm = '+ColorEngine.mmToPixels(0.1, imagePpi()).toFixed(1)
+      +' px at '+imagePpi()+' ppi (the export resolution). Offsets move right and down; K is the reference plate.';
+  }
+
+  function setRegistration(offsets) {
+    var reg = state.settings.registration;
+    PLATES.forEach(function(ch){ reg[ch] = { x:offsets[ch].x, y:offsets[ch].y }; });
+    updateRegistrationInputs();
+    if (state.imageData) runProcessing();
+  }
+
+  function initRegistration() {
+    els.regUnitBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        var reg = state.settings.registration;
+        if (btn.dataset.unit === reg.unit) return;
+        els.regUnitBtns.forEach(function(b){ b.classList.remove('active'); b.setAttribute('aria-pressed','false'); b.setAttribute('aria-checked','false'); });
+        btn.classList.add('active'); btn.setAttribute('aria-pressed','true'); btn.setAttribute('aria-checked','true');
+        // Same physical offsets in the new unit
+        var pxPerMm = ColorEngine.mmToPixels(1, imagePpi());
+        PLATES.forEach(function(ch){
+          ['x','y'].forEach(function(axis){
+            var v = reg[ch][axis];
+            reg[ch][axis] = btn.dataset.unit === 'px' ? Math.round(v*pxPerMm*10)/10 : Math.round(v/pxPerMm*100)/100;
+          });
+        });
+        reg.unit = btn.dataset.unit;
+        updateRegistrationInputs();
+      });
+    });
+
+    els.regOffsets.forEach(function(input){
+      input.addEventListener('change', function(){
+        var v = parseFloat(input.value);
+        if (isNaN(v)) v = 0;
+        input.value = v;
+        state.settings.registration[input.dataset.plate][input.dataset.axis] = v;
+        if (state.imageData) runProcessing();
+      });
+    });
+
+    els.regWobbleBtn.addEventListener('click', function(){
+      var wobble = ColorEngine.randomWobble();
+      if (state.settings.registration.unit === 'px') {
+        var pxPerMm = ColorEngine.mmToPixels(1, imagePpi());
+        PLATES.forEach(function(ch){ wobble[ch] = { x:Math.round(wobble[ch].x*pxPerMm*10)/10, y:Math.round(wobble[ch].y*pxPerMm*10)/10 }; });
+      }
+      setRegistration(wobble);
+      announce('Random press wobble: plates moved up to '+ColorEngine.WOBBLE_MM+' mm.');
+    });
+
+    els.regResetBtn.addEventListener('click', function(){
+      var zero = {};
+      PLATES.forEach(function(ch){ zero[ch] = { x:0, y:0 }; });
+      setRegistration(zero);
+    });
+
+    els.fringeToggle.addEventListener('click', function(){
+      var active = els.fringeToggle.classList.contains('active');
+      els.fringeToggle.classList.toggle('active',!active);
+      els.fringeToggle.setAttribute('aria-pressed',String(!active));
+      state.settings.fringeOverlay = !active;
+      if (state.outputPixels) redraw();
+    });
+
+    // mm offsets are a different number of pixels at another resolution
+    els.exportDpi.addEventListener('change', function(){
+      updateRegistrationInputs();
+      if (state.imageData && state.settings.registration.unit === 'mm' && registrationOffsets()) runProcessing();
+    });
+    updateRegistrationInputs();
+  }
+
   // ─── COLOR PICKER ─────────────────────────────────────────────────────────
   function initColorPicker() {
     var container = els.canvas.parentElement;
@@ -473,7 +1416,9 @@
       var a   = state.imageData.data[idx+3];
       if (a < 10) { els.colorPicker.hidden=true; return; }
 
-      var cmyk = pixelCmyk(r, g, b, state.settings.paperType, state.settings.dotGain);
+      var mt   = multitonePicker ? multitoneValues(r, g, b) : state.settings.extendedGamut ? extendedValues(r, g, b) : null;
+      var sep  = state.workingCmyk || state.sourceCmyk;
+      var cmyk = mt || ColorEngine.pixelReadout(r, g, b, state.settings, sep ? { c:sep[idx], m:sep[idx+1], y:sep[idx+2], k:sep[idx+3] } : null);
 
       var cRect = container.getBoundingClientRect();
       var tx = e.clientX-cRect.left+16, ty = e.clientY-cRect.top+16;
@@ -485,9 +1430,28 @@
       els.colorPicker.hidden     = false;
 
       $('cp-swatch').style.background = 'rgb('+r+','+g+','+b+')';
-      $('cp-c').textContent = cmyk.c+'%'; $('cp-m').textContent = cmyk.m+'%';
-      $('cp-y').textContent = cmyk.y+'%'; $('cp-k').textContent = cmyk.k+'%';
+      els.cpLabel.textContent = mt ? 'Inks at cursor' : 'CMYK at cursor';
+      els.cpCmyk.hidden = !!mt;
+      els.cpInks.hidden = !mt;
+      if (mt) {
+        els.cpInks.innerHTML = '';
+        mt.inks.forEach(function(ink){
+          var row = document.createElement('div');
+          row.className = 'cp-row';
+          var name = document.createElement('span');
+          name.className = 'cp-ink-name'; name.textContent = ink.name;
+          var val = document.createElement('span');
+          val.className = 'cp-ch-val'; val.textContent = ink.value+'%';
+          row.appendChild(name); row.appendChild(val);
+          els.cpInks.appendChild(row);
+        });
+      } else {
+        $('cp-c').textContent = cmyk.c+'%'; $('cp-m').textContent = cmyk.m+'%';
+        $('cp-y').textContent = cmyk.y+'%'; $('cp-k').textContent = cmyk.k+'%';
+      }
       $('cp-tac').textContent = cmyk.tac+'%';
+      $('cp-tac-row').classList.toggle('over-limit', cmyk.tac > state.settings.tacThreshold);
+      els.cpTacLabel.textContent = cmyk.tac > state.settings.tacThreshold ? 'Over Limit' : 'Total Ink';
     });
 
     container.addEventListener('mouseleave', function(){ els.colorPicker.hidden=true; });
@@ -499,13 +1463,41 @@
     var s = state.stats;
     els.avgTacVal.textContent   = s.avgTAC+'%';
     els.maxTacVal.textContent   = s.maxTAC+'%';
-    els.outGamutVal.textContent = s.outOfGamutPercent+'%';
+    els.outGamutVal.textContent = s.multitoneCoverage.length ? 'n/a' : s.outOfGamutPercent+'%';
+    els.extendedGamutStats.forEach(function(row){ row.hidden = !s.extendedGamut; });
+    if (s.extendedGamut) {
+      els.cmykGamutVal.textContent      = s.extendedGamut.cmykOutOfGamutPercent+'%';
+      els.recoveredGamutVal.textContent = s.extendedGamut.recoveredPercent+'%';
+    }
+    els.gamutDeltaVal.textContent = s.multitoneCoverage.length ? 'Not checked for multitone' : s.meanGamutDeltaE.toFixed(1)+' / '+s.maxGamutDeltaE.toFixed(1);
+    els.deMeanVal.textContent = s.printDeltaE.mean.toFixed(1);
+    els.deP95Val.textContent  = s.printDeltaE.p95.toFixed(1);
+    els.deMaxVal.textContent  = s.printDeltaE.max.toFixed(1);
+    els.fringeVal.textContent = s.fringePercent === null ? 'Registered' : s.fringePercent+'%';
+    updateSpotResults(s);
+    updatePlateResults(s);
+    updateBlackResults(s);
+    updateDotLossResults(s);
 
     var pct = Math.min(100,(s.maxTAC/400)*100);
     els.tacBar.style.width = pct+'%';
     els.tacBar.className   = 'tac-bar-fill '+(s.maxTAC>s.inkLimit+30?'danger':s.maxTAC>s.inkLimit?'caution':'safe');
     if (els.tacLimitLine)  els.tacLimitLine.style.left  = ((s.inkLimit/400)*100)+'%';
     if (els.tacLimitLabel) els.tacLimitLabel.textContent = s.inkLimit+'%';
+    els.overLimitLabel.textContent = 'Pixels over '+s.tacThreshold+'%';
+    els.overLimitVal.textContent   = s.overLimitCount.toLocaleString()+' ('+s.overLimitPercent+'%)';
+    els.fixInkBtn.disabled = !!state.correction || s.overLimitCount === 0 || !!state.settings.multitone || !!state.settings.extendedGamut;
+
+    var fix = state.correction;
+    els.fixCompare.hidden = !fix;
+    if (fix) {
+      var b = fix.before;
+      $('fix-max-before').textContent  = b.maxTAC+'%';      $('fix-max-after').textContent  = s.maxTAC+'%';
+      $('fix-avg-before').textContent  = b.avgTAC+'%';      $('fix-avg-after').textContent  = s.avgTAC+'%';
+      $('fix-over-before').textContent = b.overLimitPercent+'%'; $('fix-over-after').textContent = s.overLimitPercent+'%';
+      $('fix-de-before').textContent   = b.printDeltaE.mean.toFixed(1); $('fix-de-after').textContent = s.printDeltaE.mean.toFixed(1);
+      els.fixSummary.textContent = fix.fixedCount.toLocaleString()+' pixels corrected to '+fix.limit+'% \u2014 '+ColorEngine.INK_LIMIT_METHODS[fix.method]+'.';
+    }
 
     els.riskBadge.textContent   = s.risk.label;
     els.riskBadge.className     = 'risk-badge '+s.risk.level;
@@ -527,32 +1519,122 @@
     els.resultsPanel.hidden = false;
   }
 
+  // Near-black areas by kind, and the rich-black features too small to keep in register
+  function updateBlackResults(s) {
+    var b = s.blacks;
+    els.blackResults.hidden = !b;
+    if (!b) return;
+    $('black-pure-val').textContent = b.pureKPercent+'%';
+    $('black-rich-val').textContent = b.richPercent+'%';
+    $('black-reg-val').textContent  = b.registrationPercent+'%';
+    $('black-small-val').textContent = b.smallFeatures ? b.smallFeatures+' of '+b.features+' ('+b.smallFeaturePercent+'%)' : 'None';
+  }
+
+  // Highlight dropout and shadow plugging, overall and per plate
+  function updateDotLossResults(s) {
+    var d = s.dotLoss;
+    els.dotLossResults.hidden = !d;
+    if (!d) return;
+    $('dropout-val').textContent  = d.dropoutPercent+'%';
+    $('plugging-val').textContent = d.pluggingPercent+'%';
+    $('dot-loss-plates-val').textContent = d.plates.map(function(pl){
+      return pl.plate.toUpperCase()+' '+pl.dropoutPercent+' / '+pl.pluggingPercent;
+    }).join(' \xb7 ');
+  }
+
+  function updateDotLossNote() {
+    var p = paperProfile(state.settings.paperType);
+    els.dotLossNote.textContent = 'On '+ColorEngine.paperLabel(p)+' dots under '+p.minDot+'% drop out and dots over '
+      +p.maxDot+'% plug to solid. Use the channel toggles to check one plate.';
+  }
+
+  function updateBlackNote() {
+    var mm = ColorEngine.RICH_BLACK_MIN_WIDTH_MM;
+    els.blackNote.textContent = 'Rich black narrower than '+mm+' mm ('+ColorEngine.mmToPixels(mm, imagePpi()).toFixed(1)
+      +' px at '+imagePpi()+' ppi, the export resolution) or smaller than '+(2*mm)+' mm square is flagged.';
+  }
+
   // ─── CONTROLS ─────────────────────────────────────────────────────────────
   function initControls() {
     // Paper
-    els.paperBtns.forEach(function(btn){
-      btn.addEventListener('click', function(){
-        els.paperBtns.forEach(function(b){ b.classList.remove('active'); b.setAttribute('aria-pressed','false'); });
-        btn.classList.add('active'); btn.setAttribute('aria-pressed','true');
-        state.settings.paperType = btn.dataset.paper;
-        var p = PAPERS[state.settings.paperType];
-        var g = Math.round(p.dotGain*100);
-        els.dotGainSlider.value = g;
-        els.dotGainValue.textContent = g+'%';
-        state.settings.dotGain = p.dotGain;
-        if (els.paperDesc) els.paperDesc.textContent = p.desc;
-        if (state.imageData) runProcessing();
-      });
+    els.paperBtns.forEach(bindPaperButton);
+    els.conditionSelect.addEventListener('change', function(){
+      selectPaper(els.conditionSelect.value || 'coated');
+    });
+
+    // Paper colour
+    els.paperSimToggle.addEventListener('click', function(){
+      setPaperSimulation(!state.settings.simulatePaper);
+      if (state.imageData) runProcessing();
+    });
+    els.paperWhiteInput.addEventListener('input', function(){
+      var hex = els.paperWhiteInput.value;
+      state.settings.paperWhite = { r:parseInt(hex.substr(1,2),16), g:parseInt(hex.substr(3,2),16), b:parseInt(hex.substr(5,2),16) };
+      setPaperSimulation(true);
+      updatePaperWhite();
+      if (state.imageData) runProcessing();
+    });
+    els.paperWhiteReset.addEventListener('click', function(){
+      state.settings.paperWhite = null;
+      updatePaperWhite();
+      if (state.imageData && state.settings.simulatePaper) runProcessing();
     });
+    updatePaperWhite();
 
     // Dot gain
     els.dotGainSlider.addEventListener('input', function(){
       var v = parseInt(els.dotGainSlider.value,10);
       els.dotGainValue.textContent = v+'%';
       state.settings.dotGain = v/100;
+      familyGain[gainFamily(state.settings.screening.mode)] = v/100;
+      updateScreenNote();
+      drawTviPlot();
+      dropCorrection();
       if (state.imageData) runProcessing();
     });
 
+    [els.tviCmy, els.tviK].forEach(function(select){
+      select.addEventListener('change', function(){
+        setTviCurves({ cmy:els.tviCmy.value, k:els.tviK.value });
+        // a conventional screen starts from the curve's own ISO value; the slider then scales it
+        if (gainFamily(state.settings.screening.mode) === 'conventional') {
+          var gain = Math.round(ColorEngine.isoTvi50(els.tviCmy.value, state.settings.paperType)*100)/100;
+          familyGain.conventional = gain;
+          setDotGain(gain);
+          updateScreenNote();
+        }
+        dropCorrection();
+        if (state.imageData) runProcessing();
+      });
+    });
+    drawTviPlot();
+
+    // Black generation
+    els.bgBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        els.bgBtns.forEach(function(b){ b.classList.remove('active'); b.setAttribute('aria-pressed','false'); b.setAttribute('aria-checked','false'); });
+        btn.classList.add('active'); btn.setAttribute('aria-pressed','true'); btn.setAttribute('aria-checked','true');
+        var bg = state.settings.blackGeneration;
+        bg.mode  = btn.dataset.bg;
+        bg.start = ColorEngine.BLACK_GENERATION[bg.mode].start;
+        els.bgStartSlider.value = Math.round(bg.start*100);
+        els.bgStartValue.textContent = Math.round(bg.start*100)+'%';
+        dropCorrection();
+        if (state.imageData) runProcessing();
+      });
+    });
+
+    [['bgStart','start'],['bgLimit','limit'],['bgUca','uca']].forEach(function(pair){
+      var slider = els[pair[0]+'Slider'], value = els[pair[0]+'Value'];
+      slider.addEventListener('input', function(){
+        var v = parseInt(slider.value,10);
+        value.textContent = v+'%';
+        state.settings.blackGeneration[pair[1]] = v/100;
+        dropCorrection();
+        if (state.imageData) runProcessing();
+      });
+    });
+
     // Channels
     els.channelToggles.forEach(function(toggle){
       toggle.addEventListener('click', function(){
@@ -571,7 +1653,882 @@
       els.gamutToggle.classList.toggle('active',!active);
       els.gamutToggle.setAttribute('aria-pressed',String(!active));
       state.settings.gamutOverlay = !active;
-      if (state.outputPixels) renderCanvas();
+      if (state.outputPixels) redraw();
+    });
+
+    // TAC overlay
+    els.tacToggle.addEventListener('click', function(){
+      var active = els.tacToggle.classList.contains('active');
+      els.tacToggle.classList.toggle('active',!active);
+      els.tacToggle.setAttribute('aria-pressed',String(!active));
+      state.settings.tacOverlay = !active;
+      if (state.outputPixels) redraw();
+    });
+
+    els.tacThrSlider.addEventListener('input', function(){
+      setTacThreshold(parseInt(els.tacThrSlider.value,10));
+      if (state.imageData) runProcessing();
+    });
+    setTacThreshold(state.settings.tacThreshold);
+
+    // Black check
+    els.blackToggle.addEventListener('click', function(){
+      var active = els.blackToggle.classList.contains('active');
+      els.blackToggle.classList.toggle('active',!active);
+      els.blackToggle.setAttribute('aria-pressed',String(!active));
+      state.settings.blackOverlay = !active;
+      if (state.outputPixels) redraw();
+    });
+    els.exportDpi.addEventListener('change', function(){
+      updateBlackNote();
+      if (state.imageData) runProcessing();
+    });
+    updateBlackNote();
+
+    // Dot limits
+    els.dotLossToggle.addEventListener('click', function(){
+      var active = els.dotLossToggle.classList.contains('active');
+      els.dotLossToggle.classList.toggle('active',!active);
+      els.dotLossToggle.setAttribute('aria-pressed',String(!active));
+      state.settings.dotLossOverlay = !active;
+      if (state.outputPixels) redraw();
+    });
+    updateDotLossNote();
+
+    // Fix ink limit
+    els.fixMethodBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        els.fixMethodBtns.forEach(function(b){ b.classList.remove('active'); b.setAttribute('aria-pressed','false'); b.setAttribute('aria-checked','false'); });
+        btn.classList.add('active'); btn.setAttribute('aria-pressed','true'); btn.setAttribute('aria-checked','true');
+        fixMethod = btn.dataset.method;
+      });
+    });
+    els.fixInkBtn.addEventListener('click', runCorrection);
+    els.fixRevertBtn.addEventListener('click', function(){
+      dropCorrection();
+      announce('Ink limit fix reverted.');
+      runProcessing();
+    });
+
+    // View mode
+    els.viewBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        selectView(btn.dataset.view);
+        if (state.outputPixels) redraw();
+      });
+    });
+
+    els.gamutThrSlider.addEventListener('input', function(){
+      var v = parseInt(els.gamutThrSlider.value,10);
+      els.gamutThrValue.textContent  = '\u0394E '+v;
+      els.gamutLegendMin.textContent = '\u0394E '+v;
+      els.gamutLegendMax.textContent = '\u0394E '+(v*4)+'+';
+      state.settings.gamutThreshold = v;
+      if (state.imageData) runProcessing();
+    });
+  }
+
+  function selectView(mode) {
+    els.viewBtns.forEach(function(b){
+      var on = b.dataset.view === mode;
+      b.classList.toggle('active', on); b.setAttribute('aria-pressed',String(on)); b.setAttribute('aria-checked',String(on));
+    });
+    state.settings.viewMode = mode;
+    els.deltaELegend.hidden = mode !== 'deltaE';
+  }
+
+  function setTacThreshold(v) {
+    if (v !== state.settings.tacThreshold) dropCorrection();
+    state.settings.tacThreshold = v;
+    els.tacThrSlider.value = v;
+    els.tacThrValue.textContent = v+'%';
+    els.tacLegendLabels.forEach(function(label){
+      var f = parseFloat(label.dataset.frac);
+      label.textContent = Math.round(v*f)+'%'+(f>1?'+':'');
+    });
+  }
+
+  // ─── ICC PROFILE ──────────────────────────────────────────────────────────
+  var NO_PROFILE_TEXT = 'None \u2014 using the simplified formula';
+
+  // ─── TVI CURVES ───────────────────────────────────────────────────────────
+  var TVI_PLOT_INKS = [['c','#00C8E8'], ['m','#E8198C'], ['y','#FFDA00'], ['k','#EEEEF2']];
+
+  function setTviCurves(sets) {
+    state.settings.tviCurves = { cmy:sets.cmy, k:sets.k };
+    els.tviCmy.value = sets.cmy;
+    els.tviK.value   = sets.k;
+    drawTviPlot();
+  }
+
+  // TVI against tone value for each ink, with the 40% / 80% points the curves were fitted to
+  function drawTviPlot() {
+    var cv = els.tviPlot, ctx = cv.getContext('2d');
+    if (!ctx) return;
+    var s = state.settings, curves = toneCurves(s);
+    var w = cv.width, h = cv.height, pad = 18, top = 0.4;   // TVI axis 0-40%
+    var px = function(v){ return pad + v*(w-pad-6); };
+    var py = function(t){ return h-pad - Math.min(t,top)/top*(h-pad-6); };
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.strokeStyle='rgba(255,255,255,0.12)'; ctx.lineWidth=1;
+    ctx.fillStyle='rgba(255,255,255,0.45)'; ctx.font='9px system-ui,sans-serif';
+    [0.1,0.2,0.3,0.4].forEach(function(t){
+      ctx.beginPath(); ctx.moveTo(px(0),py(t)); ctx.lineTo(px(1),py(t)); ctx.stroke();
+      ctx.fillText(Math.round(t*100), 2, py(t)+3);
+    });
+    [0.4,0.8].forEach(function(v){
+      ctx.beginPath(); ctx.moveTo(px(v),py(0)); ctx.lineTo(px(v),py(top)); ctx.stroke();
+      ctx.fillText(v*100+'%', px(v)-8, h-4);
+    });
+
+    curves.forEach(function(curve, i){
+      ctx.strokeStyle = TVI_PLOT_INKS[i][1]; ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (var j=0; j<=50; j++) {
+        var v = j/50, t = ColorEngine.applyDotGain(v, curve) - v;
+        if (j) ctx.lineTo(px(v), py(t)); else ctx.moveTo(px(v), py(t));
+      }
+      ctx.stroke();
+      ctx.fillStyle = TVI_PLOT_INKS[i][1];
+      [[0.4,curve.at40],[0.8,curve.at80]].forEach(function(pt){
+        ctx.beginPath(); ctx.arc(px(pt[0]), py(pt[1]), 2.5, 0, Math.PI*2); ctx.fill();
+      });
+    });
+
+    var k = curves[3], name = function(curve){ return curve === ColorEngine.PAPER_CURVE ? 'of the paper' : curve; };
+    els.tviNote.textContent = 'CMY curve '+name(s.tviCurves.cmy)+': '+Math.round(curves[0].at40*100)+'% at 40%, '+Math.round(curves[0].at80*100)
+      +'% at 80%. K curve '+name(s.tviCurves.k)+': '+Math.round(k.at40*100)+'% / '+Math.round(k.at80*100)+'%.';
+  }
+
+  // ─── PAPER SELECTION ──────────────────────────────────────────────────────
+  function bindPaperButton(btn) {
+    btn.addEventListener('click', function(){ selectPaper(btn.dataset.paper); });
+  }
+
+  function selectPaper(id) {
+    els.paperBtns.forEach(function(b){
+      var on = b.dataset.paper === id;
+      b.classList.toggle('active', on); b.setAttribute('aria-pressed', String(on)); b.setAttribute('aria-checked', String(on));
+    });
+    var p = paperProfile(id);
+    els.conditionSelect.value = p.condition ? id : '';
+    state.settings.paperType = id;
+    // Only custom papers have a curve of their own
+    [els.tviCmy, els.tviK].forEach(function(select){ select.querySelector('option[value="'+ColorEngine.PAPER_CURVE+'"]').disabled = !isCustomPaper(id); });
+    setTviCurves(p.tvi);
+    familyGain.conventional = p.dotGain/100;
+    familyGain.fm = Screening.fmDotGain(p.dotGain/100);
+    setDotGain(familyGain[gainFamily(state.settings.screening.mode)]);
+    updateScreenNote();
+    setTacThreshold(p.inkLimit);
+    if (els.paperDesc) els.paperDesc.textContent = paperDescription(p);
+    updateDotLossNote();
+    updatePaperWhite();
+    updatePaperLibrary();
+    dropCorrection();
+    if (state.imageData) runProcessing();
+  }
+
+  // ─── CUSTOM PAPERS ────────────────────────────────────────────────────────
+  // Stored by PaperLibrary; each becomes a paper button and an engine profile
+  // under its id.
+  var customPapers = [];
+  var editingPaper = null;   // id being edited, or '' for a new paper
+  var editorWhite  = null;   // { hex, lab } shown in the editor; kept unless the picker changes
+
+  function registerPaper(paper) {
+    ColorEngine.setPaperProfile(paper.id, paper);
+  }
+
+  function isCustomPaper(id) { return ColorEngine.BUILT_IN_PAPERS.indexOf(id) < 0; }
+
+  // Rebuild the custom paper buttons after the built-in ones
+  function renderCustomPapers() {
+    els.paperButtons.querySelectorAll('.paper-btn.custom').forEach(function(btn){ btn.remove(); });
+    customPapers.forEach(function(paper){
+      var btn = document.createElement('button');
+      btn.className = 'paper-btn custom';
+      btn.dataset.paper = paper.id;
+      btn.setAttribute('role', 'radio');
+      btn.textContent = paper.name;
+      var gain = document.createElement('span');
+      gain.className = 'paper-gain';
+      gain.textContent = '~'+Math.round(paper.dotGain)+'% TVI';
+      btn.appendChild(gain);
+      bindPaperButton(btn);
+      els.paperButtons.appendChild(btn);
+    });
+    els.paperBtns = els.paperButtons.querySelectorAll('.paper-btn');
+    els.paperBtns.forEach(function(b){
+      var on = b.dataset.paper === state.settings.paperType;
+      b.classList.toggle('active', on); b.setAttribute('aria-pressed', String(on)); b.setAttribute('aria-checked', String(on));
+    });
+    updatePaperLibrary();
+  }
+
+  function updatePaperLibrary() {
+    var custom = isCustomPaper(state.settings.paperType);
+    els.paperEditBtn.hidden   = !custom;
+    els.paperDeleteBtn.hidden = !custom;
+    els.paperExportBtn.disabled = !customPapers.length;
+  }
+
+  function storePapers(papers) {
+    customPapers = papers;
+    state.planes = null;   // drawn with the papers as they were
+    papers.forEach(registerPaper);
+    renderCustomPapers();
+    if (!PaperLibrary.save(papers)) announce('This browser did not allow saving papers; they last until the page is closed.');
+  }
+
+  function openPaperEditor(id) {
+    var p = id ? customPapers.filter(function(c){ return c.id === id; })[0] : PaperLibrary.blank(state.settings.paperType);
+    editingPaper = id || '';
+    var white = ColorScience.labToSrgb8(p.paperWhite[0], p.paperWhite[1], p.paperWhite[2]);
+    editorWhite = { hex:'#'+hex2(white.r)+hex2(white.g)+hex2(white.b), lab:p.paperWhite };
+    els.paperNameInput.value   = p.name;
+    els.paperDescInput.value   = p.description;
+    els.paperGainInput.value   = Math.round(p.dotGain);
+    els.paperTviCmyInput.value = p.tvi.cmy;
+    els.paperTviKInput.value   = p.tvi.k;
+    els.paperHighlightInput.value = p.highlightGain;
+    els.paperShadowInput.value = p.shadowGain;
+    els.paperLimitInput.value  = p.inkLimit;
+    els.paperGamutInput.value  = Math.round(p.gamutReduction*100);
+    els.paperEditorWhite.value = editorWhite.hex;
+    els.paperAbsorbInput.value = Math.round(p.absorption*100);
+    els.paperMinDotInput.value = p.minDot;
+    els.paperMaxDotInput.value = p.maxDot;
+    els.paperEditor.hidden = false;
+    els.paperNameInput.focus();
+  }
+
+  // With its own CMY curve, a paper's TVI at 50% is that of the curve through
+  // its highlight and shadow gain; editing them picks the paper's own curve
+  function syncPaperCurve(gainEdited) {
+    var own = ColorEngine.PAPER_CURVE;
+    if (gainEdited && els.paperTviCmyInput.value !== own && els.paperTviKInput.value !== own) els.paperTviCmyInput.value = own;
+    var at40 = parseFloat(els.paperHighlightInput.value), at80 = parseFloat(els.paperShadowInput.value);
+    if (els.paperTviCmyInput.value !== own || !(at40 > 0) || !(at80 > 0)) return;
+    els.paperGainInput.value = Math.round(ColorEngine.curveTvi50({ at40:at40/100, at80:at80/100 })*100);
+  }
+
+  function closePaperEditor() {
+    editingPaper = null;
+    els.paperEditor.hidden = true;
+  }
+
+  function savePaperEditor() {
+    if (!els.paperEditor.reportValidity()) return;
+    var hex = els.paperEditorWhite.value;
+    var lab = hex === editorWhite.hex ? editorWhite.lab
+      : ColorScience.srgb8ToLab(parseInt(hex.substr(1,2),16), parseInt(hex.substr(3,2),16), parseInt(hex.substr(5,2),16));
+    var result;
+    try {
+      result = PaperLibrary.upsert(customPapers, {
+        id: editingPaper || null,
+        name: els.paperNameInput.value,
+        description: els.paperDescInput.value,
+        dotGain: parseFloat(els.paperGainInput.value),
+        tvi: { cmy:els.paperTviCmyInput.value, k:els.paperTviKInput.value },
+        highlightGain: parseFloat(els.paperHighlightInput.value),
+        shadowGain: parseFloat(els.paperShadowInput.value),
+        inkLimit: parseFloat(els.paperLimitInput.value),
+        gamutReduction: parseFloat(els.paperGamutInput.value)/100,
+        paperWhite: lab.map(function(v){ return Math.round(v*10)/10; }),
+        absorption: parseFloat(els.paperAbsorbInput.value)/100,
+        minDot: parseFloat(els.paperMinDotInput.value),
+        maxDot: parseFloat(els.paperMaxDotInput.value)
+      });
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+    hideError();
+    closePaperEditor();
+    storePapers(result.papers);
+    selectPaper(result.paper.id);
+    announce('Paper saved: '+result.paper.name+'.');
+  }
+
+  function deletePaper(id) {
+    var paper = paperProfile(id);
+    if (!window.confirm('Delete the paper "'+paper.name+'"?')) return;
+    ColorEngine.removePaperProfile(id);
+    closePaperEditor();
+    storePapers(PaperLibrary.remove(customPapers, id));
+    selectPaper('coated');
+    announce('Paper deleted: '+paper.name+'.');
+  }
+
+  function initPaperLibrary() {
+    customPapers = PaperLibrary.load();
+    customPapers.forEach(registerPaper);
+    renderCustomPapers();
+
+    els.paperNewBtn.addEventListener('click', function(){ openPaperEditor(null); });
+    els.paperEditBtn.addEventListener('click', function(){ openPaperEditor(state.settings.paperType); });
+    els.paperDeleteBtn.addEventListener('click', function(){ deletePaper(state.settings.paperType); });
+    els.paperCancelBtn.addEventListener('click', closePaperEditor);
+    els.paperEditor.addEventListener('submit', function(e){ e.preventDefault(); savePaperEditor(); });
+    [els.paperHighlightInput, els.paperShadowInput].forEach(function(input){
+      input.addEventListener('input', function(){ syncPaperCurve(true); });
+    });
+    els.paperTviCmyInput.addEventListener('change', function(){ syncPaperCurve(false); });
+
+    els.paperExportBtn.addEventListener('click', function(){
+      download(PaperLibrary.exportJson(customPapers), 'cmyk-papers.json', 'application/json');
+      announce('Exported '+customPapers.length+' paper'+(customPapers.length === 1 ? '' : 's')+'.');
+    });
+    els.paperImportBtn.addEventListener('click', function(){ els.paperImportInput.click(); });
+    els.paperImportInput.addEventListener('change', function(){
+      var file = els.paperImportInput.files && els.paperImportInput.files[0];
+      els.paperImportInput.value = '';
+      if (!file) return;
+
+      var reader = new FileReader();
+      reader.onload = function() {
+        var imported;
+        try {
+          imported = PaperLibrary.parseJson(reader.result);
+        } catch (err) {
+          showError(err.message);
+          return;
+        }
+        hideError();
+        storePapers(PaperLibrary.merge(customPapers, imported));
+        if (isCustomPaper(state.settings.paperType)) selectPaper(state.settings.paperType);
+        announce('Imported '+imported.length+' paper'+(imported.length === 1 ? '' : 's')+'.');
+      };
+      reader.onerror = function() { showError('Could not read the paper file.'); };
+      reader.readAsText(file);
+    });
+  }
+
+  // ─── SPOT COLOURS ─────────────────────────────────────────────────────────
+  // The ink library is SpotInks; the active inks go to processing as settings.spots
+  var spotInks = [];
+  var editingSpot = null;   // id being edited, or '' for a new ink
+
+  function storeSpots(inks) {
+    spotInks = inks;
+    if (!SpotInks.save(inks)) announce('This browser did not allow saving spot inks; they last until the page is closed.');
+    applySpots();
+  }
+
+  function applySpots() {
+    state.settings.spots = SpotInks.active(spotInks);
+    printModeControls();
+    renderSpotList();
+    if (multitoneInks.length) { applyMultitone(); renderMultitoneInks(); }
+  }
+
+  function renderSpotList() {
+    els.spotList.innerHTML = '';
+    spotInks.forEach(function(ink){
+      var li = document.createElement('li');
+      li.className = 'spot-item';
+
+      var label = document.createElement('label');
+      label.className = 'export-option';
+      var box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = ink.active;
+      box.addEventListener('change', function(){
+        storeSpots(SpotInks.upsert(spotInks, Object.assign({}, ink, { active:box.checked })).inks);
+        if (state.imageData) runProcessing();
+      });
+      var sw = document.createElement('span');
+      sw.className = 'spot-swatch';
+      sw.style.background = SpotInks.labToHex(ink.lab);
+      label.appendChild(box); label.appendChild(sw);
+      label.appendChild(document.createTextNode(ink.name));
+      label.title = 'L*'+ink.lab[0]+' a*'+ink.lab[1]+' b*'+ink.lab[2]+' \u2014 '+Math.round(ink.opacity*100)+'% opaque, \u0394E '+ink.tolerance;
+
+      var edit = document.createElement('button');
+      edit.className = 'btn-secondary'; edit.textContent = 'Edit';
+      edit.setAttribute('aria-label', 'Edit spot ink '+ink.name);
+      edit.addEventListener('click', function(){ openSpotEditor(ink); });
+      var del = document.createElement('button');
+      del.className = 'btn-secondary'; del.textContent = 'Delete';
+      del.setAttribute('aria-label', 'Delete spot ink '+ink.name);
+      del.addEventListener('click', function(){
+        if (!window.confirm('Delete the spot ink "'+ink.name+'"?')) return;
+        if (editingSpot === ink.id) closeSpotEditor();
+        storeSpots(SpotInks.remove(spotInks, ink.id));
+        if (state.imageData) runProcessing();
+      });
+
+      li.appendChild(label); li.appendChild(edit); li.appendChild(del);
+      els.spotList.appendChild(li);
+    });
+  }
+
+  function setSpotLab(lab) {
+    els.spotLabInputs.forEach(function(input, i){ input.value = lab[i]; });
+  }
+
+  function openSpotEditor(ink) {
+    editingSpot = ink ? ink.id : '';
+    els.spotNameInput.value = ink ? ink.name : '';
+    var lab = ink ? ink.lab : SpotInks.hexToLab(els.spotColorInput.value);
+    setSpotLab(lab);
+    els.spotColorInput.value    = SpotInks.labToHex(lab);
+    els.spotOpacityInput.value  = ink ? Math.round(ink.opacity*100) : 90;
+    els.spotTolInput.value      = ink ? ink.tolerance : ColorEngine.DEFAULT_SPOT_TOLERANCE;
+    els.spotEditor.hidden = false;
+    els.spotNameInput.focus();
+  }
+
+  function closeSpotEditor() {
+    editingSpot = null;
+    els.spotEditor.hidden = true;
+  }
+
+  function saveSpotEditor() {
+    if (!els.spotEditor.reportValidity()) return;
+    var old = spotInks.filter(function(s){ return s.id === editingSpot; })[0];
+    var result;
+    try {
+      result = SpotInks.upsert(spotInks, {
+        id: editingSpot || null,
+        name: els.spotNameInput.value,
+        lab: els.spotLabInputs.map(function(input){ return parseFloat(input.value); }),
+        opacity: parseFloat(els.spotOpacityInput.value)/100,
+        tolerance: parseFloat(els.spotTolInput.value),
+        active: old ? old.active : true
+      });
+    } catch (err) {
+      showError(err.message);
+      return;
+    }
+    hideError();
+    closeSpotEditor();
+    storeSpots(result.inks);
+    announce('Spot ink saved: '+result.ink.name+'.');
+    if (state.imageData) runProcessing();
+  }
+
+  // Coverage and process build per spot channel, in the results panel
+  function updateSpotResults(s) {
+    els.spotResults.hidden = !s.spotCoverage.length;
+    els.spotCoverage.innerHTML = '';
+    s.spotCoverage.forEach(function(cov, i){
+      var spot  = state.settings.spots[i];
+      var build = ColorEngine.spotProcessBuild(spot, state.settings);
+      var row = document.createElement('div');
+      row.className = 'color-swatch';
+      var bg = document.createElement('div');
+      bg.className = 'swatch-bg';
+      bg.style.background = 'linear-gradient(90deg,'+SpotInks.labToHex(spot.lab)+' 50%,rgb('+build.rgb.r+','+build.rgb.g+','+build.rgb.b+') 50%)';
+      bg.title = 'Spot (left) and its CMYK build (right)';
+      var info = document.createElement('div');
+      var name = document.createElement('div');
+      name.className = 'spot-name'; name.textContent = cov.name;
+      var fig = document.createElement('div');
+      fig.className = 'spot-figures';
+      fig.textContent = 'Area '+cov.areaPercent+'% \u00b7 Ink '+cov.inkPercent+'% \u00b7 As CMYK C'+build.cmyk.c+' M'+build.cmyk.m+' Y'+build.cmyk.y+' K'+build.cmyk.k
+        +', \u0394E '+build.deltaE.toFixed(1);
+      info.appendChild(name); info.appendChild(fig);
+      row.appendChild(bg); row.appendChild(info);
+      els.spotCoverage.appendChild(row);
+    });
+  }
+
+  function initSpots() {
+    spotInks = SpotInks.load();
+    applySpots();
+
+    els.spotAddBtn.addEventListener('click', function(){ openSpotEditor(null); });
+    els.spotCancelBtn.addEventListener('click', closeSpotEditor);
+    els.spotEditor.addEventListener('submit', function(e){ e.preventDefault(); saveSpotEditor(); });
+    els.spotColorInput.addEventListener('input', function(){ setSpotLab(SpotInks.hexToLab(els.spotColorInput.value)); });
+    els.spotLabInputs.forEach(function(input){
+      input.addEventListener('input', function(){
+        var lab = els.spotLabInputs.map(function(i){ return parseFloat(i.value); });
+        if (lab.every(isFinite)) els.spotColorInput.value = SpotInks.labToHex(lab);
+      });
+    });
+  }
+
+  // ─── DUOTONE / TRITONE ────────────────────────────────────────────────────
+  // multitoneInks: { ink:'c'|'m'|'y'|'k' or a spot ink id, curve:[5 points], show }
+  // state.settings.multitone is built from them (see ColorEngine.prepareMultitone)
+  var PROCESS_INK_NAMES = { k:'Process Black', c:'Process Cyan', m:'Process Magenta', y:'Process Yellow' };
+  var multitoneInks = [];
+  var multitonePicker = null;   // prepared inks for the colour picker
+
+  function multitoneInk(choice) {
+    if (PROCESS_INK_NAMES[choice.ink]) return { name:PROCESS_INK_NAMES[choice.ink], process:choice.ink, curve:choice.curve, show:choice.show };
+    var spot = spotInks.filter(function(s){ return s.id === choice.ink; })[0];
+    return { name:spot.name, lab:spot.lab, opacity:spot.opacity, curve:choice.curve, show:choice.show };
+  }
+
+  // Black first, then the spot library, then cyan and magenta
+  function defaultMultitoneInk(n) {
+    var used = multitoneInks.map(function(c){ return c.ink; });
+    var free = ['k'].concat(spotInks.map(function(s){ return s.id; }), ['c','m','y']).filter(function(id){ return used.indexOf(id) < 0; });
+    return { ink:free[0] || 'k', curve:ColorEngine.DEFAULT_MULTITONE_CURVES[n].slice(), show:true };
+  }
+
+  function setMultitoneCount(n) {
+    multitoneInks = multitoneInks.slice(0, n);
+    while (multitoneInks.length < n) multitoneInks.push(defaultMultitoneInk(multitoneInks.length));
+    dropCorrection();
+    applyMultitone();
+    renderMultitoneInks();
+  }
+
+  // Print mode buttons: data-inks is 0 (CMYK), 2 or 3 (multitone) or 'ecg' (CMYKOGV)
+  function setPrintMode(mode) {
+    els.multitoneBtns.forEach(function(b){
+      var on = b.dataset.inks === mode;
+      b.classList.toggle('active', on); b.setAttribute('aria-pressed',String(on)); b.setAttribute('aria-checked',String(on));
+    });
+    state.settings.extendedGamut = mode === 'ecg' ? extendedInks() : null;
+    setMultitoneCount(mode === 'ecg' ? 0 : parseInt(mode,10));
+    renderExtendedInks();
+  }
+
+  // Controls that depend on the print mode: channels, export and the split views
+  function printModeControls() {
+    var mt = !!state.settings.multitone, ext = !!state.settings.extendedGamut;
+    els.channelToggles.forEach(function(t){
+      t.disabled = mt;
+      if (EXTENDED_CHANNELS.indexOf(t.dataset.channel) >= 0) t.hidden = !ext;
+    });
+    els.exportCmykBtn.disabled = mt || ext;
+    els.exportPlatesBtn.textContent = 'Plates ('+(mt ? multitoneInks.length : ext ? 7 : 4)+' TIFFs)';
+    els.exportNote.textContent = (mt || ext ? '8-bit plates before dot gain, one per ink.' : '8-bit separation before dot gain, all four plates.')
+      +(state.full ? ' Exported at full resolution, '+state.full.width+' \xd7 '+state.full.height+'px.' : '');
+    els.spotViewBtn.hidden = mt || ext || !state.settings.spots.length;
+    els.extendedViewBtn.hidden = !ext;
+    var view = state.settings.viewMode;
+    if ((view === 'spotProcess' && els.spotViewBtn.hidden) || (view === 'extendedCmyk' && !ext)) selectView('simulation');
+  }
+
+  // Settings and the controls that do not apply while printing with multitone inks;
+  // an ink whose spot was deleted falls back to the first unused one
+  function applyMultitone() {
+    multitoneInks.forEach(function(choice){
+      if (!PROCESS_INK_NAMES[choice.ink] && !spotInks.some(function(s){ return s.id === choice.ink; })) choice.ink = defaultMultitoneInk(0).ink;
+    });
+    var on = multitoneInks.length > 0;
+    state.settings.multitone = on ? multitoneInks.map(multitoneInk) : null;
+    multitonePicker = on ? ColorEngine.prepareMultitone(state.settings.multitone) : null;
+
+    els.multitoneOptions.hidden = !on;
+    printModeControls();
+    drawMultitonePlot();
+  }
+
+  function renderMultitoneInks() {
+    els.multitoneInkList.innerHTML = '';
+    multitoneInks.forEach(function(choice, n){
+      var li = document.createElement('li');
+      li.className = 'multitone-ink';
+
+      var head = document.createElement('div');
+      head.className = 'multitone-ink-head';
+      var show = document.createElement('input');
+      show.type = 'checkbox';
+      show.checked = choice.show;
+      show.setAttribute('aria-label', 'Print ink '+(n+1));
+      show.addEventListener('change', function(){
+        choice.show = show.checked;
+        applyMultitone();
+        if (state.imageData) runProcessing();
+      });
+      var sw = document.createElement('span');
+      sw.className = 'spot-swatch';
+      sw.style.background = MULTITONE_PLOT_COLOURS[n];
+      sw.title = 'Colour of this curve in the plot';
+      var select = document.createElement('select');
+      select.setAttribute('aria-label', 'Ink '+(n+1));
+      Object.keys(PROCESS_INK_NAMES).forEach(function(id){ select.appendChild(new Option(PROCESS_INK_NAMES[id], id)); });
+      if (spotInks.length) {
+        var group = document.createElement('optgroup');
+        group.label = 'Spot inks';
+        spotInks.forEach(function(s){ group.appendChild(new Option(s.name, s.id)); });
+        select.appendChild(group);
+      }
+      select.value = choice.ink;
+      select.addEventListener('change', function(){
+        choice.ink = select.value;
+        applyMultitone();
+        if (state.imageData) runProcessing();
+      });
+      head.appendChild(show); head.appendChild(sw); head.appendChild(select);
+
+      var curve = document.createElement('div');
+      curve.className = 'multitone-curve';
+      curve.setAttribute('role', 'group');
+      curve.setAttribute('aria-label', 'Curve of ink '+(n+1));
+      ColorEngine.MULTITONE_POINTS.forEach(function(tone, i){
+        var label = document.createElement('label');
+        label.className = 'export-option';
+        var input = document.createElement('input');
+        input.type = 'number'; input.min = 0; input.max = 100; input.step = 1;
+        input.value = choice.curve[i];
+        input.setAttribute('aria-label', 'Ink '+(n+1)+' tint at '+tone+'% tone');
+        input.addEventListener('input', function(){
+          var v = parseFloat(input.value);
+          if (!isFinite(v) || v < 0 || v > 100) return;
+          choice.curve[i] = v;
+          applyMultitone();
+          if (state.imageData) runProcessing();
+        });
+        label.appendChild(document.createTextNode(tone+'%'));
+        label.appendChild(input);
+        curve.appendChild(label);
+      });
+
+      li.appendChild(head); li.appendChild(curve);
+      els.multitoneInkList.appendChild(li);
+    });
+  }
+
+  // Plate tint against image tone, with the editable points
+  var MULTITONE_PLOT_COLOURS = ['#EEEEF2', '#00C8E8', '#E8198C'];
+
+  function drawMultitonePlot() {
+    var cv = els.multitonePlot, ctx = cv.getContext('2d');
+    if (!ctx || !multitonePicker) return;
+    var w = cv.width, h = cv.height, pad = 18;
+    var px = function(v){ return pad + v*(w-pad-6); };
+    var py = function(t){ return h-pad - t*(h-pad-6); };
+
+    ctx.clearRect(0, 0, w, h);
+    ctx.strokeStyle='rgba(255,255,255,0.12)'; ctx.lineWidth=1;
+    ctx.fillStyle='rgba(255,255,255,0.45)'; ctx.font='9px system-ui,sans-serif';
+    [0.25,0.5,0.75,1].forEach(function(t){
+      ctx.beginPath(); ctx.moveTo(px(0),py(t)); ctx.lineTo(px(1),py(t)); ctx.stroke();
+      ctx.beginPath(); ctx.moveTo(px(t),py(0)); ctx.lineTo(px(t),py(1)); ctx.stroke();
+      ctx.fillText(t*100, 2, py(t)+3);
+      ctx.fillText(t*100+'%', px(t)-12, h-4);
+    });
+
+    multitonePicker.forEach(function(ink, n){
+      ctx.strokeStyle = MULTITONE_PLOT_COLOURS[n]; ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (var j=0; j<ink.lut.length; j+=5) {
+        var v = j/(ink.lut.length-1);
+        if (j) ctx.lineTo(px(v), py(ink.lut[j])); else ctx.moveTo(px(v), py(ink.lut[j]));
+      }
+      ctx.lineTo(px(1), py(ink.lut[ink.lut.length-1]));
+      ctx.stroke();
+      ctx.fillStyle = MULTITONE_PLOT_COLOURS[n];
+      ColorEngine.MULTITONE_POINTS.forEach(function(tone, i){
+        ctx.beginPath(); ctx.arc(px(tone/100), py(multitoneInks[n].curve[i]/100), 2.5, 0, Math.PI*2); ctx.fill();
+      });
+    });
+  }
+
+  // Printed ink (after dot gain, percent) of each ink at one colour, for the colour picker
+  function multitoneValues(r, g, b) {
+    var p = paperProfile(state.settings.paperType), tvi = toneCurves(state.settings);
+    var plates = ColorEngine.multitoneSeparate(multitonePicker, r, g, b), tac = 0;
+    var inks = multitonePicker.map(function(ink, j){
+      var v = Math.round(ColorEngine.printedInk(plates[j], tvi[ink.tvi], p, ink.share)*100);
+      tac += v;
+      return { name:ink.name, value:v };
+    });
+    return { inks:inks, tac:tac };
+  }
+
+  // Each multitone or CMYKOGV plate as imaged, in its ink on white, with its coverage
+  function updatePlateResults(s) {
+    var plates = state.multitonePlates || state.extendedPlates;
+    els.multitoneResults.hidden = !plates;
+    els.multitonePlates.innerHTML = '';
+    if (!plates) return;
+    var w = els.canvas.width, h = els.canvas.height;
+    var inks = state.multitonePlates
+      ? ColorEngine.prepareMultitone(state.settings.multitone, state.settings.profile, ColorEngine.proofModel(state.settings.paperType, state.settings.profile))
+      : extendedInkColours().map(function(rgb){ return { rgb:rgb }; });
+    (state.multitonePlates ? s.multitoneCoverage : s.extendedGamut.coverage).forEach(function(cov, n){
+      var item = document.createElement('div');
+      item.className = 'multitone-plate';
+      var cv = document.createElement('canvas');
+      cv.width = w; cv.height = h;
+      cv.setAttribute('role', 'img');
+      cv.setAttribute('aria-label', cov.name+' plate');
+      var px = new Uint8ClampedArray(w*h*4), plate = plates[n], ink = inks[n].rgb;
+      for (var i=0; i<w*h; i++) {
+        var v = plate[i]/255, idx = i*4;
+        px[idx]=255-v*(255-ink.r); px[idx+1]=255-v*(255-ink.g); px[idx+2]=255-v*(255-ink.b); px[idx+3]=255;
+      }
+      var ctx = cv.getContext('2d');
+      if (ctx) ctx.putImageData(new ImageData(px, w, h), 0, 0);
+      var name = document.createElement('div');
+      name.className = 'spot-name'; name.textContent = cov.name;
+      var fig = document.createElement('div');
+      fig.className = 'spot-figures';
+      fig.textContent = 'Area '+cov.areaPercent+'% \u00b7 Ink '+cov.inkPercent+'%';
+      item.appendChild(cv); item.appendChild(name); item.appendChild(fig);
+      els.multitonePlates.appendChild(item);
+    });
+  }
+
+  function initMultitone() {
+    els.multitoneBtns.forEach(function(btn){
+      btn.addEventListener('click', function(){
+        setPrintMode(btn.dataset.inks);
+        if (state.imageData) runProcessing();
+      });
+    });
+  }
+
+  // ─── SEVEN-COLOUR (CMYKOGV) ───────────────────────────────────────────────
+  // The orange, green and violet solids (Lab) the CMYKOGV print mode uses;
+  // state.settings.extendedGamut holds a copy while that mode is on
+  var EXTENDED_CHANNELS = ['o','g','v'];
+  var EXTENDED_LAB_RANGES = [{ min:0, max:100 }, { min:-128, max:127 }, { min:-128, max:127 }];
+  var extendedLab = defaultExtendedLab();
+
+  function defaultExtendedLab() {
+    var inks = {};
+    EXTENDED_CHANNELS.forEach(function(ch){ inks[ch] = ColorEngine.DEFAULT_EXTENDED_INKS[ch].slice(); });
+    return inks;
+  }
+
+  function extendedInks() {
+    var inks = {};
+    EXTENDED_CHANNELS.forEach(function(ch){ inks[ch] = extendedLab[ch].slice(); });
+    return inks;
+  }
+
+  function extendedGrid() {
+    return ColorEngine.buildExtendedGrid(state.settings.paperType, state.settings.extendedGamut);
+  }
+
+  // Solid of each of the seven inks on the current paper
+  function extendedInkColours() {
+    var grid = extendedGrid();
+    return ColorEngine.EXTENDED_INK_NAMES.map(function(name, j){
+      return ColorEngine.extendedProof(grid, ColorEngine.EXTENDED_INK_NAMES.map(function(n, i){ return i === j ? 1 : 0; }));
+    });
+  }
+
+  // Printed ink (after dot gain, percent) of the seven inks at one colour, for the colour picker
+  function extendedValues(r, g, b) {
+    var p = paperProfile(state.settings.paperType), tvi = toneCurves(state.settings), tac = 0;
+    var inks = ColorEngine.extendedSeparate(extendedGrid(), r, g, b).map(function(v, j){
+      var ink = Math.round(ColorEngine.printedInk(v, tvi[ColorEngine.EXTENDED_TVI[j]], p, 0)*100);
+      tac += ink;
+      return { name:ColorEngine.EXTENDED_INK_NAMES[j], value:ink };
+    });
+    return { inks:inks, tac:tac };
+  }
+
+  function renderExtendedInks() {
+    els.extendedOptions.hidden = !state.settings.extendedGamut;
+    els.extendedInkList.innerHTML = '';
+    EXTENDED_CHANNELS.forEach(function(ch, n){
+      var name = ColorEngine.EXTENDED_INK_NAMES[4+n];
+      var li = document.createElement('li');
+      li.className = 'extended-ink';
+      var swatch = document.createElement('span');
+      swatch.className = 'spot-swatch';
+      swatch.style.background = SpotInks.labToHex(extendedLab[ch]);
+      var label = document.createElement('span');
+      label.className = 'spot-name'; label.textContent = name;
+      li.appendChild(swatch); li.appendChild(label);
+
+      ['L*','a*','b*'].forEach(function(axis, i){
+        var input = document.createElement('input');
+        input.type = 'number'; input.step = '0.1';
+        input.min = EXTENDED_LAB_RANGES[i].min; input.max = EXTENDED_LAB_RANGES[i].max;
+        input.value = extendedLab[ch][i];
+        input.setAttribute('aria-label', name+' '+axis);
+        input.addEventListener('change', function(){
+          var v = parseFloat(input.value);
+          if (!isFinite(v) || v < EXTENDED_LAB_RANGES[i].min || v > EXTENDED_LAB_RANGES[i].max) { input.value = extendedLab[ch][i]; return; }
+          extendedLab[ch][i] = v;
+          swatch.style.background = SpotInks.labToHex(extendedLab[ch]);
+          state.settings.extendedGamut = extendedInks();
+          if (state.imageData) runProcessing();
+        });
+        li.appendChild(input);
+      });
+      els.extendedInkList.appendChild(li);
+    });
+  }
+
+  function initExtended() {
+    renderExtendedInks();
+    $('extended-reset-btn').addEventListener('click', function(){
+      extendedLab = defaultExtendedLab();
+      state.settings.extendedGamut = extendedInks();
+      renderExtendedInks();
+      if (state.imageData) runProcessing();
+    });
+  }
+
+  // ─── PAPER COLOUR ─────────────────────────────────────────────────────────
+  function setPaperSimulation(on) {
+    state.settings.simulatePaper = on;
+    els.paperSimToggle.classList.toggle('active', on);
+    els.paperSimToggle.setAttribute('aria-pressed', String(on));
+  }
+
+  function hex2(v) { return (v < 16 ? '0' : '') + v.toString(16); }
+
+  // Picker shows the white in use; the note says where it comes from
+  function updatePaperWhite() {
+    var s = state.settings, sub = ColorEngine.paperSubstrate(s.paperType, s.paperWhite, s.profile);
+    var engine = ColorEngine.PAPER_PROFILES[s.paperType];
+    els.paperWhiteInput.value = '#'+hex2(sub.white.r)+hex2(sub.white.g)+hex2(sub.white.b);
+    els.paperWhiteReset.hidden = !s.paperWhite;
+    var from = s.paperWhite ? 'Custom paper white'
+      : s.profile && s.profile.whitePoint ? 'Paper white from the profile'
+      : 'Paper white L*'+engine.paperWhite[0]+' a*'+engine.paperWhite[1]+' b*'+engine.paperWhite[2];
+    els.paperSimNote.textContent = from+(sub.absorption < 1 ? '; ink keeps '+Math.round(sub.absorption*100)+'% of its density on this stock.' : '.');
+  }
+
+  function setProfile(profile, fileName) {
+    state.settings.profile = profile;
+    els.profileName.textContent = profile ? (profile.description || fileName) + ' (ICC v' + profile.version + ')' : NO_PROFILE_TEXT;
+    els.profileClearBtn.hidden = !profile;
+    els.bgNote.hidden = !profile;
+    els.exportIcc.disabled = !profile;
+    els.exportIcc.checked  = !!profile;
+    dropCorrection();
+    updatePaperWhite();
+    if (state.sourceCmyk && state.imageData) state.imageData = proofImageData(state.sourceCmyk, profile);
+    if (state.imageData) runProcessing();
+  }
+
+  function initProfile() {
+    if (!els.profileInput) return;
+    els.profileName.textContent = NO_PROFILE_TEXT;
+
+    els.profileLoadBtn.addEventListener('click', function(){ els.profileInput.click(); });
+    els.profileClearBtn.addEventListener('click', function(){
+      setProfile(null);
+      announce('ICC profile removed. Using the simplified formula.');
+    });
+
+    els.profileInput.addEventListener('change', function(){
+      var file = els.profileInput.files && els.profileInput.files[0];
+      els.profileInput.value = '';
+      if (!file) return;
+
+      var reader = new FileReader();
+      reader.onload = function() {
+        try {
+          var profile = IccProfile.parse(reader.result);
+          console.log('[CMYK] ICC profile loaded:', profile.description, 'v' + profile.version, 'PCS:', profile.pcs);
+          hideError();
+          setProfile(profile, file.name);
+          announce('ICC profile loaded: ' + (profile.description || file.name) + '.');
+        } catch (err) {
+          showError(err.message);
+        }
+      };
+      reader.onerror = function() { showError('Could not read the ICC profile file.'); };
+      reader.readAsArrayBuffer(file);
     });
   }
 
@@ -606,29 +2563,229 @@
     if (els.downloadBtn) {
       els.downloadBtn.addEventListener('click', function(){
         if (!state.outputPixels) return;
+        if (state.full) { downloadFull(); return; }
         var a=document.createElement('a');
         a.download='cmyk-simulation.png';
         a.href=els.canvas.toDataURL('image/png');
         a.click();
       });
     }
+    els.exportCmykBtn.addEventListener('click', function(){ exportTiff(false); });
+    els.exportPlatesBtn.addEventListener('click', function(){ exportTiff(true); });
     if (els.resetBtn) {
       els.resetBtn.addEventListener('click', function(){
-        state.imageData=null; state.outputPixels=null;
-        state.gamutPixels=null; state.stats=null;
+        cancelProcessing();
+        dropFull();
+        state.imageData=null; state.sourceCmyk=null; state.outputPixels=null;
+        state.gamutPixels=null; state.deltaEPixels=null; state.fringePixels=null; state.spotProcessPixels=null; state.multitonePlates=null; state.extendedPlates=null; state.extendedCmykPixels=null; state.blackPixels=null; state.dotLossPixels=null; state.planes=null; state.stats=null;
+        dropCorrection();
         state.splitPos=50; state.isProcessing=false;
         els.workspace.hidden=true; els.workspace.setAttribute('aria-hidden','true');
         els.uploadSection.hidden=false; els.resultsPanel.hidden=true;
-        els.colorPicker.hidden=true; els.fileInput.value='';
+        els.colorPicker.hidden=true; els.bgNativeNote.hidden=true; els.halftoneZoom.hidden=true; els.fileInput.value='';
         announce('Tool reset. Upload a new image to begin.');
       });
     }
   }
 
+  // The simulation of the full image, drawn tile by tile into a canvas its size
+  function downloadFull() {
+    if (state.isProcessing) return;
+    var full = state.full, cv = document.createElement('canvas');
+    cv.width = full.width; cv.height = full.height;
+    var ctx = cv.getContext('2d');
+    if (!ctx || cv.width !== full.width) { showError('This browser cannot draw an image of '+full.width+' \xd7 '+full.height+'px.'); return; }
+    var label = 'Simulating for download', done = 0;
+    state.isProcessing = true;
+    showProgress(label+'\u2026 0%', 0);
+    var run = runTiles('process', Object.assign(simulationSettings(full.width, full.height, 1), { blackCheck:null }), ['outputPixels'],
+      function(tile, result) {
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(result.outputPixels), full.width, tile.rows), 0, tile.y);
+        var pct = Math.round(++done/run.tasks.length*100);
+        updateProgress(pct);
+        updateProgressText(label+'\u2026 '+pct+'%');
+      },
+      function() {
+        updateProgressText('Encoding PNG\u2026');
+        cv.toBlob(function(blob){
+          hideProgress();
+          endTask();
+          if (!blob) { showError('Could not encode the full-resolution PNG.'); return; }
+          download(blob, 'cmyk-simulation.png', 'image/png');
+          announce('Downloaded the full-resolution simulation.');
+        }, 'image/png');
+      },
+      function(message) {
+        hideProgress();
+        showError(message);
+        endTask();
+      });
+  }
+
+  // ─── TIFF EXPORT ──────────────────────────────────────────────────────────
+  // Exports the separation itself (the working CMYK if the ink limit was fixed, the
+  // uploaded ink values for a CMYK file), before dot gain — that happens on press —
+  // and with every plate, whatever is toggled.
+  var PLATE_NAMES = ['cyan','magenta','yellow','black'];
+
+  function exportTiff(plates) {
+    if (!state.imageData) return;
+    // Exports what the running job ends with (see runPendingExport)
+    if (state.isProcessing) {
+      var queued = pendingExport !== null;
+      pendingExport = plates;
+      if (!queued) updateProgressText(els.progressText.textContent);
+      announce('Export queued until the current job finishes.');
+      return;
+    }
+    var w = state.full ? state.full.width : els.canvas.width, h = state.full ? state.full.height : els.canvas.height;
+    var opts = {
+      compression: els.exportPackBits.checked ? 'packbits' : 'none',
+      dpi:         Math.max(1, parseInt(els.exportDpi.value,10) || 300),
+      iccProfile:  els.exportIcc.checked && state.settings.profile ? state.settings.profile.data : null
+    };
+
+    // Duotone / tritone: one plate per ink, as last simulated
+    if (state.settings.multitone) {
+      if (!state.multitonePlates) return;
+      withPlates('multitonePlates', function(platesOut){
+        try {
+          platesOut.forEach(function(plate, n){
+            var name = state.settings.multitone[n].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            download(TiffWriter.encodeGray(w, h, plate, opts), 'multitone-plate-'+(n+1)+'-'+name+'.tif');
+          });
+          announce('Exported '+platesOut.length+' plate TIFFs.');
+        } catch (err) {
+          showError(err.message);
+        }
+      });
+      return;
+    }
+
+    // CMYKOGV: the seven plates, as last simulated
+    if (state.settings.extendedGamut) {
+      if (!state.extendedPlates) return;
+      withPlates('extendedPlates', function(platesOut){
+        try {
+          platesOut.forEach(function(plate, n){
+            download(TiffWriter.encodeGray(w, h, plate, opts), 'cmykogv-plate-'+ColorEngine.EXTENDED_INK_NAMES[n].toLowerCase()+'.tif');
+          });
+          announce('Exported '+platesOut.length+' plate TIFFs.');
+        } catch (err) {
+          showError(err.message);
+        }
+      });
+      return;
+    }
+
+    function write(sep) {
+      var cmyk = sep instanceof Uint8Array ? sep : separationBytes(sep);
+      try {
+        if (plates) {
+          PLATE_NAMES.forEach(function(name, ch){
+            download(TiffWriter.encodeGray(w, h, TiffWriter.extractPlate(cmyk, ch), opts), 'cmyk-plate-'+name+'.tif');
+          });
+          announce('Exported four plate TIFFs.');
+        } else {
+          download(TiffWriter.encodeCmyk(w, h, cmyk, opts), 'cmyk-separation.tif');
+          announce('Exported CMYK TIFF.');
+        }
+      } catch (err) {
+        showError(err.message);
+      }
+    }
+
+    // Full resolution: a CMYK upload's own ink values as they are, else separated tile by tile
+    if (state.full) {
+      if (state.full.cmyk && !state.correction) { write(state.full.cmyk); return; }
+      fullExport('separate', Object.assign({}, state.settings), null, 'Separating for export', function(result){ return [separationBytes(result.separation)]; }, 4,
+        function(buffers){ write(buffers[0]); });
+      return;
+    }
+
+    var sep = state.workingCmyk || state.sourceCmyk;
+    if (sep) { write(sep); return; }
+
+    state.isProcessing = true;
+    showProgress('Separating for export\u2026 0%', 0);
+    separatePixels(
+      state.imageData.data,
+      state.settings,
+      null,
+      function(pct){ updateProgress(pct); updateProgressText('Separating for export\u2026 ' + pct + '%'); },
+      function(sep){
+        hideProgress();
+        write(sep);
+        endTask();
+      }
+    );
+  }
+
+  // Runs the export asked for while a job ran, once no job runs
+  function runPendingExport() {
+    if (pendingExport === null || state.isProcessing) return;
+    var plates = pendingExport;
+    pendingExport = null;
+    exportTiff(plates);
+  }
+
+  // The plates of a multitone or CMYKOGV print (field of the result), as last
+  // simulated or, at full resolution, simulated again tile by tile
+  function withPlates(field, onDone) {
+    if (!state.full) { onDone(state[field]); return; }
+    var settings = Object.assign(simulationSettings(state.full.width, state.full.height, 1), { blackCheck:null });
+    fullExport('process', settings, [field], 'Printing plates for export', function(result){ return result[field]; }, 1, onDone);
+  }
+
+  // 8-bit ink values of a separation (0-1)
+  function separationBytes(sep) {
+    var cmyk = new Uint8Array(sep.length);
+    for (var i=0; i<sep.length; i++) cmyk[i] = Math.round(sep[i]*255);
+    return cmyk;
+  }
+
+  // Runs the tiles of a full-resolution export (see runTiles): the buffers
+  // pick(result) gives for each tile, channels values per pixel, are put
+  // together into buffers of the whole image for onDone
+  function fullExport(kind, settings, keep, label, pick, channels, onDone) {
+    var full = state.full, buffers = null, done = 0;
+    state.isProcessing = true;
+    showProgress(label+'\u2026 0%', 0);
+    var run = runTiles(kind, settings, keep,
+      function(tile, result) {
+        var parts = pick(result);
+        if (!buffers) buffers = parts.map(function(){ return new Uint8Array(full.width*full.height*channels); });
+        parts.forEach(function(part, n){ buffers[n].set(part, tile.y*full.width*channels); });
+        var pct = Math.round(++done/run.tasks.length*100);
+        updateProgress(pct);
+        updateProgressText(label+'\u2026 '+pct+'%');
+      },
+      function() {
+        hideProgress();
+        onDone(buffers);
+        endTask();
+      },
+      function(message) {
+        hideProgress();
+        showError(message);
+        endTask();
+      });
+  }
+
+  function download(bytes, name, type) {
+    var url = URL.createObjectURL(new Blob([bytes], { type:type || 'image/tiff' }));
+    var a = document.createElement('a');
+    a.download = name;
+    a.href = url;
+    a.click();
+    setTimeout(function(){ URL.revokeObjectURL(url); }, 1000);
+  }
+
   // ─── PROGRESS / ERROR / ANNOUNCE ──────────────────────────────────────────
-  function showProgress(text,pct){ els.progressOverlay.hidden=false; updateProgressText(text); updateProgress(pct); }
+  // passive: a re-run over a shown result — the card sits at the bottom and the page stays usable
+  function showProgress(text,pct,passive){ els.progressOverlay.classList.toggle('passive',!!passive); els.progressOverlay.hidden=false; updateProgressText(text); updateProgress(pct); }
   function updateProgress(pct)   { els.progressBar.style.width=pct+'%'; els.progressBar.setAttribute('aria-valuenow',pct); }
-  function updateProgressText(t) { els.progressText.textContent=t; }
+  function updateProgressText(t) { els.progressText.textContent=t+(pendingExport!==null?' \u2014 export queued':''); }
   function hideProgress()        { els.progressOverlay.hidden=true; }
   function showError(msg)        { els.errorMessage.textContent=msg; els.errorBanner.hidden=false; announce('Error: '+msg); }
   function hideError()           { els.errorBanner.hidden=true; }
@@ -650,16 +2807,24 @@
     els.errorBanner.hidden     = true;
     els.colorPicker.hidden     = true;
 
-    if (els.paperDesc) els.paperDesc.textContent = PAPERS.coated.desc;
+    if (els.paperDesc) els.paperDesc.textContent = paperDescription(paperProfile('coated'));
 
     initUploadZone();
     initControls();
+    initPaperLibrary();
+    initSpots();
+    initMultitone();
+    initExtended();
+    initProfile();
     initSplitSlider();
     initColorPicker();
+    initScreening();
+    initRegistration();
     initActions();
     if (els.errorClose) els.errorClose.addEventListener('click', hideError);
 
-    console.log('[CMYK] Ready. No worker — main thread chunked processing.');
+    startWorker();
+    console.log('[CMYK] Ready.', worker ? 'Processing in a Web Worker.' : 'No worker — main thread chunked processing.');
   }
 
   document.addEventListener('DOMContentLoaded', init);
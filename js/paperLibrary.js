@@ -0,0 +1,269 @@
+/**
+ * paperLibrary.js
+ * CMYK Simulator — Custom Paper Profiles
+ *
+ * User-defined papers sit next to the built-in presets (see PAPER_PROFILES in
+ * colorEngine.js) and use the same fields, so a stored paper can be handed to
+ * the engine as it is:
+ * - name, description
+ * - dotGain: TVI at 50% (percent); tvi: ISO 12647-2 curves for CMY and K, or
+ *   the paper's own (Engine.PAPER_CURVE)
+ * - highlightGain, shadowGain: TVI at 40% and 80% (percent) of the paper's own curve
+ * - inkLimit (percent), gamutReduction (0-1)
+ * - paperWhite (Lab, D50), absorption (0-1)
+ * - minDot, maxDot: printable dot range (percent)
+ *
+ * Papers are kept in localStorage and move between machines as JSON files
+ * ({ format, version, papers: [...] }), so a studio can share one set of its
+ * printer's stocks.
+ */
+
+'use strict';
+
+const PaperLibrary = (() => {
+
+  const Engine = typeof ColorEngine !== 'undefined' ? ColorEngine : require('./colorEngine.js');
+
+  const STORAGE_KEY = 'cmyk-simulator.papers';
+  const FILE_FORMAT = 'cmyk-simulator-papers';
+  const FILE_VERSION = 1;
+  const ID_PREFIX = 'custom-';
+
+  const ERROR_MESSAGES = {
+    json: 'This file is not valid JSON.',
+    format: 'This file does not contain CMYK Simulator paper profiles.',
+    version: 'Paper file version {version} is newer than this tool supports.',
+    empty: 'The file contains no paper profiles.',
+    name: 'Paper {index}: the name must be 1–{max} characters.',
+    field: 'Paper "{name}": {field} must be a number from {min} to {max}.',
+    curve: 'Paper "{name}": unknown TVI curve "{curve}" (use A–F or {own}).'
+  };
+
+  function fail(key, vars) {
+    let msg = ERROR_MESSAGES[key];
+    for (const name in vars) msg = msg.replace(`{${name}}`, vars[name]);
+    throw new Error(msg);
+  }
+
+  // ─── FIELDS ────────────────────────────────────────────────────────────────
+  const MAX_NAME = 40;
+  const MAX_DESCRIPTION = 160;
+
+  // Allowed range of each numeric field, in the units stored
+  const RANGES = {
+    dotGain:        { min: 10,  max: 40 },
+    inkLimit:       { min: 200, max: 400 },
+    gamutReduction: { min: 0,   max: 0.5 },
+    highlightGain:  { min: 10,  max: 40 },
+    shadowGain:     { min: 2,   max: 25 },
+    absorption:     { min: 0.5, max: 1 },
+    minDot:         { min: 0,   max: 10 },
+    maxDot:         { min: 80,  max: 100 }
+  };
+  const DOT_FIELDS = ['minDot', 'maxDot'];
+  const GAIN_FIELDS = { highlightGain: 'at40', shadowGain: 'at80' };
+  const WHITE_RANGES = [{ min: 50, max: 100 }, { min: -20, max: 20 }, { min: -20, max: 20 }];
+
+  // Highlight and shadow gain of an ISO curve, for papers that follow one
+  function isoGain(field, cmy) {
+    return Math.round(Engine.TVI_CURVES[cmy][GAIN_FIELDS[field]] * 1000) / 10;
+  }
+
+  /** A new paper to edit, based on a built-in preset. */
+  function blank(base = 'coated') {
+    const p = Engine.PAPER_PROFILES[base];
+    const own = p.tvi.cmy === Engine.PAPER_CURVE || p.tvi.k === Engine.PAPER_CURVE;
+    return {
+      id: null,
+      name: '',
+      description: '',
+      dotGain: p.dotGain,
+      inkLimit: p.inkLimit,
+      gamutReduction: p.gamutReduction,
+      tvi: { cmy: p.tvi.cmy, k: p.tvi.k },
+      highlightGain: own ? p.highlightGain : isoGain('highlightGain', p.tvi.cmy),
+      shadowGain: own ? p.shadowGain : isoGain('shadowGain', p.tvi.cmy),
+      paperWhite: p.paperWhite.slice(),
+      absorption: p.absorption,
+      minDot: p.minDot,
+      maxDot: p.maxDot
+    };
+  }
+
+  function number(value, field, range, name) {
+    const v = Number(value);
+    if (value === null || value === '' || !Number.isFinite(v) || v < range.min || v > range.max) {
+      fail('field', { name, field, min: range.min, max: range.max });
+    }
+    return v;
+  }
+
+  function curve(value, name) {
+    if (value === Engine.PAPER_CURVE) return value;
+    const key = String(value).toUpperCase();
+    if (!Engine.TVI_CURVES[key]) fail('curve', { name, curve: value, own: Engine.PAPER_CURVE });
+    return key;
+  }
+
+  /**
+   * Check a paper and return a clean copy in the engine's format.
+   * @param {object} raw - paper as edited or read from a file
+   * @param {number} [index] - position in the file, for error messages
+   * @returns {object}
+   * @throws {Error} with a user-facing message naming the field
+   */
+  function normalize(raw, index = 1) {
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > MAX_NAME) fail('name', { index, max: MAX_NAME });
+
+    const paper = {
+      id: typeof raw.id === 'string' && raw.id.startsWith(ID_PREFIX) ? raw.id : null,
+      name,
+      description: typeof raw.description === 'string' ? raw.description.trim().slice(0, MAX_DESCRIPTION) : ''
+    };
+    const curves = raw.tvi || {};
+    const tvi = { cmy: curve(curves.cmy, name), k: curve(curves.k, name) };
+
+    // Papers saved before the dot limits existed get the coated preset's, and
+    // before their own curve, the highlight and shadow gain of their CMY curve
+    const defaults = Engine.PAPER_PROFILES.coated;
+    const missing = field => (DOT_FIELDS.includes(field) ? defaults[field]
+      : field in GAIN_FIELDS && tvi.cmy !== Engine.PAPER_CURVE ? isoGain(field, tvi.cmy)
+      : undefined);
+    for (const field in RANGES) {
+      const value = raw[field] === undefined ? missing(field) : raw[field];
+      paper[field] = number(value, field, RANGES[field], name);
+    }
+    paper.tvi = tvi;
+
+    const white = Array.isArray(raw.paperWhite) ? raw.paperWhite : [];
+    paper.paperWhite = WHITE_RANGES.map((range, i) => number(white[i], 'paperWhite', range, name));
+    return paper;
+  }
+
+  function newId() {
+    return ID_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  // ─── STORAGE ───────────────────────────────────────────────────────────────
+  // localStorage can be missing or throw (private browsing, storage disabled):
+  // the library then works for the session only.
+
+  function storage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Stored papers. Entries that no longer validate are dropped.
+   * @returns {object[]}
+   */
+  function load() {
+    const store = storage();
+    if (!store) return [];
+    let list;
+    try {
+      list = JSON.parse(store.getItem(STORAGE_KEY) || '[]');
+    } catch (err) {
+      return [];
+    }
+    if (!Array.isArray(list)) return [];
+    return list.reduce((papers, raw, i) => {
+      try {
+        const paper = normalize(raw, i + 1);
+        papers.push(Object.assign(paper, { id: paper.id || newId() }));
+      } catch (err) {
+        console.warn('[CMYK] Dropped stored paper:', err.message);
+      }
+      return papers;
+    }, []);
+  }
+
+  /**
+   * @param {object[]} papers
+   * @returns {boolean} false when the browser refused to store them
+   */
+  function save(papers) {
+    const store = storage();
+    if (!store) return false;
+    try {
+      store.setItem(STORAGE_KEY, JSON.stringify(papers));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Add a paper or replace the one with the same id.
+   * @returns {{papers: object[], paper: object}} the new list and the stored paper
+   */
+  function upsert(papers, raw) {
+    const paper = normalize(raw);
+    paper.id = paper.id || newId();
+    const i = papers.findIndex(p => p.id === paper.id);
+    const next = papers.slice();
+    if (i < 0) next.push(paper); else next[i] = paper;
+    return { papers: next, paper };
+  }
+
+  function remove(papers, id) {
+    return papers.filter(p => p.id !== id);
+  }
+
+  // ─── JSON FILES ────────────────────────────────────────────────────────────
+  /** @returns {string} pretty-printed JSON file */
+  function exportJson(papers) {
+    return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, papers }, null, 2);
+  }
+
+  /**
+   * Read a paper file. Accepts the exported format, a bare array or one paper.
+   * @param {string} text
+   * @returns {object[]} normalized papers (ids kept, so a re-import updates them)
+   */
+  function parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      fail('json');
+    }
+    if (data && data.format === FILE_FORMAT && data.version > FILE_VERSION) fail('version', { version: data.version });
+    const list = Array.isArray(data) ? data
+      : data && Array.isArray(data.papers) ? data.papers
+      : data && typeof data === 'object' && 'name' in data ? [data]
+      : fail('format');
+    if (!list.length) fail('empty');
+    return list.map((raw, i) => normalize(raw || {}, i + 1));
+  }
+
+  /**
+   * Merge imported papers into the library: same id replaces, others are added.
+   * @returns {object[]}
+   */
+  function merge(papers, imported) {
+    return imported.reduce((list, paper) => upsert(list, paper).papers, papers);
+  }
+
+  return {
+    STORAGE_KEY,
+    FILE_FORMAT,
+    RANGES,
+    ERROR_MESSAGES,
+    blank,
+    normalize,
+    load,
+    save,
+    upsert,
+    remove,
+    exportJson,
+    parseJson,
+    merge
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = PaperLibrary;
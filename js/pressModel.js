@@ -0,0 +1,359 @@
+/**
+ * pressModel.js
+ * CMYK Simulator — Built-in Ink Model
+ *
+ * A small colorimetric model of a four-colour press, used wherever the engine
+ * needs to know what CMYK ink on paper actually looks like (gamut checking)
+ * and no ICC profile has been loaded.
+ *
+ * Model: each solid ink is measured as CIELAB on its paper. In a sharpened
+ * (Bradford) cone space, every ink behaves as a filter with density
+ * d = -ln(ink / paper) per channel, and coverages add in density space
+ * (Beer–Lambert):
+ *
+ *   LMS(c, m, y, k) = LMS_paper · exp(-(c·d_C + m·d_M + y·d_Y + k·d_K))
+ *
+ * The sharpened channels overlap far less than X, Y and Z do, so light
+ * tints keep their hue instead of drifting the way a broadband filter
+ * model would make them.
+ *
+ * Because the model is linear in density, "closest printable colour" is a
+ * small convex problem: project the target density onto the set of ink
+ * coverages allowed by 0 ≤ ink ≤ 1 and the total ink limit.
+ *
+ * The same model takes extra inks: a seven-colour (CMYKOGV) press adds
+ * orange, green and violet, see EXTENDED GAMUT below.
+ *
+ * HONEST DOCUMENTATION:
+ * This is a simplified physical model, not a characterization of a real press.
+ * Overprint trapping, ink opacity and optical dot gain are not modelled.
+ */
+
+'use strict';
+
+const PressModel = (() => {
+
+  const Science = typeof ColorScience !== 'undefined' ? ColorScience : require('./colorScience.js');
+
+  // ─── DEFAULT SOLIDS ────────────────────────────────────────────────────────
+  // Approximate ISO 12647-2 aim values for coated stock (Lab, D50)
+  const COATED_SOLIDS = {
+    paper: [95, 0, -2],
+    c: [55, -37, -50],
+    m: [48, 74, -3],
+    y: [89, -5, 93],
+    k: [16, 0, 0]
+  };
+
+  const INKS = ['c', 'm', 'y', 'k'];
+
+  // Extended gamut: orange, green and violet, approximate aims on coated stock
+  const EXTENDED_INKS = ['c', 'm', 'y', 'k', 'o', 'g', 'v'];
+  const EXTENDED_SOLIDS = {
+    o: [64, 58, 84],
+    g: [54, -68, 26],
+    v: [32, 40, -56]
+  };
+
+  // Bradford cone response matrix and its inverse
+  const XYZ_TO_LMS = [
+    [ 0.8951,  0.2664, -0.1614],
+    [-0.7502,  1.7135,  0.0367],
+    [ 0.0389, -0.0685,  1.0296]
+  ];
+
+  const LMS_TO_XYZ = [
+    [ 0.9869929, -0.1470543,  0.1599627],
+    [ 0.4323053,  0.5183603,  0.0492912],
+    [-0.0085287,  0.0400428,  0.9684867]
+  ];
+
+  function mul(m, v) {
+    return [
+      m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+      m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+      m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+    ];
+  }
+
+  // ─── MODEL CONSTRUCTION ────────────────────────────────────────────────────
+  /**
+   * Build a model from solid-ink Lab values.
+   * @param {object} solids - { paper, c, m, y, k } as [L, a, b], plus any extra inks
+   * @param {number} inkLimit - total area coverage limit, 0-400
+   * @param {string[]} [inks] - inks in coverage order, default CMYK
+   * @returns {object} model
+   */
+  function create(solids, inkLimit, inks = INKS) {
+    const paperXyz = Science.labToXyz(...solids.paper);
+    const white = { x: paperXyz[0], y: paperXyz[1], z: paperXyz[2] };
+    const paper = mul(XYZ_TO_LMS, paperXyz);
+
+    // density[ink][channel]
+    const density = inks.map(ink => {
+      const lms = mul(XYZ_TO_LMS, Science.labToXyz(...solids[ink]));
+      return [0, 1, 2].map(ch => -Math.log(Math.max(1e-4, lms[ch] / paper[ch])));
+    });
+
+    // Lipschitz constant of the least-squares gradient (trace bound)
+    let lipschitz = 0;
+    density.forEach(d => { lipschitz += d[0] * d[0] + d[1] * d[1] + d[2] * d[2]; });
+
+    const model = {
+      solids,
+      inks,
+      paper,
+      white,
+      density,
+      inkLimit: inkLimit / 100,
+      step: 1 / lipschitz,
+      blackPoint: 0
+    };
+
+    // Darkest printable neutral, for black point compensation
+    model.blackPoint = forwardXyz(model, closestCoverage(model, [1e-6, 1e-6, 1e-6]))[1] / white.y;
+    return model;
+  }
+
+  /** A coated-stock chromatic solid as it prints on a paper with this gamut reduction */
+  function muteSolid(lab, gamutReduction) {
+    const mute = 1 - gamutReduction * 1.5;
+    return [lab[0] + gamutReduction * 20, lab[1] * mute, lab[2] * mute];
+  }
+
+  /**
+   * Derive a model for one of the simplified paper presets.
+   * Gamut reduction mutes the chromatic solids and lifts the black.
+   * @param {{inkLimit: number, gamutReduction: number}} paper
+   * @returns {object} model
+   */
+  function fromPaper(paper) {
+    const solids = { paper: COATED_SOLIDS.paper };
+    ['c', 'm', 'y'].forEach(ink => { solids[ink] = muteSolid(COATED_SOLIDS[ink], paper.gamutReduction); });
+    solids.k = [COATED_SOLIDS.k[0] + paper.gamutReduction * 80, 0, 0];
+    return create(solids, paper.inkLimit);
+  }
+
+  // ─── FORWARD ───────────────────────────────────────────────────────────────
+  function forwardXyz(model, inks) {
+    const { paper, density } = model;
+    const lms = [0, 0, 0];
+    for (let ch = 0; ch < 3; ch++) {
+      let d = 0;
+      for (let i = 0; i < density.length; i++) d += inks[i] * density[i][ch];
+      lms[ch] = paper[ch] * Math.exp(-d);
+    }
+    return mul(LMS_TO_XYZ, lms);
+  }
+
+  /**
+   * Printed colour of a CMYK ink combination, relative to the paper white
+   * (paper = L* 100), as used for relative colorimetric proofing.
+   * @param {object} model
+   * @param {number} c - Cyan 0-1
+   * @param {number} m - Magenta 0-1
+   * @param {number} y - Yellow 0-1
+   * @param {number} k - Key 0-1
+   * @returns {number[]} [L, a, b]
+   */
+  function cmykToLab(model, c, m, y, k) {
+    return inksToLab(model, [c, m, y, k]);
+  }
+
+  /**
+   * Printed colour of any ink combination of the model (e.g. seven colours).
+   * @param {object} model
+   * @param {number[]} inks - coverage 0-1 per ink, in model.inks order
+   * @returns {number[]} [L, a, b] relative to the paper white
+   */
+  function inksToLab(model, inks) {
+    const xyz = forwardXyz(model, inks);
+    return Science.xyzToLab(xyz[0], xyz[1], xyz[2], model.white);
+  }
+
+  // ─── HALFTONE PROOF ────────────────────────────────────────────────────────
+  // Halftone dots do not mix like dyes: each spot of paper is covered by some
+  // overprint of solids, so the colour is the area-weighted (Demichel) average
+  // of the 16 overprint colours, in XYZ (Neugebauer). Only the solids and their
+  // overprints go through the density model above.
+
+  function neugebauerXyz(model) {
+    if (!model.primaries) {
+      model.primaries = [];
+      for (let bits = 0; bits < 16; bits++) {
+        model.primaries.push(forwardXyz(model, [bits & 1, (bits >> 1) & 1, (bits >> 2) & 1, (bits >> 3) & 1]));
+      }
+    }
+    return model.primaries;
+  }
+
+  /**
+   * Printed colour of a halftone, relative to the paper white (paper = L* 100).
+   * Coverages are the printed dot areas, dot gain already applied.
+   * @param {object} model
+   * @param {number} c - Cyan 0-1
+   * @param {number} m - Magenta 0-1
+   * @param {number} y - Yellow 0-1
+   * @param {number} k - Key 0-1
+   * @returns {number[]} [L, a, b]
+   */
+  function halftoneLab(model, c, m, y, k) {
+    const primaries = neugebauerXyz(model);
+    const inks = [c, m, y, k];
+    let x = 0, yy = 0, z = 0;
+    for (let bits = 0; bits < 16; bits++) {
+      let w = 1;
+      for (let i = 0; i < 4; i++) w *= bits & (1 << i) ? inks[i] : 1 - inks[i];
+      if (w === 0) continue;
+      const p = primaries[bits];
+      x += w * p[0]; yy += w * p[1]; z += w * p[2];
+    }
+    return Science.xyzToLab(x, yy, z, model.white);
+  }
+
+  // ─── INVERSE (CLOSEST PRINTABLE) ───────────────────────────────────────────
+  /**
+   * Project onto { 0 ≤ a_i ≤ 1, Σ a_i ≤ limit } — clamp, then shift all
+   * inks down by a common amount until the total fits.
+   */
+  function projectCoverage(a, limit) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      a[i] = a[i] < 0 ? 0 : a[i] > 1 ? 1 : a[i];
+      sum += a[i];
+    }
+    if (sum <= limit) return a;
+
+    let lo = 0, hi = 1;
+    for (let iter = 0; iter < 30; iter++) {
+      const tau = (lo + hi) / 2;
+      let s = 0;
+      for (let i = 0; i < a.length; i++) s += Math.min(1, Math.max(0, a[i] - tau));
+      if (s > limit) lo = tau; else hi = tau;
+    }
+    for (let i = 0; i < a.length; i++) a[i] = Math.min(1, Math.max(0, a[i] - hi));
+    return a;
+  }
+
+  /**
+   * Accelerated projected gradient on ||D·a - target||² in density space.
+   * use: optional mask of the inks allowed to print (the others stay at 0).
+   */
+  function closestCoverage(model, xyz, use = null) {
+    const { paper, density, inkLimit } = model;
+    const lms = mul(XYZ_TO_LMS, xyz);
+    const target = [0, 1, 2].map(ch => -Math.log(Math.max(1e-6, lms[ch]) / paper[ch]));
+    let step = model.step;
+    if (use) {
+      let lipschitz = 0;
+      density.forEach((d, i) => { if (use[i]) lipschitz += d[0] * d[0] + d[1] * d[1] + d[2] * d[2]; });
+      step = 1 / lipschitz;
+    }
+
+    let a = density.map(() => 0);
+    let prev = a.slice();
+    let yv = a.slice();
+    let t = 1;
+
+    for (let iter = 0; iter < 80; iter++) {
+      const resid = [0, 0, 0];
+      for (let ch = 0; ch < 3; ch++) {
+        let d = -target[ch];
+        for (let i = 0; i < density.length; i++) d += yv[i] * density[i][ch];
+        resid[ch] = d;
+      }
+      const next = yv.map((v, i) => (use && !use[i] ? 0
+        : v - step * (density[i][0] * resid[0] + density[i][1] * resid[1] + density[i][2] * resid[2])));
+      projectCoverage(next, inkLimit);
+
+      const tNext = (1 + Math.sqrt(1 + 4 * t * t)) / 2;
+      const momentum = (t - 1) / tNext;
+      yv = next.map((v, i) => v + momentum * (v - prev[i]));
+      prev = next;
+      a = next;
+      t = tNext;
+    }
+    return a;
+  }
+
+  /**
+   * Find the printable ink combination closest to a target colour.
+   * @param {object} model
+   * @param {number[]} lab - target [L, a, b], relative to the paper white
+   * @returns {{cmyk: number[], lab: number[]}}
+   */
+  function closestPrintable(model, lab) {
+    const xyz = Science.labToXyz(lab[0], lab[1], lab[2], model.white);
+    const cmyk = closestCoverage(model, xyz);
+    return { cmyk, lab: cmykToLab(model, cmyk[0], cmyk[1], cmyk[2], cmyk[3]) };
+  }
+
+  // ─── EXTENDED GAMUT ────────────────────────────────────────────────────────
+  // A seven-colour separation never prints complementary inks together: the
+  // chromatic inks sit around the hue circle (C, G, Y, O, M, V) and a colour is
+  // built from black and the two inks whose hues bracket its own, the way a
+  // maximum-GCR CMYK separation uses at most two of C, M and Y. Where that
+  // cannot reach the colour but CMYK can (rich blacks need all three of C, M
+  // and Y under K), the CMYK build is used, so the gamut never shrinks.
+
+  const CMYK_ONLY = EXTENDED_INKS.map(ink => INKS.includes(ink));
+
+  /**
+   * A seven-colour model on top of a CMYK one.
+   * @param {object} base - CMYK model (its solids and ink limit are kept)
+   * @param {object} extra - { o, g, v } solids as [L, a, b]
+   * @returns {object} model with inks EXTENDED_INKS
+   */
+  function extend(base, extra) {
+    const model = create(Object.assign({}, base.solids, extra), base.inkLimit * 100, EXTENDED_INKS);
+    model.hues = EXTENDED_INKS
+      .map((ink, index) => ({ index, hue: Math.atan2(model.solids[ink][2], model.solids[ink][1]) }))
+      .filter(h => EXTENDED_INKS[h.index] !== 'k')
+      .sort((p, q) => p.hue - q.hue);
+    return model;
+  }
+
+  /**
+   * Closest printable colour for a seven-colour model, with black and the two
+   * chromatic inks around the colour's hue (or CMYK, when that is closer),
+   * and the closest with CMYK alone on the same press, for comparison.
+   * @param {object} model - from extend
+   * @param {number[]} lab - target [L, a, b], relative to the paper white
+   * @returns {{inks: number[], lab: number[], cmyk: {inks: number[], lab: number[]}}}
+   *   coverage per ink in EXTENDED_INKS order (orange, green, violet 0 for cmyk)
+   */
+  function closestExtended(model, lab) {
+    const hue = Math.atan2(lab[2], lab[1]);
+    const hues = model.hues;
+    let i = hues.findIndex(h => h.hue > hue);
+    if (i < 0) i = 0;
+    const before = hues[(i + hues.length - 1) % hues.length], after = hues[i];
+    const use = model.inks.map((ink, n) => ink === 'k' || n === before.index || n === after.index);
+
+    const xyz = Science.labToXyz(lab[0], lab[1], lab[2], model.white);
+    const inks = closestCoverage(model, xyz, use);
+    const sectorLab = inksToLab(model, inks);
+    const cmykInks = closestCoverage(model, xyz, CMYK_ONLY);
+    const cmyk = { inks: cmykInks, lab: inksToLab(model, cmykInks) };
+    return Science.deltaE76(lab, cmyk.lab) < Science.deltaE76(lab, sectorLab)
+      ? { inks: cmykInks, lab: cmyk.lab, cmyk }
+      : { inks, lab: sectorLab, cmyk };
+  }
+
+  return {
+    COATED_SOLIDS,
+    EXTENDED_INKS,
+    EXTENDED_SOLIDS,
+    create,
+    muteSolid,
+    fromPaper,
+    cmykToLab,
+    inksToLab,
+    halftoneLab,
+    closestPrintable,
+    extend,
+    closestExtended
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = PressModel;
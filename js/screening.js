@@ -0,0 +1,429 @@
+/**
+ * screening.js
+ * CMYK Simulator — Halftone Screening
+ *
+ * A press cannot print 37% cyan: every plate is either inked or not at each
+ * spot. Tones are made either by varying the size of dots laid on a regular
+ * grid (AM screening) or by varying how many equally small dots are scattered
+ * over an area (FM / stochastic screening). This module renders that binary
+ * output the way a RIP would.
+ *
+ * AM:
+ * - each plate is screened at its own angle (default C 15°, M 75°, Y 0°, K 45°)
+ *   on a grid of `lpi` cells per inch, imaged at the output resolution `dpi`
+ * - a spot function defines the order in which a cell's device pixels are
+ *   switched on (round, elliptical, square dots); it is turned into a rank
+ *   table so a cell at 40% coverage has exactly 40% of its area inked
+ *
+ * FM:
+ * - a blue-noise threshold matrix (void-and-cluster) decides which spots are
+ *   inked first, so dots spread evenly without clumps or a visible pattern
+ * - one matrix cell covers a square of device pixels: the minimum dot size
+ * - each plate reads the matrix shifted and mirrored, so the inks do not
+ *   simply print on top of each other
+ *
+ * Both:
+ * - dot gain is applied to the coverage before thresholding, so the dots
+ *   grow the way they spread on paper. FM dots have far more edge per area
+ *   than AM dots and gain more, hence the higher FM default.
+ * - the inked plates are composited as Neugebauer primaries (all 16
+ *   overprint combinations, proofed through the same path as the continuous
+ *   simulation)
+ *
+ * The contone image is placed at `ppi` pixels per inch; only the window that
+ * is being looked at gets rendered, at any magnification.
+ *
+ * HONEST DOCUMENTATION:
+ * Screen rulings and angles are not "rational" RIP screens (no supercells),
+ * the FM matrix repeats every 64 dots, ink is opaque and perfectly registered,
+ * and paper/ink optical effects are not modelled at the dot level.
+ *
+ * Reference: R. Ulichney, "The void-and-cluster method for dither array
+ * generation", Proc. SPIE 1913 (1993).
+ */
+
+'use strict';
+
+const Screening = (() => {
+
+  const Engine = typeof ColorEngine !== 'undefined' ? ColorEngine : require('./colorEngine.js');
+
+  // ─── SETTINGS ──────────────────────────────────────────────────────────────
+  const DEFAULT_ANGLES = { c: 15, m: 75, y: 0, k: 45 };
+
+  const DEFAULT_AM_SCREEN = {
+    mode: 'am',
+    lpi: 150,
+    dpi: 2400,
+    angles: DEFAULT_ANGLES,
+    shape: 'round'
+  };
+
+  const DEFAULT_FM_SCREEN = {
+    mode: 'fm',
+    dpi: 2400,
+    dotSize: 20          // µm
+  };
+
+  // FM dot gain relative to the paper's conventional (AM) dot gain
+  const FM_DOT_GAIN_FACTOR = 1.5;
+  const MAX_DOT_GAIN = 0.4;
+
+  const PLATES = ['c', 'm', 'y', 'k'];
+
+  // Samples per display pixel and axis when zoomed out past device resolution
+  const MAX_SUPERSAMPLE = 4;
+
+  // ─── SPOT FUNCTIONS ────────────────────────────────────────────────────────
+  // u, v: position in the cell, -1…1 with the dot centre at 0. Higher values
+  // are inked first. Same definitions as the PostScript spot functions.
+  const DOT_SHAPES = {
+    round: {
+      label: 'Round',
+      // Euclidean: round dots up to 50%, checkerboard at 50%, round holes above
+      spot(u, v) {
+        const x = Math.abs(u), y = Math.abs(v);
+        return x + y <= 1 ? 1 - (x * x + y * y) : (1 - x) * (1 - x) + (1 - y) * (1 - y) - 1;
+      }
+    },
+    elliptical: {
+      label: 'Elliptical',
+      // Adobe elliptical: chains join in one direction first (~40%), then the other (~60%)
+      spot(u, v) {
+        const x = Math.abs(u), y = Math.abs(v);
+        const w = 3 * x + 4 * y - 3;
+        if (w < 0) return 1 - (x * x + (y / 0.75) * (y / 0.75)) / 4;
+        if (w > 1) return ((1 - x) * (1 - x) + ((1 - y) / 0.75) * ((1 - y) / 0.75)) / 4 - 1;
+        return 0.5 - w;
+      }
+    },
+    square: {
+      label: 'Square',
+      spot(u, v) {
+        return 1 - Math.max(Math.abs(u), Math.abs(v));
+      }
+    }
+  };
+
+  const CELL_SIZE = 64;
+  const cellCache = {};
+
+  /**
+   * Threshold array for one cell: the order in which a spot function inks
+   * the cell, as coverage fractions. A sample is inked when coverage > rank.
+   * @param {string} shape - key of DOT_SHAPES
+   * @returns {Float32Array} CELL_SIZE² ranks, row-major, 0-1
+   */
+  function thresholdCell(shape) {
+    if (cellCache[shape]) return cellCache[shape];
+    const spot = (DOT_SHAPES[shape] || DOT_SHAPES.round).spot;
+    const n = CELL_SIZE * CELL_SIZE;
+    const values = new Float64Array(n);
+    const order = new Uint32Array(n);
+    for (let j = 0; j < CELL_SIZE; j++) {
+      for (let i = 0; i < CELL_SIZE; i++) {
+        values[j * CELL_SIZE + i] = spot((i + 0.5) / CELL_SIZE * 2 - 1, (j + 0.5) / CELL_SIZE * 2 - 1);
+        order[j * CELL_SIZE + i] = j * CELL_SIZE + i;
+      }
+    }
+    order.sort((a, b) => values[b] - values[a] || a - b);
+
+    const ranks = new Float32Array(n);
+    for (let r = 0; r < n; r++) ranks[order[r]] = (r + 0.5) / n;
+    cellCache[shape] = ranks;
+    return ranks;
+  }
+
+  // ─── AM SCREEN ─────────────────────────────────────────────────────────────
+  /**
+   * Set up the four rotated screens for a render.
+   * @param {object} screen - { lpi, dpi, angles, shape }
+   * @returns {object[]} per plate: { cos, sin, ranks } in device pixels
+   */
+  function amScreens(screen) {
+    const cell = screen.dpi / screen.lpi;
+    const ranks = thresholdCell(screen.shape);
+    return PLATES.map(p => {
+      const angle = (screen.angles[p] || 0) * Math.PI / 180;
+      return { cos: Math.cos(angle) / cell, sin: Math.sin(angle) / cell, ranks };
+    });
+  }
+
+  /**
+   * Is the plate inked at device position (x, y)?
+   * @param {object} plate - one entry of amScreens()
+   * @param {number} coverage - dot area 0-1, after dot gain
+   * @param {number} x - device pixels
+   * @param {number} y - device pixels
+   * @returns {boolean}
+   */
+  function amDot(plate, coverage, x, y) {
+    if (coverage <= 0) return false;
+    if (coverage >= 1) return true;
+    let s = x * plate.cos + y * plate.sin;
+    let t = y * plate.cos - x * plate.sin;
+    s -= Math.floor(s);
+    t -= Math.floor(t);
+    return coverage > plate.ranks[((t * CELL_SIZE) | 0) * CELL_SIZE + ((s * CELL_SIZE) | 0)];
+  }
+
+  // ─── FM SCREEN ─────────────────────────────────────────────────────────────
+  const BLUE_NOISE_SIZE = 64;
+  const BLUE_NOISE_SIGMA = 1.5;
+  let blueNoiseCache = null;
+
+  // Small seeded PRNG (mulberry32) — the matrix is the same on every load
+  function random(seed) {
+    return () => {
+      seed = (seed + 0x6d2b79f5) | 0;
+      let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Blue-noise threshold matrix by void-and-cluster (Ulichney): dots are
+   * ranked so that at every coverage the inked spots are as evenly spread as
+   * possible. Energy is a toroidal Gaussian, so the matrix tiles without seams.
+   * @returns {Float32Array} BLUE_NOISE_SIZE² ranks, row-major, 0-1
+   */
+  function blueNoise() {
+    if (blueNoiseCache) return blueNoiseCache;
+    const size = BLUE_NOISE_SIZE;
+    const n = size * size;
+
+    const kernel = new Float64Array(n);
+    for (let dy = 0; dy < size; dy++) {
+      for (let dx = 0; dx < size; dx++) {
+        const x = Math.min(dx, size - dx), y = Math.min(dy, size - dy);
+        kernel[dy * size + dx] = Math.exp(-(x * x + y * y) / (2 * BLUE_NOISE_SIGMA * BLUE_NOISE_SIGMA));
+      }
+    }
+
+    const energy = new Float64Array(n);
+    const set = (pattern, i, on) => {
+      pattern[i] = on ? 1 : 0;
+      const ix = i % size, iy = (i / size) | 0;
+      const sign = on ? 1 : -1;
+      for (let y = 0; y < size; y++) {
+        const ky = ((y - iy + size) % size) * size;
+        for (let x = 0; x < size; x++) energy[y * size + x] += sign * kernel[ky + (x - ix + size) % size];
+      }
+    };
+    // Tightest cluster: the inked spot with the most energy; largest void: the empty one with the least
+    const tightest = pattern => {
+      let best = -1;
+      for (let i = 0; i < n; i++) if (pattern[i] && (best < 0 || energy[i] > energy[best])) best = i;
+      return best;
+    };
+    const largestVoid = pattern => {
+      let best = -1;
+      for (let i = 0; i < n; i++) if (!pattern[i] && (best < 0 || energy[i] < energy[best])) best = i;
+      return best;
+    };
+
+    // Initial pattern: random 10%, then relaxed until the clusters stop moving
+    const rand = random(0x5eed);
+    const initial = new Uint8Array(n);
+    const ones = Math.round(n * 0.1);
+    for (let placed = 0; placed < ones;) {
+      const i = (rand() * n) | 0;
+      if (!initial[i]) { set(initial, i, true); placed++; }
+    }
+    for (let guard = 0; guard < n; guard++) {
+      const cluster = tightest(initial);
+      set(initial, cluster, false);
+      const hole = largestVoid(initial);
+      set(initial, hole, true);
+      if (hole === cluster) break;
+    }
+
+    const ranks = new Float32Array(n);
+    const relaxed = energy.slice();
+
+    // Phase 1: take the initial dots away, tightest cluster first
+    const pattern = initial.slice();
+    for (let r = ones - 1; r >= 0; r--) {
+      const i = tightest(pattern);
+      set(pattern, i, false);
+      ranks[i] = (r + 0.5) / n;
+    }
+
+    // Phases 2 and 3: fill the largest voids from the initial pattern up (with a
+    // full-plane Gaussian, the tightest cluster of holes is the largest void)
+    energy.set(relaxed);
+    pattern.set(initial);
+    for (let r = ones; r < n; r++) {
+      const i = largestVoid(pattern);
+      set(pattern, i, true);
+      ranks[i] = (r + 0.5) / n;
+    }
+
+    blueNoiseCache = ranks;
+    return ranks;
+  }
+
+  // Per plate: matrix offset and whether it is read transposed, so the four inks decorrelate
+  const FM_PLATE_OFFSETS = [[0, 0, false], [23, 41, true], [47, 13, false], [11, 57, true]];
+
+  /**
+   * Set up the four FM screens for a render.
+   * @param {object} screen - { dpi, dotSize } (dotSize in µm)
+   * @returns {object[]} per plate: { dot, ox, oy, swap, ranks }, dot in device pixels
+   */
+  function fmScreens(screen) {
+    const ranks = blueNoise();
+    const dot = Math.max(1, Math.round(screen.dotSize / 25400 * screen.dpi));
+    return FM_PLATE_OFFSETS.map(([ox, oy, swap]) => ({ dot, ox, oy, swap, ranks }));
+  }
+
+  /**
+   * Is the plate inked at device position (x, y)?
+   * @param {object} plate - one entry of fmScreens()
+   * @param {number} coverage - dot area 0-1, after dot gain
+   * @param {number} x - device pixels
+   * @param {number} y - device pixels
+   * @returns {boolean}
+   */
+  function fmDot(plate, coverage, x, y) {
+    if (coverage <= 0) return false;
+    if (coverage >= 1) return true;
+    const size = BLUE_NOISE_SIZE;
+    let u = (Math.floor(x / plate.dot) + plate.ox) % size;
+    let v = (Math.floor(y / plate.dot) + plate.oy) % size;
+    if (u < 0) u += size;
+    if (v < 0) v += size;
+    return coverage > plate.ranks[plate.swap ? u * size + v : v * size + u];
+  }
+
+  /**
+   * FM dot gain default for a paper whose conventional dot gain is `gain`.
+   * @param {number} gain - 0-1
+   * @returns {number} 0-1, whole percent
+   */
+  function fmDotGain(gain) {
+    return Math.min(MAX_DOT_GAIN, Math.round(gain * FM_DOT_GAIN_FACTOR * 100) / 100);
+  }
+
+  // ─── COMPOSITE ─────────────────────────────────────────────────────────────
+  /**
+   * Colours of the 16 overprint combinations (bit 0 C, 1 M, 2 Y, 3 K).
+   * @param {object|null} profile - parsed IccProfile, or null for the formula
+   * @param {object|null} [press] - printing condition ink model, see ColorEngine.proofModel
+   * @returns {Array<{r: number, g: number, b: number}>}
+   */
+  function neugebauerPrimaries(profile, press = null) {
+    const primaries = [];
+    for (let bits = 0; bits < 16; bits++) {
+      primaries.push(Engine.proofToRgb(bits & 1, (bits >> 1) & 1, (bits >> 2) & 1, (bits >> 3) & 1, profile, press));
+    }
+    return primaries;
+  }
+
+  /**
+   * Render a window of the screened image.
+   * @param {function} cmykAt - (x, y) → [c, m, y, k] 0-1 for an image pixel
+   *   (before dot gain), or null where there is no ink (transparent)
+   * @param {number} width - image width in pixels
+   * @param {number} height - image height in pixels
+   * @param {object} view
+   * @param {number} view.x - image x at the centre of the window
+   * @param {number} view.y - image y at the centre of the window
+   * @param {number} view.zoom - display pixels per image pixel
+   * @param {number} view.width - window width in display pixels
+   * @param {number} view.height - window height in display pixels
+   * @param {object} options
+   * @param {object} options.screen - { mode: 'am', lpi, dpi, angles, shape } (see
+   *   DEFAULT_AM_SCREEN) or { mode: 'fm', dpi, dotSize } (see DEFAULT_FM_SCREEN)
+   * @param {number} options.ppi - image resolution in pixels per inch
+   * @param {string} options.paperType
+   * @param {number} options.dotGain - TVI at 50%, 0-1
+   * @param {{cmy: string, k: string}|null} [options.tviCurves] - see ColorEngine.toneCurves
+   * @param {object|null} [options.profile]
+   * @param {object|null} [options.substrate] - paper to print on (ColorEngine.paperSubstrate)
+   * @param {boolean[]} [options.show] - plates to print, C M Y K
+   * @returns {Uint8ClampedArray} RGBA pixels, view.width × view.height
+   */
+  function render(cmykAt, width, height, view, options) {
+    const { screen, ppi, dotGain } = options;
+    const curves = Engine.toneCurves(options.paperType, dotGain, options.tviCurves || null);
+    const show = options.show || [true, true, true, true];
+    const fm = screen.mode === 'fm';
+    const plates = fm ? fmScreens(screen) : amScreens(screen);
+    const dot = fm ? fmDot : amDot;
+    const substrate = options.substrate || null;
+    const primaries = neugebauerPrimaries(options.profile || null, Engine.proofModel(options.paperType, options.profile || null)).map(rgb => (substrate ? Engine.onPaper(rgb, substrate) : rgb));
+    const out = new Uint8ClampedArray(view.width * view.height * 4);
+
+    const devPerImage = screen.dpi / ppi;
+    const devPerDisplay = devPerImage / view.zoom;
+    const n = devPerDisplay > 1 ? Math.min(MAX_SUPERSAMPLE, Math.ceil(devPerDisplay)) : 1;
+    const x0 = view.x - view.width / 2 / view.zoom;
+    const y0 = view.y - view.height / 2 / view.zoom;
+
+    // Printed dot areas per image pixel, filled as the window needs them
+    const gained = new Map();
+    const coverageAt = (px, py) => {
+      const key = py * width + px;
+      let cov = gained.get(key);
+      if (cov === undefined) {
+        const raw = cmykAt(px, py);
+        cov = raw && raw.map((v, i) => (show[i] ? Engine.applyDotGain(v, curves[i]) : 0));
+        gained.set(key, cov);
+      }
+      return cov;
+    };
+
+    for (let dy = 0; dy < view.height; dy++) {
+      for (let dx = 0; dx < view.width; dx++) {
+        let r = 0, g = 0, b = 0;
+        for (let sy = 0; sy < n; sy++) {
+          for (let sx = 0; sx < n; sx++) {
+            const ix = x0 + (dx + (sx + 0.5) / n) / view.zoom;
+            const iy = y0 + (dy + (sy + 0.5) / n) / view.zoom;
+            let bits = 0;
+            if (ix >= 0 && iy >= 0 && ix < width && iy < height) {
+              const cov = coverageAt(ix | 0, iy | 0);
+              if (cov) {
+                // Snap to the device grid so the imaged pixels show when zoomed in
+                const X = n === 1 ? Math.floor(ix * devPerImage) + 0.5 : ix * devPerImage;
+                const Y = n === 1 ? Math.floor(iy * devPerImage) + 0.5 : iy * devPerImage;
+                for (let p = 0; p < 4; p++) {
+                  if (dot(plates[p], cov[p], X, Y)) bits |= 1 << p;
+                }
+              }
+            }
+            const rgb = primaries[bits];
+            r += rgb.r; g += rgb.g; b += rgb.b;
+          }
+        }
+        const o = (dy * view.width + dx) * 4;
+        const samples = n * n;
+        out[o] = r / samples;
+        out[o + 1] = g / samples;
+        out[o + 2] = b / samples;
+        out[o + 3] = 255;
+      }
+    }
+    return out;
+  }
+
+  return {
+    DEFAULT_ANGLES,
+    DEFAULT_AM_SCREEN,
+    DEFAULT_FM_SCREEN,
+    DOT_SHAPES,
+    thresholdCell,
+    amScreens,
+    amDot,
+    blueNoise,
+    fmScreens,
+    fmDot,
+    fmDotGain,
+    neugebauerPrimaries,
+    render
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = Screening;
@@ -0,0 +1,185 @@
+/**
+ * spotInks.js
+ * CMYK Simulator — Spot Ink Library
+ *
+ * The user's spot inks (brand colours, Pantone-style specials), kept in
+ * localStorage. Each ink has:
+ * - name
+ * - lab: solid on the paper, [L, a, b] (D50), entered as Lab or picked as sRGB
+ * - opacity: 0 (transparent, multiplies) to 1 (covers what is under it)
+ * - tolerance: ΔE2000 within which image colours print with this ink
+ * - active: whether the simulation uses it
+ *
+ * Matching, compositing and coverage are done by the engine (see SPOT COLOURS
+ * in colorEngine.js); this module only defines and stores the inks.
+ */
+
+'use strict';
+
+const SpotInks = (() => {
+
+  const Science = typeof ColorScience !== 'undefined' ? ColorScience : require('./colorScience.js');
+  const Engine = typeof ColorEngine !== 'undefined' ? ColorEngine : require('./colorEngine.js');
+
+  const STORAGE_KEY = 'cmyk-simulator.spot-inks';
+  const ID_PREFIX = 'spot-';
+  const MAX_NAME = 40;
+
+  const ERROR_MESSAGES = {
+    name: 'A spot ink needs a name of 1–{max} characters.',
+    field: 'Spot ink "{name}": {field} must be a number from {min} to {max}.',
+    hex: 'Spot ink "{name}": "{hex}" is not a colour like #D0202F.'
+  };
+
+  function fail(key, vars) {
+    let msg = ERROR_MESSAGES[key];
+    for (const name in vars) msg = msg.replace(`{${name}}`, vars[name]);
+    throw new Error(msg);
+  }
+
+  // ─── FIELDS ────────────────────────────────────────────────────────────────
+  const RANGES = {
+    L:         { min: 0,    max: 100 },
+    a:         { min: -128, max: 127 },
+    b:         { min: -128, max: 127 },
+    opacity:   { min: 0,    max: 1 },
+    tolerance: { min: 1,    max: 30 }
+  };
+
+  function number(value, field, name) {
+    const range = RANGES[field];
+    const v = Number(value);
+    if (value === null || value === '' || !Number.isFinite(v) || v < range.min || v > range.max) {
+      fail('field', { name, field, min: range.min, max: range.max });
+    }
+    return v;
+  }
+
+  /**
+   * Lab of an sRGB hex colour, one decimal.
+   * @param {string} hex - '#rrggbb'
+   * @param {string} [name] - ink name, for the error message
+   * @returns {number[]} [L, a, b]
+   */
+  function hexToLab(hex, name = '') {
+    const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(String(hex).trim());
+    if (!m) fail('hex', { name, hex });
+    return Science.srgb8ToLab(parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16))
+      .map(v => Math.round(v * 10) / 10);
+  }
+
+  /** sRGB hex of a Lab colour (clipped to sRGB) */
+  function labToHex(lab) {
+    const { r, g, b } = Science.labToSrgb8(...lab);
+    return '#' + [r, g, b].map(v => (v < 16 ? '0' : '') + v.toString(16)).join('');
+  }
+
+  /**
+   * Check an ink and return a clean copy.
+   * @param {object} raw - { id?, name, lab | hex, opacity, tolerance?, active? }
+   * @returns {object}
+   * @throws {Error} with a user-facing message naming the field
+   */
+  function normalize(raw) {
+    const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+    if (!name || name.length > MAX_NAME) fail('name', { max: MAX_NAME });
+    const lab = Array.isArray(raw.lab) ? raw.lab : hexToLab(raw.hex, name);
+    return {
+      id: typeof raw.id === 'string' && raw.id.startsWith(ID_PREFIX) ? raw.id : null,
+      name,
+      lab: [number(lab[0], 'L', name), number(lab[1], 'a', name), number(lab[2], 'b', name)],
+      opacity: number(raw.opacity, 'opacity', name),
+      tolerance: raw.tolerance === undefined ? Engine.DEFAULT_SPOT_TOLERANCE : number(raw.tolerance, 'tolerance', name),
+      active: raw.active !== false
+    };
+  }
+
+  function newId() {
+    return ID_PREFIX + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+
+  // ─── LIBRARY ───────────────────────────────────────────────────────────────
+  /**
+   * Add an ink or replace the one with the same id.
+   * @returns {{inks: object[], ink: object}} the new list and the stored ink
+   */
+  function upsert(inks, raw) {
+    const ink = normalize(raw);
+    ink.id = ink.id || newId();
+    const i = inks.findIndex(s => s.id === ink.id);
+    const next = inks.slice();
+    if (i < 0) next.push(ink); else next[i] = ink;
+    return { inks: next, ink };
+  }
+
+  function remove(inks, id) {
+    return inks.filter(s => s.id !== id);
+  }
+
+  /** Inks the simulation should print, in the engine's settings.spots form */
+  function active(inks) {
+    return inks.filter(s => s.active).map(s => ({ name: s.name, lab: s.lab, opacity: s.opacity, tolerance: s.tolerance }));
+  }
+
+  // ─── STORAGE ───────────────────────────────────────────────────────────────
+  // As for custom papers, a browser without localStorage keeps the inks for
+  // the session only.
+
+  function storage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /** @returns {object[]} stored inks; entries that no longer validate are dropped */
+  function load() {
+    const store = storage();
+    if (!store) return [];
+    let list;
+    try {
+      list = JSON.parse(store.getItem(STORAGE_KEY) || '[]');
+    } catch (err) {
+      return [];
+    }
+    if (!Array.isArray(list)) return [];
+    return list.reduce((inks, raw) => {
+      try {
+        const ink = normalize(raw || {});
+        inks.push(Object.assign(ink, { id: ink.id || newId() }));
+      } catch (err) {
+        console.warn('[CMYK] Dropped stored spot ink:', err.message);
+      }
+      return inks;
+    }, []);
+  }
+
+  /** @returns {boolean} false when the browser refused to store them */
+  function save(inks) {
+    const store = storage();
+    if (!store) return false;
+    try {
+      store.setItem(STORAGE_KEY, JSON.stringify(inks));
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  return {
+    STORAGE_KEY,
+    RANGES,
+    ERROR_MESSAGES,
+    hexToLab,
+    labToHex,
+    normalize,
+    upsert,
+    remove,
+    active,
+    load,
+    save
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = SpotInks;
@@ -0,0 +1,284 @@
+/**
+ * tiffWriter.js
+ * CMYK Simulator — TIFF Export
+ *
+ * Writes baseline TIFF 6.0 files without any library:
+ * - 4-channel separated (CMYK) images, 8 bits per ink, InkSet = CMYK
+ * - single-channel plates, 8 bits, WhiteIsZero (0 = paper, 255 = solid ink)
+ *
+ * Pixel data is chunky (interleaved), little-endian ("II"), split into strips
+ * of about 64 KB, either uncompressed or PackBits-compressed row by row.
+ * Resolution tags are always written; an ICC output profile can be embedded
+ * (tag 34675) so RIPs and Photoshop know which press condition the numbers
+ * were separated for.
+ *
+ * Reference: TIFF Revision 6.0 (Adobe, 1992), sections 9 (PackBits) and 16 (CMYK).
+ */
+
+'use strict';
+
+const TiffWriter = (() => {
+
+  const ERROR_MESSAGES = {
+    size: 'Cannot export an empty image.',
+    data: 'Pixel data does not match the image size ({expected} bytes expected, {actual} given).',
+    compression: 'Unknown TIFF compression "{compression}".'
+  };
+
+  function fail(key, vars) {
+    let msg = ERROR_MESSAGES[key];
+    for (const name in vars) msg = msg.replace(`{${name}}`, vars[name]);
+    throw new Error(msg);
+  }
+
+  // ─── CONSTANTS ─────────────────────────────────────────────────────────────
+  const COMPRESSION = { none: 1, packbits: 32773 };
+
+  const PHOTOMETRIC_WHITE_IS_ZERO = 0;
+  const PHOTOMETRIC_SEPARATED = 5;
+
+  const TYPE = { ASCII: 2, SHORT: 3, LONG: 4, RATIONAL: 5, UNDEFINED: 7 };
+  const TYPE_SIZE = { 2: 1, 3: 2, 4: 4, 5: 8, 7: 1 };
+
+  const TAG = {
+    NewSubfileType: 254,
+    ImageWidth: 256,
+    ImageLength: 257,
+    BitsPerSample: 258,
+    Compression: 259,
+    PhotometricInterpretation: 262,
+    StripOffsets: 273,
+    SamplesPerPixel: 277,
+    RowsPerStrip: 278,
+    StripByteCounts: 279,
+    XResolution: 282,
+    YResolution: 283,
+    PlanarConfiguration: 284,
+    ResolutionUnit: 296,
+    Software: 305,
+    InkSet: 332,
+    IccProfile: 34675
+  };
+
+  const STRIP_TARGET_BYTES = 64 * 1024;
+  const SOFTWARE = 'CMYK Simulator';
+
+  // ─── PACKBITS ──────────────────────────────────────────────────────────────
+  /**
+   * PackBits-encode one row.
+   * Runs of 3+ equal bytes become a repeat packet (1-n, byte); everything
+   * else goes into literal packets (n-1, bytes…) of at most 128 bytes.
+   * @param {Uint8Array} src
+   * @param {number} start
+   * @param {number} end
+   * @param {number[]} out - encoded bytes are pushed here
+   */
+  function packBits(src, start, end, out) {
+    let i = start;
+    while (i < end) {
+      let run = 1;
+      while (i + run < end && run < 128 && src[i + run] === src[i]) run++;
+
+      if (run >= 3) {
+        out.push(257 - run, src[i]);
+        i += run;
+        continue;
+      }
+
+      // Literal: extend until a run of 3 starts or 128 bytes are collected
+      let lit = 0;
+      while (i + lit < end && lit < 128) {
+        if (i + lit + 2 < end && src[i + lit] === src[i + lit + 1] && src[i + lit] === src[i + lit + 2]) break;
+        lit++;
+      }
+      out.push(lit - 1);
+      for (let j = 0; j < lit; j++) out.push(src[i + j]);
+      i += lit;
+    }
+  }
+
+  // ─── STRIPS ────────────────────────────────────────────────────────────────
+  function buildStrips(data, rowBytes, height, compression) {
+    const rowsPerStrip = Math.max(1, Math.min(height, Math.floor(STRIP_TARGET_BYTES / rowBytes)));
+    const strips = [];
+
+    for (let row = 0; row < height; row += rowsPerStrip) {
+      const rows = Math.min(rowsPerStrip, height - row);
+      const start = row * rowBytes;
+      if (compression === COMPRESSION.none) {
+        strips.push(data.subarray(start, start + rows * rowBytes));
+      } else {
+        const packed = [];
+        for (let r = 0; r < rows; r++) {
+          packBits(data, start + r * rowBytes, start + (r + 1) * rowBytes, packed);
+        }
+        strips.push(Uint8Array.from(packed));
+      }
+    }
+    return { strips, rowsPerStrip };
+  }
+
+  // ─── FILE LAYOUT ───────────────────────────────────────────────────────────
+  /**
+   * Assemble header, pixel strips, one IFD and the out-of-line tag values.
+   * @param {Array<{tag: number, type: number, values: number[]|Uint8Array}>} entries
+   * @param {Uint8Array[]} strips
+   * @returns {Uint8Array}
+   */
+  function assemble(entries, strips) {
+    entries.sort((a, b) => a.tag - b.tag);
+
+    let offset = 8;
+    const stripOffsets = strips.map(strip => {
+      const at = offset;
+      offset += strip.length + (strip.length & 1);
+      return at;
+    });
+    entries.find(e => e.tag === TAG.StripOffsets).values = stripOffsets;
+
+    const ifdOffset = offset;
+    const ifdSize = 2 + entries.length * 12 + 4;
+    let extra = ifdOffset + ifdSize;
+
+    // Values larger than 4 bytes live after the IFD, word aligned
+    const layout = entries.map(e => {
+      const count = e.type === TYPE.RATIONAL ? e.values.length / 2 : e.values.length;
+      const size = count * TYPE_SIZE[e.type];
+      let at = -1;
+      if (size > 4) {
+        at = extra;
+        extra += size + (size & 1);
+      }
+      return { entry: e, count, at };
+    });
+
+    const bytes = new Uint8Array(extra);
+    const view = new DataView(bytes.buffer);
+
+    bytes[0] = 0x49; bytes[1] = 0x49;         // "II"
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+    strips.forEach((strip, i) => bytes.set(strip, stripOffsets[i]));
+
+    view.setUint16(ifdOffset, entries.length, true);
+    layout.forEach(({ entry, count, at }, i) => {
+      const p = ifdOffset + 2 + i * 12;
+      view.setUint16(p, entry.tag, true);
+      view.setUint16(p + 2, entry.type, true);
+      view.setUint32(p + 4, count, true);
+      if (at >= 0) view.setUint32(p + 8, at, true);
+      writeValues(view, bytes, at >= 0 ? at : p + 8, entry);
+    });
+    view.setUint32(ifdOffset + ifdSize - 4, 0, true);   // no next IFD
+
+    return bytes;
+  }
+
+  function writeValues(view, bytes, at, { type, values }) {
+    for (let i = 0; i < values.length; i++) {
+      switch (type) {
+        case TYPE.ASCII:
+        case TYPE.UNDEFINED: bytes[at + i] = values[i]; break;
+        case TYPE.SHORT: view.setUint16(at + i * 2, values[i], true); break;
+        default: view.setUint32(at + i * 4, values[i], true);   // LONG and RATIONAL halves
+      }
+    }
+  }
+
+  function ascii(text) {
+    const values = [];
+    for (let i = 0; i < text.length; i++) values.push(text.charCodeAt(i) & 0x7f);
+    values.push(0);
+    return values;
+  }
+
+  // ─── ENCODERS ──────────────────────────────────────────────────────────────
+  function encode(width, height, samples, photometric, data, options) {
+    if (!width || !height) fail('size');
+    const expected = width * height * samples;
+    if (data.length !== expected) fail('data', { expected, actual: data.length });
+
+    const compressionName = options.compression || 'packbits';
+    const compression = COMPRESSION[compressionName];
+    if (!compression) fail('compression', { compression: compressionName });
+
+    const dpi = Math.round(options.dpi || 300);
+    const { strips, rowsPerStrip } = buildStrips(data, width * samples, height, compression);
+
+    const entries = [
+      { tag: TAG.NewSubfileType, type: TYPE.LONG, values: [0] },
+      { tag: TAG.ImageWidth, type: TYPE.LONG, values: [width] },
+      { tag: TAG.ImageLength, type: TYPE.LONG, values: [height] },
+      { tag: TAG.BitsPerSample, type: TYPE.SHORT, values: new Array(samples).fill(8) },
+      { tag: TAG.Compression, type: TYPE.SHORT, values: [compression] },
+      { tag: TAG.PhotometricInterpretation, type: TYPE.SHORT, values: [photometric] },
+      { tag: TAG.StripOffsets, type: TYPE.LONG, values: [] },
+      { tag: TAG.SamplesPerPixel, type: TYPE.SHORT, values: [samples] },
+      { tag: TAG.RowsPerStrip, type: TYPE.LONG, values: [rowsPerStrip] },
+      { tag: TAG.StripByteCounts, type: TYPE.LONG, values: strips.map(s => s.length) },
+      { tag: TAG.XResolution, type: TYPE.RATIONAL, values: [dpi, 1] },
+      { tag: TAG.YResolution, type: TYPE.RATIONAL, values: [dpi, 1] },
+      { tag: TAG.PlanarConfiguration, type: TYPE.SHORT, values: [1] },
+      { tag: TAG.ResolutionUnit, type: TYPE.SHORT, values: [2] },   // inch
+      { tag: TAG.Software, type: TYPE.ASCII, values: ascii(SOFTWARE) }
+    ];
+    if (photometric === PHOTOMETRIC_SEPARATED) {
+      entries.push({ tag: TAG.InkSet, type: TYPE.SHORT, values: [1] });   // CMYK
+    }
+    if (options.iccProfile) {
+      entries.push({ tag: TAG.IccProfile, type: TYPE.UNDEFINED, values: new Uint8Array(options.iccProfile) });
+    }
+
+    return assemble(entries, strips);
+  }
+
+  /**
+   * Encode an 8-bit CMYK TIFF.
+   * @param {number} width
+   * @param {number} height
+   * @param {Uint8Array} data - interleaved C, M, Y, K per pixel, 0 = no ink, 255 = solid
+   * @param {object} [options]
+   * @param {string} [options.compression] - 'packbits' (default) | 'none'
+   * @param {number} [options.dpi] - resolution in pixels per inch, default 300
+   * @param {ArrayBuffer|null} [options.iccProfile] - raw ICC profile to embed
+   * @returns {Uint8Array} complete TIFF file
+   */
+  function encodeCmyk(width, height, data, options = {}) {
+    return encode(width, height, 4, PHOTOMETRIC_SEPARATED, data, options);
+  }
+
+  /**
+   * Encode one plate as an 8-bit greyscale TIFF (WhiteIsZero: the value is
+   * the ink coverage, so the plate prints the way it looks).
+   * @param {number} width
+   * @param {number} height
+   * @param {Uint8Array} data - one byte per pixel, 0 = no ink, 255 = solid
+   * @param {object} [options] - compression and dpi as for encodeCmyk
+   * @returns {Uint8Array} complete TIFF file
+   */
+  function encodeGray(width, height, data, options = {}) {
+    return encode(width, height, 1, PHOTOMETRIC_WHITE_IS_ZERO, data, { compression: options.compression, dpi: options.dpi });
+  }
+
+  /**
+   * Pull one ink out of interleaved CMYK data.
+   * @param {Uint8Array} cmyk - interleaved CMYK
+   * @param {number} channel - 0 C, 1 M, 2 Y, 3 K
+   * @returns {Uint8Array}
+   */
+  function extractPlate(cmyk, channel) {
+    const plate = new Uint8Array(cmyk.length / 4);
+    for (let i = 0, j = channel; i < plate.length; i++, j += 4) plate[i] = cmyk[j];
+    return plate;
+  }
+
+  return {
+    encodeCmyk,
+    encodeGray,
+    extractPlate,
+    packBits,
+    ERROR_MESSAGES
+  };
+})();
+
+if (typeof module !== 'undefined') module.exports = TiffWriter;
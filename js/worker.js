@@ -0,0 +1,151 @@
+/**
+ * worker.js
+ * CMYK Simulator — Web Worker
+ *
+ * Runs the pixel processing off the main thread, with the same ColorEngine
+ * the page uses (colorEngine.js and the modules it needs, loaded with
+ * importScripts), so a result from here matches the main-thread one.
+ *
+ * One job runs at a time, CHUNK_SIZE pixels per task so that messages get
+ * through between chunks: a new 'process' message replaces the job in
+ * progress, and 'cancel' stops it. Every message carries the job id it is
+ * about, so the page can drop anything from a job it has moved on from.
+ *
+ * Communication protocol:
+ * Receives: { type: 'process', jobId, pixels: Uint8ClampedArray, settings, separation?, paper?, profile?, fix?, keep? }
+ *           settings as ColorEngine.processImage, with profile null; paper is the
+ *           settings.paperType profile when it is a custom paper, which only the
+ *           page knows; profile is the ICC profile's bytes (null for none) when it
+ *           changed since the last job, and is kept for the jobs after it.
+ *           Without pixels, the soft proof of the separation stands in for them
+ *           (a CMYK upload); fix is an ink limit method the separation is
+ *           corrected with first (ColorEngine.correctSeparation); keep lists
+ *           the result fields to send back, with its totals — for a tile of a
+ *           larger image (see ColorEngine TILED PROCESSING)
+ *           { type: 'composite', jobId, pixels, planes, settings, paper?, profile? }
+ *           redraw a processed image from its result.planes (ColorEngine.createCompositeJob)
+ *           { type: 'separate', jobId, pixels?, settings, separation?, paper?, profile?, fix? }
+ *           the separation alone, as 'process' would simulate it
+ *           { type: 'cancel', jobId }
+ * Sends:    { type: 'result', jobId, result } — what ColorEngine.processImage
+ *           (or compositeImage) returns, only the fields kept if asked;
+ *           { separation: Float32Array } for 'separate'
+ *           { type: 'progress', jobId, percent }
+ *           { type: 'error', jobId, message }
+ */
+
+'use strict';
+
+importScripts('colorScience.js', 'iccProfile.js', 'pressModel.js', 'colorEngine.js');
+
+const CHUNK_SIZE = 80000;  // pixels per task, as the page's chunked fallback
+
+let iccProfile = null;  // parsed once, for every job until the page sends another
+let current = null;     // { id, timer } of the job in progress
+
+// Custom papers are registered again only when they changed
+const customPapers = {};
+
+function usePaper(id, paper) {
+  if (!paper || ColorEngine.BUILT_IN_PAPERS.includes(id)) return;
+  const json = JSON.stringify(paper);
+  if (customPapers[id] === json) return;
+  ColorEngine.setPaperProfile(id, paper);
+  customPapers[id] = json;
+}
+
+// Every typed array buffer in the result, planes included, to transfer rather than copy
+function transferables(result, buffers = []) {
+  for (const key in result) {
+    const value = result[key];
+    if (Array.isArray(value)) value.forEach(plate => buffers.push(plate.buffer));
+    else if (value && value.buffer instanceof ArrayBuffer) buffers.push(value.buffer);
+    else if (key === 'planes' && value) transferables(value, buffers);
+  }
+  return buffers;
+}
+
+function stop() {
+  if (current) clearTimeout(current.timer);
+  current = null;
+}
+
+// Result fields to send back: all, or those kept and the totals
+function pick(result, keep) {
+  if (!keep) return result;
+  const picked = { totals: result.totals };
+  keep.forEach(key => { picked[key] = result[key]; });
+  return picked;
+}
+
+// createJob(pixels, settings): the engine job to run, ColorEngine.createImageJob or createCompositeJob
+function start(jobId, pixels, settings, createJob, keep = null) {
+  const task = { id: jobId, timer: null };
+  const fail = err => {
+    stop();
+    self.postMessage({ type: 'error', jobId, message: err.message || 'Unknown processing error' });
+  };
+  current = task;
+
+  let job;
+  try {
+    // pixels arrives as ArrayBuffer after transfer — wrap it back
+    const pixelArray = pixels instanceof Uint8ClampedArray ? pixels : new Uint8ClampedArray(pixels || 0);
+    if (pixelArray.length === 0) {
+      throw new Error('No pixel data received. Image may not have loaded correctly.');
+    }
+    job = createJob(pixelArray, Object.assign({}, settings, { profile: iccProfile }));
+  } catch (err) {
+    fail(err);
+    return;
+  }
+
+  function chunk() {
+    if (current !== task) return;
+    try {
+      const done = job.step(CHUNK_SIZE);
+      self.postMessage({ type: 'progress', jobId, percent: Math.round((done / job.pixelCount) * 100) });
+      if (done < job.pixelCount) {
+        task.timer = setTimeout(chunk, 0);  // let a cancel or a newer job in
+        return;
+      }
+      const result = pick(job.finish(), keep);
+      current = null;
+      self.postMessage({ type: 'result', jobId, result }, transferables(result));
+    } catch (err) {
+      fail(err);
+    }
+  }
+
+  task.timer = setTimeout(chunk, 0);
+}
+
+self.onmessage = function (e) {
+  const { type, jobId, settings, separation, planes, paper, profile, fix, keep } = e.data;
+  let { pixels } = e.data;
+
+  if (type === 'cancel') {
+    if (current && current.id === jobId) stop();
+    return;
+  }
+  if (type !== 'process' && type !== 'composite' && type !== 'separate') return;
+
+  stop();  // a newer job supersedes the one in progress
+  try {
+    if (profile !== undefined) iccProfile = profile ? IccProfile.parse(profile) : null;
+    usePaper(settings.paperType, paper);
+    if (!pixels && separation) pixels = ColorEngine.proofImage(separation, iccProfile);
+    if (type === 'separate') {
+      const result = { separation: ColorEngine.workingSeparation(pixels, Object.assign({}, settings, { profile: iccProfile }), separation || null, fix) };
+      self.postMessage({ type: 'result', jobId, result }, transferables(result));
+      return;
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', jobId, message: err.message });
+    return;
+  }
+  start(jobId, pixels, settings, type === 'composite'
+    ? (src, jobSettings) => ColorEngine.createCompositeJob(src, planes, jobSettings)
+    : (src, jobSettings) => ColorEngine.createImageJob(src, jobSettings, fix ? ColorEngine.workingSeparation(src, jobSettings, separation || null, fix) : separation || null),
+    keep || null);
+};
@@ -0,0 +1,81 @@
+/**
+ * inkLimit.test.js
+ * CMYK Simulator — Ink limit correction
+ *
+ * After correctSeparation, no pixel may print over the limit, measured the
+ * way processImage measures it: every plate through printedInk, with the
+ * paper's dot limits and gamut reduction. Run with `node --test test/`.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Engine = require('../js/colorEngine.js');
+
+const WIDTH = 64;
+const HEIGHT = 64;
+
+// Heavy CMYK builds, many of them with a plate in the plugging range (above maxDot)
+function heavyCmyk() {
+  const cmyk = new Float32Array(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    const x = i % WIDTH, y = (i - x) / WIDTH;
+    cmyk[i * 4] = 0.85 + 0.15 * x / (WIDTH - 1);
+    cmyk[i * 4 + 1] = 0.6 + 0.4 * y / (HEIGHT - 1);
+    cmyk[i * 4 + 2] = 0.5 + 0.5 * ((x * 7 + y * 3) % WIDTH) / (WIDTH - 1);
+    cmyk[i * 4 + 3] = 0.4 + 0.6 * ((x + y) % HEIGHT) / (HEIGHT - 1);
+  }
+  return cmyk;
+}
+
+// Dark, saturated RGB: rich blacks and deep colours
+function darkRgb() {
+  const pixels = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    const x = i % WIDTH, y = (i - x) / WIDTH;
+    pixels.set([x * 2, y * 2, (x * y) % 128, 255], i * 4);
+  }
+  return pixels;
+}
+
+function printedTac(separation, idx, settings) {
+  const paper = Engine.PAPER_PROFILES[settings.paperType];
+  const curves = Engine.toneCurves(settings.paperType, settings.dotGain, settings.tviCurves);
+  return Engine.totalInkCoverage(...[0, 1, 2, 3].map(i =>
+    Engine.printedInk(separation[idx + i], curves[i], paper, Engine.GAMUT_REDUCTION_SHARE[i])));
+}
+
+function settingsFor(paperType, mode) {
+  const paper = Engine.PAPER_PROFILES[paperType];
+  return {
+    paperType,
+    dotGain: paper.dotGain / 100,
+    tacThreshold: paper.inkLimit,
+    blackGeneration: Object.assign({}, Engine.DEFAULT_BLACK_GENERATION, { mode })
+  };
+}
+
+['coated', 'uncoated', 'newsprint'].forEach(paperType => {
+  Object.keys(Engine.INK_LIMIT_METHODS).forEach(method => {
+    test(`${paperType}, ${method}: no corrected pixel prints over the limit`, () => {
+      const paper = Engine.PAPER_PROFILES[paperType];
+      assert.ok(paper.minDot > 0 && paper.maxDot < 100, 'paper has dot limits');
+
+      [['CMYK', heavyCmyk()], ['RGB', null]].forEach(([label, base]) => {
+        const settings = settingsFor(paperType, 'ucr');
+        const source = base ? Engine.proofImage(base, null) : darkRgb();
+        const { separation, correctedCount } = Engine.correctSeparation(source, settings, method, base);
+        assert.ok(correctedCount > 0, `${label}: some pixels needed correcting`);
+
+        for (let idx = 0; idx < separation.length; idx += 4) {
+          const tac = printedTac(separation, idx, settings);
+          assert.ok(tac <= settings.tacThreshold, `${label}: pixel ${idx / 4} prints ${tac}% over ${settings.tacThreshold}%`);
+        }
+        const { stats } = Engine.processImage(source, settings, separation);
+        assert.strictEqual(stats.overLimitCount, 0, `${label}: stats count pixels over the limit`);
+        assert.ok(stats.maxTAC <= settings.tacThreshold, `${label}: max TAC ${stats.maxTAC}%`);
+      });
+    });
+  });
+});